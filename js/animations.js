@@ -2,21 +2,22 @@
  * animations.js - Módulo de animações com GSAP
  * 
  * Este módulo centraliza todas as animações da interface
- * usando a biblioteca GSAP (carregada via CDN).
+ * usando a biblioteca GSAP (cópia local em vendor/gsap/).
  */
 
 /**
  * Anima os cards da grid de vinis com efeito stagger
  * Faz os cards aparecerem em sequência
+ * @param {Array<HTMLElement>|NodeList} [cards] - Cards a animar (padrão: todos da grid)
  */
-export function animateCards() {
+export function animateCards(cards = document.querySelectorAll('.vinil-card')) {
     // Verifica se GSAP está disponível
     if (typeof gsap === 'undefined') {
         console.warn('GSAP não está carregado. Pulando animação.');
         return;
     }
     
-    const cards = document.querySelectorAll('.vinil-card');
+    if (cards.length === 0) return;
     
     gsap.from(cards, {
         duration: 0.6,
@@ -3,34 +3,56 @@
  * 
  * Este módulo centraliza todas as chamadas HTTP para o backend.
  * Usa fetch API nativo do navegador.
+ * A URL base e o prefixo da API vêm do módulo config.js.
  */
 
-// URL base da API (ajuste conforme necessário)
-const API_BASE_URL = 'http://localhost:5000';
-const API_PREFIX = '/api/v1';
+import { getApiUrl, resolveAssetUrl } from './config.js';
+import { valoresIguais } from './utils.js';
+import { calcularRaridade } from './rarity.js';
+import { getVersao, houveAlteracao } from './conflicts.js';
+import { CAMPOS_PRENSAGEM } from './validation.js';
+
+// ETag da última leitura de cada vinil (GET /vinis/{id}), usado no If-Match
+const etags = new Map();
 
 /**
  * Função auxiliar para fazer requisições HTTP
  * @param {string} endpoint - Endpoint da API
  * @param {object} options - Opções do fetch (method, headers, body, etc.)
+ * @param {number} [options.etagDe] - ID do vinil cujo ETag da resposta deve ser guardado
  * @returns {Promise} Promise com a resposta JSON
  */
 async function fetchAPI(endpoint, options = {}) {
-    const url = `${API_BASE_URL}${API_PREFIX}${endpoint}`;
-    
+    const url = getApiUrl(endpoint);
+    const { etagDe, headers, ...fetchOptions } = options;
+
     try {
         const response = await fetch(url, {
+            ...fetchOptions,
             headers: {
                 'Content-Type': 'application/json',
-                ...options.headers
-            },
-            ...options
+                ...headers
+            }
+        }).catch(error => {
+            // fetch só rejeita quando não chega resposta (rede, API fora do ar, CORS)
+            throw erroDeConexao(error);
         });
 
         // Verifica se a resposta foi bem-sucedida
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
-            throw new Error(errorData.message || `Erro HTTP: ${response.status}`);
+            const erro = new Error(errorData.message || `Erro HTTP: ${response.status}`);
+            erro.status = response.status;
+            throw erro;
+        }
+
+        if (etagDe !== undefined) {
+            const etag = response.headers?.get('ETag');
+            if (etag) {
+                etags.set(String(etagDe), etag);
+            } else {
+                etags.delete(String(etagDe));
+            }
         }
 
         // Se for 204 No Content, retorna objeto vazio
@@ -45,12 +67,140 @@ async function fetchAPI(endpoint, options = {}) {
     }
 }
 
+/**
+ * Cria o erro lançado quando a API não responde
+ * @param {Error} causa - Erro original do fetch
+ * @returns {Error} Erro marcado com semConexao
+ */
+function erroDeConexao(causa) {
+    const erro = new Error('Sem conexão com a API.', { cause: causa });
+    erro.semConexao = true;
+    return erro;
+}
+
+/**
+ * Indica se um erro veio da falta de conexão com a API (e não de uma
+ * resposta de erro do servidor)
+ * @param {Error} error - Erro capturado
+ * @returns {boolean} true se a API não respondeu
+ */
+export function isErroDeConexao(error) {
+    return Boolean(error?.semConexao);
+}
+
+// Tamanho padrão de página (múltiplo de 2, 3 e 4 colunas da grid)
+export const PAGE_SIZE = 48;
+
+// Lista completa guardada quando o backend ignora a paginação
+let listaCompletaCache = null;
+
 /**
  * GET /vinis/ - Lista todos os vinis
+ * Se o backend responder paginado, percorre todas as páginas.
  * @returns {Promise<Array>} Array com todos os vinis
  */
 export async function getVinis() {
-    return fetchAPI('/vinis/');
+    const resposta = await fetchAPI('/vinis/');
+    if (Array.isArray(resposta)) return resposta;
+
+    let pagina = normalizarPagina(resposta, { page: 1, limit: PAGE_SIZE });
+    const vinis = [...pagina.items];
+
+    while (pagina.hasMore) {
+        pagina = await getVinisPagina({ ...pagina.next, limit: pagina.limit });
+        vinis.push(...pagina.items);
+    }
+
+    return vinis;
+}
+
+/**
+ * GET /vinis/?page={n}&limit={n} (ou ?cursor={c}&limit={n}) - Busca uma página de vinis
+ *
+ * Aceita respostas paginadas nos formatos mais comuns
+ * ({ items | data | results, total, page, next_cursor | has_more }).
+ * Se o backend devolver o array completo, a paginação é feita no cliente
+ * e as páginas seguintes saem do cache, sem novas requisições.
+ * @param {Object} [options] - Opções de paginação
+ * @param {number} [options.page=1] - Número da página (1 em diante)
+ * @param {string} [options.cursor] - Cursor retornado pela página anterior
+ * @param {number} [options.limit=PAGE_SIZE] - Itens por página
+ * @returns {Promise<Object>} { items, total, limit, hasMore, next: { page } | { cursor } }
+ */
+export async function getVinisPagina({ page = 1, cursor = null, limit = PAGE_SIZE } = {}) {
+    // Páginas seguintes da paginação no cliente
+    if (listaCompletaCache && !cursor && page > 1) {
+        return paginarNoCliente(listaCompletaCache, page, limit);
+    }
+
+    const params = new URLSearchParams({ limit });
+    if (cursor) {
+        params.set('cursor', cursor);
+    } else {
+        params.set('page', page);
+    }
+
+    const resposta = await fetchAPI(`/vinis/?${params}`);
+
+    // Array puro: o backend não pagina, então fatia no cliente
+    if (Array.isArray(resposta)) {
+        listaCompletaCache = resposta;
+        return paginarNoCliente(resposta, page, limit);
+    }
+
+    listaCompletaCache = null;
+    return normalizarPagina(resposta, { page, limit });
+}
+
+/**
+ * Fatia a lista completa como se fosse paginada pelo servidor
+ * @param {Array} vinis - Lista completa
+ * @param {number} page - Página desejada
+ * @param {number} limit - Itens por página
+ * @returns {Object} Página no formato de getVinisPagina
+ */
+function paginarNoCliente(vinis, page, limit) {
+    const inicio = (page - 1) * limit;
+    return {
+        items: vinis.slice(inicio, inicio + limit),
+        total: vinis.length,
+        limit,
+        hasMore: inicio + limit < vinis.length,
+        next: { page: page + 1 }
+    };
+}
+
+/**
+ * Converte uma resposta paginada do backend para o formato interno
+ * @param {Object} resposta - Corpo da resposta
+ * @param {Object} pedido - { page, limit } pedidos
+ * @returns {Object} Página no formato de getVinisPagina
+ */
+function normalizarPagina(resposta, { page, limit }) {
+    const items = resposta.items || resposta.data || resposta.results || resposta.vinis || [];
+    const total = resposta.total ?? resposta.count ?? null;
+    const proximoCursor = resposta.next_cursor ?? resposta.nextCursor ?? null;
+    const paginaAtual = resposta.page ?? page;
+    const limite = resposta.limit ?? resposta.per_page ?? limit;
+
+    let hasMore;
+    if (typeof resposta.has_more === 'boolean') {
+        hasMore = resposta.has_more;
+    } else if (proximoCursor) {
+        hasMore = true;
+    } else if (total !== null) {
+        hasMore = paginaAtual * limite < total;
+    } else {
+        hasMore = items.length === limite;
+    }
+
+    return {
+        items,
+        total,
+        limit: limite,
+        hasMore,
+        next: proximoCursor ? { cursor: proximoCursor } : { page: paginaAtual + 1 }
+    };
 }
 
 /**
@@ -59,7 +209,7 @@ export async function getVinis() {
  * @returns {Promise<Object>} Dados do vinil
  */
 export async function getVinilById(id) {
-    return fetchAPI(`/vinis/${id}`);
+    return fetchAPI(`/vinis/${id}`, { etagDe: id });
 }
 
 /**
@@ -85,27 +235,38 @@ export async function buscarPorAlbum(album) {
 
 /**
  * Busca vinis por artista OU álbum (busca combinada)
+ * Erros de rede/HTTP são propagados (antes viravam uma lista vazia,
+ * indistinguível de "nenhum resultado").
  * @param {string} termo - Termo de busca
  * @returns {Promise<Array>} Array com vinis encontrados
  */
 export async function buscarVinis(termo) {
-    try {
-        // Busca por artista e álbum em paralelo
-        const [resultadosArtista, resultadosAlbum] = await Promise.all([
-            buscarPorArtista(termo).catch(() => []),
-            buscarPorAlbum(termo).catch(() => [])
-        ]);
-
-        // Combina os resultados e remove duplicatas
-        const todosResultados = [...resultadosArtista, ...resultadosAlbum];
-        const vinisUnicos = Array.from(
-            new Map(todosResultados.map(v => [v.id, v])).values()
-        );
-
-        return vinisUnicos;
-    } catch (error) {
-        console.error('Erro na busca:', error);
-        return [];
+    // Busca por artista e álbum em paralelo
+    const [resultadosArtista, resultadosAlbum] = await Promise.all([
+        buscarPorArtista(termo),
+        buscarPorAlbum(termo)
+    ]);
+
+    // Combina os resultados e remove duplicatas
+    const todosResultados = [...resultadosArtista, ...resultadosAlbum];
+    return Array.from(
+        new Map(todosResultados.map(v => [v.id, v])).values()
+    );
+}
+
+/**
+ * Executa no servidor a parte suportada de uma busca avançada
+ * @param {Object} consulta - { campo: 'artista' | 'album' | 'texto', valor } (ver search.js consultaServidor)
+ * @returns {Promise<Array>} Vinis candidatos (ainda precisam ser conferidos no cliente)
+ */
+export async function buscarNoServidor({ campo, valor }) {
+    switch (campo) {
+        case 'artista':
+            return buscarPorArtista(valor);
+        case 'album':
+            return buscarPorAlbum(valor);
+        default:
+            return buscarVinis(valor);
     }
 }
 
@@ -126,6 +287,19 @@ export async function getStatsCores() {
  * @param {number} vinilData.ano - Ano de lançamento
  * @param {string} vinilData.midia - Tipo de mídia (LP, Compacto, EP)
  * @param {string} [vinilData.selo] - Gravadora/Selo (opcional)
+ * @param {Array<Object>} [vinilData.faixas] - Tracklist: [{ lado, numero, titulo, duracao }]
+ * @param {boolean} [vinilData.edicao_limitada] - Edição limitada
+ * @param {string} [vinilData.numero_copia] - Número da cópia (ex: '123/500')
+ * @param {string} [vinilData.numero_catalogo] - Número de catálogo (ex: 'SHVL 804')
+ * @param {string} [vinilData.codigo_barras] - Código de barras (só dígitos)
+ * @param {string} [vinilData.matriz_a] - Matriz/runout gravada no lado A (idem matriz_b, _c e _d)
+ * @param {string} [vinilData.pais] - País da prensagem
+ * @param {string} [vinilData.fabrica] - Fábrica onde foi prensado
+ * @param {number} [vinilData.tamanho] - Tamanho em polegadas (7, 10, 12)
+ * @param {number} [vinilData.rpm] - Rotação (33, 45, 78)
+ * @param {string} [vinilData.condicao_disco] - Estado do disco na escala Goldmine (ex: 'VG+')
+ * @param {string} [vinilData.condicao_capa] - Estado da capa na escala Goldmine
+ * @param {string} [vinilData.notas_edicao] - Observações sobre a edição
  * @returns {Promise<Object>} Vinil criado com ID
  */
 export async function adicionarVinil(vinilData) {
@@ -137,15 +311,68 @@ export async function adicionarVinil(vinilData) {
 
 /**
  * PUT /vinis/{id} - Atualiza um vinil existente
+ *
+ * Com `original` (o vinil como estava ao abrir o formulário), a edição só é
+ * aplicada se ninguém alterou o vinil nesse meio tempo:
+ * - se o backend enviou ETag na leitura, vai no If-Match (412/409 = conflito)
+ * - a versão do original (version/updated_at) vai no corpo, para o backend conferir
+ * - sem ETag, o vinil atual é relido e comparado antes do PUT
+ * Em conflito, lança um erro com `conflito: true` e o vinil atual em `atual`
+ * (ver isErroDeConflito e conflicts.js).
  * @param {number} id - ID do vinil
  * @param {Object} vinilData - Dados atualizados do vinil
+ * @param {Object} [options] - Opções
+ * @param {Object} [options.original] - Vinil lido antes da edição (precondição)
  * @returns {Promise<Object>} Vinil atualizado
  */
-export async function atualizarVinil(id, vinilData) {
-    return fetchAPI(`/vinis/${id}`, {
-        method: 'PUT',
-        body: JSON.stringify(vinilData)
-    });
+export async function atualizarVinil(id, vinilData, { original } = {}) {
+    if (!original) {
+        return fetchAPI(`/vinis/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(vinilData)
+        });
+    }
+
+    const etag = etags.get(String(id));
+    if (!etag) {
+        const atual = await getVinilById(id);
+        if (houveAlteracao(original, atual)) throw erroDeConflito(atual);
+    }
+
+    try {
+        return await fetchAPI(`/vinis/${id}`, {
+            method: 'PUT',
+            headers: etag ? { 'If-Match': etag } : {},
+            body: JSON.stringify({ ...vinilData, ...getVersao(original) }),
+            etagDe: id
+        });
+    } catch (error) {
+        if (error.status === 412 || error.status === 409) {
+            throw erroDeConflito(await getVinilById(id));
+        }
+        throw error;
+    }
+}
+
+/**
+ * Cria o erro lançado quando o vinil mudou no servidor durante a edição
+ * @param {Object} atual - Vinil como está no servidor
+ * @returns {Error} Erro marcado com conflito
+ */
+function erroDeConflito(atual) {
+    const erro = new Error('Este vinil foi alterado por outra pessoa enquanto você editava.');
+    erro.conflito = true;
+    erro.atual = atual;
+    return erro;
+}
+
+/**
+ * Indica se um erro é de edição simultânea (ver atualizarVinil)
+ * @param {Error} error - Erro capturado
+ * @returns {boolean} true se o vinil mudou no servidor
+ */
+export function isErroDeConflito(error) {
+    return Boolean(error?.conflito);
 }
 
 /**
@@ -159,40 +386,259 @@ export async function deletarVinil(id) {
     });
 }
 
+// Respostas de um backend sem o endpoint de envio de capas
+const STATUS_SEM_ENVIO_DE_CAPA = [404, 405, 415, 501];
+
+// Suporte do backend ao envio em multipart (null = ainda não testado nesta sessão)
+let envioDeCapaSuportado = null;
+
 /**
- * POST /vinis/compare - Compara duas prensagens de vinil
- * @param {number} idA - ID do primeiro vinil
- * @param {number} idB - ID do segundo vinil
- * @returns {Promise<Object>} Resultado da comparação
+ * POST /capas/ - Envia uma capa (e a miniatura) como multipart/form-data
+ *
+ * Usa XMLHttpRequest, que informa o progresso do envio (o fetch não).
+ * O backend grava os arquivos em /uploads e responde com os caminhos
+ * ({ capa, capa_miniatura }), que vão no JSON do vinil no lugar do base64.
+ * Se o backend não tiver o endpoint, lança um erro com `semSuporte: true`
+ * (ver isEnvioSemSuporte) e as próximas chamadas nem tentam: quem chama
+ * manda a capa em base64 no campo `capa`, como antes.
+ * @param {Object} arquivos - Imagens a enviar
+ * @param {Blob} arquivos.capa - Capa
+ * @param {Blob} [arquivos.miniatura] - Miniatura da grid
+ * @param {Object} [options] - Opções
+ * @param {Function} [options.onProgresso] - Recebe a fração já enviada (0 a 1)
+ * @param {AbortSignal} [options.signal] - Cancela o envio (erro com `cancelado: true`)
+ * @returns {Promise<Object>} { capa, capa_miniatura } com os caminhos no servidor
  */
-export async function compararPrensagens(idA, idB) {
-    // Como o backend não tem este endpoint ainda, vamos buscar os dois vinis
-    // e fazer a comparação no frontend
-    const vinilA = await getVinilById(idA);
-    const vinilB = await getVinilById(idB);
-    
-    return {
-        vinil_a: vinilA,
-        vinil_b: vinilB,
-        diferencas: {
-            artista: vinilA.artista !== vinilB.artista,
-            album: vinilA.album !== vinilB.album,
-            cor_prensagem: vinilA.cor_prensagem !== vinilB.cor_prensagem,
-            ano: vinilA.ano !== vinilB.ano,
-            selo: vinilA.selo !== vinilB.selo,
-            midia: vinilA.midia !== vinilB.midia
+export function enviarCapa({ capa, miniatura }, { onProgresso, signal } = {}) {
+    if (envioDeCapaSuportado === false) return Promise.reject(erroSemSuporte());
+
+    return new Promise((resolve, reject) => {
+        const dados = new FormData();
+        dados.append('capa', capa, `capa.${extensaoDoTipo(capa.type)}`);
+        if (miniatura) dados.append('capa_miniatura', miniatura, `miniatura.${extensaoDoTipo(miniatura.type)}`);
+
+        const xhr = new XMLHttpRequest();
+        xhr.open('POST', getApiUrl('/capas/'));
+
+        xhr.upload.onprogress = (e) => {
+            if (e.lengthComputable) onProgresso?.(e.loaded / e.total);
+        };
+
+        xhr.onload = () => {
+            let resposta = {};
+            try {
+                resposta = JSON.parse(xhr.responseText) || {};
+            } catch {
+                // Corpo vazio ou HTML de erro
+            }
+
+            const caminho = resposta.capa || resposta.caminho || resposta.url;
+            if (STATUS_SEM_ENVIO_DE_CAPA.includes(xhr.status) || (xhr.status < 300 && !caminho)) {
+                envioDeCapaSuportado = false;
+                reject(erroSemSuporte());
+                return;
+            }
+
+            if (xhr.status < 200 || xhr.status >= 300) {
+                const erro = new Error(resposta.message || `Erro HTTP: ${xhr.status}`);
+                erro.status = xhr.status;
+                reject(erro);
+                return;
+            }
+
+            envioDeCapaSuportado = true;
+            resolve({ capa: caminho, capa_miniatura: resposta.capa_miniatura || null });
+        };
+
+        xhr.onerror = () => reject(erroDeConexao(new Error('Falha de rede no envio da capa')));
+        xhr.onabort = () => {
+            const erro = new Error('Envio da capa cancelado.');
+            erro.cancelado = true;
+            reject(erro);
+        };
+
+        if (signal?.aborted) {
+            xhr.onabort();
+            return;
         }
+        signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+
+        xhr.send(dados);
+    });
+}
+
+/**
+ * Cria o erro lançado quando o backend não aceita capas em multipart
+ * @returns {Error} Erro marcado com semSuporte
+ */
+function erroSemSuporte() {
+    const erro = new Error('O backend não aceita o envio de capas em multipart.');
+    erro.semSuporte = true;
+    return erro;
+}
+
+/**
+ * Indica se um envio de capa falhou porque o backend não tem o endpoint
+ * (a capa deve ir em base64 no JSON do vinil)
+ * @param {Error} error - Erro capturado
+ * @returns {boolean} true se o backend não aceita multipart
+ */
+export function isEnvioSemSuporte(error) {
+    return Boolean(error?.semSuporte);
+}
+
+/**
+ * Indica se um envio de capa foi cancelado (ver enviarCapa)
+ * @param {Error} error - Erro capturado
+ * @returns {boolean} true se foi cancelado
+ */
+export function isEnvioCancelado(error) {
+    return Boolean(error?.cancelado);
+}
+
+/**
+ * Extensão de arquivo para um MIME type de imagem
+ * @param {string} tipo - Ex: 'image/webp'
+ * @returns {string} Ex: 'webp'
+ */
+function extensaoDoTipo(tipo) {
+    const extensao = String(tipo).split('/')[1] || '';
+    return extensao === 'jpeg' ? 'jpg' : extensao || 'bin';
+}
+
+/**
+ * Baixa uma capa e a devolve como data URL (base64)
+ * Usado para guardar a imagem de um vinil antes de excluí-lo ou trocar a
+ * capa, já que o arquivo em /uploads pode sumir junto com o registro.
+ * @param {string} caminho - Caminho ou URL da capa (ex: '/uploads/capa.jpg')
+ * @returns {Promise<string|null>} Data URL; a URL absoluta da capa se não
+ *   der para baixar (ex: sem conexão ou CORS); null se não houver capa
+ */
+export async function getCapaComoDataUrl(caminho) {
+    const url = resolveAssetUrl(caminho);
+    if (!url) return null;
+    if (url.startsWith('data:')) return url;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Erro HTTP: ${response.status}`);
+        const blob = await response.blob();
+
+        return await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    } catch (error) {
+        console.warn('⚠️ Não foi possível baixar a capa:', caminho, error);
+        // Absoluta: o catálogo baixado abre fora do app (file://)
+        return url;
+    }
+}
+
+// Campos considerados na comparação de prensagens; os opcionais só entram
+// quando alguma das prensagens os preenche
+const CAMPOS_COMPARACAO = ['artista', 'album', 'cor_prensagem', 'ano', 'selo', 'midia'];
+const CAMPOS_COMPARACAO_OPCIONAIS = ['edicao_limitada', 'numero_copia', ...Object.keys(CAMPOS_PRENSAGEM)];
+
+/**
+ * Compara várias prensagens de vinil
+ *
+ * Como o backend não tem um endpoint de comparação, os vinis são buscados
+ * e comparados no frontend. Textos são comparados sem diferenciar acentos,
+ * maiúsculas e espaços extras ("Harvest" e "harvest " são iguais).
+ * @param {Array<number>} ids - IDs dos vinis (mínimo 2)
+ * @returns {Promise<Object>} Resultado da comparação:
+ *   { vinis, campos, diferencas: { campo: boolean }, mais_antigo, mais_raro }
+ */
+export async function compararPrensagens(ids) {
+    const idsUnicos = [...new Set(ids)];
+    if (idsUnicos.length < 2) {
+        throw new Error('Informe pelo menos dois vinis diferentes.');
+    }
+
+    const vinis = await Promise.all(idsUnicos.map(id => getVinilById(id)));
+    return montarComparacao(vinis);
+}
+
+/**
+ * Busca e compara todas as prensagens de um mesmo álbum (artista + álbum)
+ * @param {string} artista - Nome do artista
+ * @param {string} album - Nome do álbum
+ * @returns {Promise<Object>} Resultado da comparação (mesmo formato de compararPrensagens)
+ */
+export async function compararPrensagensDoAlbum(artista, album) {
+    const vinis = await buscarPrensagensDoAlbum(artista, album);
+    if (vinis.length < 2) {
+        throw new Error(`Só há uma prensagem de "${album}" na coleção.`);
+    }
+    return montarComparacao(vinis);
+}
+
+/**
+ * Busca todas as prensagens de um álbum na coleção
+ * @param {string} artista - Nome do artista
+ * @param {string} album - Nome do álbum
+ * @returns {Promise<Array>} Vinis com mesmo artista e álbum
+ */
+export async function buscarPrensagensDoAlbum(artista, album) {
+    const vinis = await getVinis();
+    return vinis.filter(v => valoresIguais(v.artista, artista) && valoresIguais(v.album, album));
+}
+
+/**
+ * Monta o resultado da comparação entre N vinis
+ * @param {Array<Object>} vinis - Vinis a comparar
+ * @returns {Object} Resultado da comparação
+ */
+function montarComparacao(vinis) {
+    const valor = (vinil, campo) => (campo === 'edicao_limitada' ? Boolean(vinil[campo]) : vinil[campo]);
+    const preenchido = (vinil, campo) => ![undefined, null, '', false].includes(vinil[campo]);
+    const campos = [
+        ...CAMPOS_COMPARACAO,
+        ...CAMPOS_COMPARACAO_OPCIONAIS.filter(campo => vinis.some(v => preenchido(v, campo)))
+    ];
+
+    const diferencas = {};
+    campos.forEach(campo => {
+        const [primeiro, ...resto] = vinis;
+        diferencas[campo] = resto.some(v => !valoresIguais(valor(v, campo), valor(primeiro, campo)));
+    });
+
+    // Mais antigo: menor ano (ignora vinis sem ano)
+    const comAno = vinis.filter(v => v.ano);
+    const maisAntigo = comAno.length > 0
+        ? comAno.reduce((a, b) => (b.ano < a.ano ? b : a))
+        : null;
+
+    // Mais raro: maior pontuação de raridade (em empate, o mais antigo)
+    const maisRaro = vinis.reduce((a, b) => {
+        const diff = calcularRaridade(b).pontuacao - calcularRaridade(a).pontuacao;
+        if (diff !== 0) return diff > 0 ? b : a;
+        return (b.ano || Infinity) < (a.ano || Infinity) ? b : a;
+    });
+
+    return {
+        vinis,
+        campos,
+        diferencas,
+        mais_antigo: maisAntigo ? maisAntigo.id : null,
+        mais_raro: maisRaro.id
     };
 }
 
 /**
  * Função auxiliar para verificar se a API está acessível
+ * Consulta um endpoint real (GET /stats/): a raiz do servidor costuma
+ * responder 404 ou sem cabeçalhos CORS mesmo com a API no ar.
+ * @param {string} [apiUrl] - URL da API com o prefixo (padrão: a configurada)
  * @returns {Promise<boolean>} true se a API estiver respondendo
  */
-export async function checkAPIHealth() {
+export async function checkAPIHealth(apiUrl = getApiUrl()) {
     try {
-        await fetch(API_BASE_URL);
-        return true;
+        const response = await fetch(`${apiUrl}/stats/`);
+        return response.ok;
     } catch (error) {
         console.error('API não está acessível:', error);
         return false;
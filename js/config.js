@@ -0,0 +1,231 @@
+/**
+ * config.js - Módulo de configuração em tempo de execução
+ *
+ * Resolve a URL base e o prefixo da API sem precisar editar o código,
+ * permitindo publicar o mesmo build estático contra ambientes diferentes.
+ *
+ * Ordem de prioridade (a última fonte encontrada vence):
+ *   1. Valores padrão deste módulo
+ *   2. <meta name="api-base-url"> / <meta name="api-prefix"> no index.html
+ *   3. Arquivo config.json na raiz do frontend
+ *   4. Configuração salva no localStorage (painel de configurações)
+ *   5. Query string: ?api=http://host:5000&apiPrefix=/api/v1 (só para a sessão)
+ */
+
+// Valores usados quando nenhuma outra fonte está disponível
+const DEFAULT_CONFIG = {
+    apiBaseUrl: 'http://localhost:5000',
+    apiPrefix: '/api/v1'
+};
+
+const STORAGE_KEY = 'vinyl-collection:config';
+
+// Configuração ativa e a fonte de onde cada valor veio
+let currentConfig = { ...DEFAULT_CONFIG };
+let currentSources = { apiBaseUrl: 'padrão', apiPrefix: 'padrão' };
+
+/**
+ * Carrega a configuração de todas as fontes disponíveis
+ * Deve ser chamada antes da primeira requisição à API.
+ * @returns {Promise<Object>} Configuração ativa
+ */
+export async function loadConfig() {
+    const config = { ...DEFAULT_CONFIG };
+    const sources = { apiBaseUrl: 'padrão', apiPrefix: 'padrão' };
+
+    const merge = (values, source) => {
+        if (!values) return;
+        ['apiBaseUrl', 'apiPrefix'].forEach(key => {
+            if (typeof values[key] === 'string') {
+                config[key] = values[key];
+                sources[key] = source;
+            }
+        });
+    };
+
+    merge(readMetaConfig(), '<meta>');
+    merge(await fetchConfigFile(), 'config.json');
+    merge(readStoredConfig(), 'localStorage');
+    merge(readQueryConfig(), 'query string');
+
+    currentConfig = normalizeConfig(config);
+    currentSources = sources;
+
+    console.log('⚙️ Configuração da API:', currentConfig, sources);
+    return getConfig();
+}
+
+/**
+ * Retorna uma cópia da configuração ativa
+ * @returns {Object} { apiBaseUrl, apiPrefix }
+ */
+export function getConfig() {
+    return { ...currentConfig };
+}
+
+/**
+ * Retorna a fonte de cada valor da configuração ativa
+ * @returns {Object} { apiBaseUrl, apiPrefix }
+ */
+export function getConfigSources() {
+    return { ...currentSources };
+}
+
+/**
+ * Retorna os valores padrão da configuração
+ * @returns {Object} { apiBaseUrl, apiPrefix }
+ */
+export function getDefaultConfig() {
+    return { ...DEFAULT_CONFIG };
+}
+
+/**
+ * Salva uma nova configuração no localStorage e a torna ativa
+ * @param {Object} values - { apiBaseUrl, apiPrefix }
+ * @returns {Object} Configuração ativa após a alteração
+ */
+export function saveConfig(values) {
+    const config = normalizeConfig({ ...currentConfig, ...values });
+
+    if (!isValidBaseUrl(config.apiBaseUrl)) {
+        throw new Error('URL da API inválida. Use o formato http://host:porta');
+    }
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    currentConfig = config;
+    currentSources = { apiBaseUrl: 'localStorage', apiPrefix: 'localStorage' };
+
+    return getConfig();
+}
+
+/**
+ * Remove a configuração salva e recarrega as demais fontes
+ * @returns {Promise<Object>} Configuração ativa após a remoção
+ */
+export async function resetConfig() {
+    localStorage.removeItem(STORAGE_KEY);
+    return loadConfig();
+}
+
+/**
+ * Monta a URL completa de um endpoint da API
+ * @param {string} endpoint - Endpoint (ex: '/vinis/')
+ * @returns {string} URL absoluta
+ */
+export function getApiUrl(endpoint = '') {
+    return `${currentConfig.apiBaseUrl}${currentConfig.apiPrefix}${endpoint}`;
+}
+
+/**
+ * Retorna a URL base do servidor (sem o prefixo da API)
+ * @returns {string} URL base
+ */
+export function getApiBaseUrl() {
+    return currentConfig.apiBaseUrl;
+}
+
+/**
+ * Resolve a URL de uma capa ou arquivo enviado ao backend
+ *
+ * Todas as imagens vindas da API devem passar por aqui: caminhos relativos
+ * (ex: '/uploads/capas/abc.jpg') são prefixados com a URL base ativa, enquanto
+ * URLs absolutas, data URLs e blob URLs são retornadas sem alteração.
+ * @param {string} path - Caminho ou URL da imagem
+ * @returns {string|null} URL pronta para uso em <img src> ou null
+ */
+export function resolveAssetUrl(path) {
+    if (!path || typeof path !== 'string') return null;
+
+    if (/^(https?:|data:|blob:)/i.test(path) || path.startsWith('//')) {
+        return path;
+    }
+
+    const relative = path.startsWith('/') ? path : `/${path}`;
+    return `${currentConfig.apiBaseUrl}${relative}`;
+}
+
+/**
+ * Lê a configuração das tags <meta> do documento
+ * @returns {Object} Valores encontrados
+ */
+function readMetaConfig() {
+    const values = {};
+    const baseMeta = document.querySelector('meta[name="api-base-url"]');
+    const prefixMeta = document.querySelector('meta[name="api-prefix"]');
+
+    if (baseMeta?.content) values.apiBaseUrl = baseMeta.content;
+    if (prefixMeta && prefixMeta.hasAttribute('content')) values.apiPrefix = prefixMeta.content;
+
+    return values;
+}
+
+/**
+ * Busca o arquivo config.json (opcional)
+ * @returns {Promise<Object|null>} Valores encontrados ou null
+ */
+async function fetchConfigFile() {
+    try {
+        const response = await fetch('config.json', { cache: 'no-store' });
+        if (!response.ok) return null;
+        return await response.json();
+    } catch {
+        // Sem config.json (ou aberto via file://) - segue com as outras fontes
+        return null;
+    }
+}
+
+/**
+ * Lê a configuração salva no localStorage
+ * @returns {Object|null} Valores encontrados ou null
+ */
+function readStoredConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Lê a configuração da query string (?api=...&apiPrefix=...)
+ * @returns {Object} Valores encontrados
+ */
+function readQueryConfig() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {};
+
+    if (params.has('api')) values.apiBaseUrl = params.get('api');
+    if (params.has('apiPrefix')) values.apiPrefix = params.get('apiPrefix');
+
+    return values;
+}
+
+/**
+ * Normaliza barras da URL base e do prefixo
+ * @param {Object} config - Configuração a normalizar
+ * @returns {Object} Configuração normalizada
+ */
+function normalizeConfig(config) {
+    const apiBaseUrl = (config.apiBaseUrl || DEFAULT_CONFIG.apiBaseUrl).trim().replace(/\/+$/, '');
+    let apiPrefix = (config.apiPrefix || '').trim().replace(/\/+$/, '');
+
+    if (apiPrefix && !apiPrefix.startsWith('/')) {
+        apiPrefix = `/${apiPrefix}`;
+    }
+
+    return { apiBaseUrl, apiPrefix };
+}
+
+/**
+ * Verifica se a URL base é uma URL http(s) válida
+ * @param {string} url - URL a validar
+ * @returns {boolean} true se for válida
+ */
+function isValidBaseUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch {
+        return false;
+    }
+}
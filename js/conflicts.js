@@ -0,0 +1,138 @@
+/**
+ * conflicts.js - Conflitos de edição simultânea
+ *
+ * Ao salvar uma edição, o vinil pode já ter sido alterado por outra pessoa
+ * desde que o formulário foi aberto. Com três versões em mãos:
+ *   original - como estava ao abrir o formulário
+ *   meu      - o que o usuário salvou
+ *   deles    - como está agora no servidor
+ * cada campo é classificado e o usuário escolhe, campo a campo, o que fica.
+ */
+
+import { CAMPOS_PRENSAGEM } from './validation.js';
+
+// Campos editáveis considerados na mesclagem (campo → rótulo)
+export const CAMPOS_MESCLAGEM = {
+    artista: 'Artista',
+    album: 'Álbum',
+    cor_prensagem: 'Cor',
+    ano: 'Ano',
+    midia: 'Mídia',
+    selo: 'Selo',
+    edicao_limitada: 'Edição limitada',
+    numero_copia: 'Número da cópia',
+    ...CAMPOS_PRENSAGEM,
+    faixas: 'Tracklist',
+    capa: 'Capa',
+    imagens: 'Galeria'
+};
+
+// Campos de controle de versão que o backend pode devolver
+const CAMPOS_VERSAO = ['version', 'versao', 'updated_at'];
+
+/**
+ * Extrai a versão de um vinil, para usar como precondição na edição
+ * @param {Object} vinil - Dados do vinil
+ * @returns {Object} Só os campos de versão presentes (ex: { updated_at })
+ */
+export function getVersao(vinil) {
+    const versao = {};
+    CAMPOS_VERSAO.forEach(campo => {
+        if (vinil?.[campo] !== undefined && vinil[campo] !== null) versao[campo] = vinil[campo];
+    });
+    return versao;
+}
+
+/**
+ * Indica se o vinil no servidor mudou em relação ao original
+ * Usa os campos de versão quando o backend os informa; senão compara os
+ * campos editáveis.
+ * @param {Object} original - Vinil ao abrir o formulário
+ * @param {Object} atual - Vinil como está no servidor
+ * @returns {boolean} true se outra pessoa alterou o vinil
+ */
+export function houveAlteracao(original, atual) {
+    const versaoOriginal = getVersao(original);
+    const versaoAtual = getVersao(atual);
+    const camposVersao = Object.keys(versaoOriginal).filter(campo => campo in versaoAtual);
+
+    if (camposVersao.length > 0) {
+        return camposVersao.some(campo => !mesmoValor(versaoOriginal[campo], versaoAtual[campo]));
+    }
+
+    return Object.keys(CAMPOS_MESCLAGEM).some(campo => !mesmoValor(original[campo], atual[campo]));
+}
+
+/**
+ * Compara as três versões campo a campo
+ * @param {Object} original - Vinil ao abrir o formulário
+ * @param {Object} meu - Dados salvos pelo usuário
+ * @param {Object} deles - Vinil atual no servidor
+ * @returns {Array<Object>} Linhas { campo, label, original, meu, deles, situacao, escolha }
+ *   situacao: 'igual' (ninguém mudou ou ambos mudaram igual), 'meu' (só eu mudei),
+ *   'deles' (só a outra pessoa mudou) ou 'conflito' (ambos mudaram, de formas diferentes);
+ *   escolha: sugestão inicial ('meu' ou 'deles')
+ */
+export function compararVersoes(original, meu, deles) {
+    return Object.entries(CAMPOS_MESCLAGEM).map(([campo, label]) => {
+        const mudouMeu = !mesmoValor(original[campo], meu[campo]);
+        const mudouDeles = !mesmoValor(original[campo], deles[campo]);
+
+        let situacao = 'igual';
+        if (mudouMeu && mudouDeles) {
+            situacao = mesmoValor(meu[campo], deles[campo]) ? 'igual' : 'conflito';
+        } else if (mudouMeu) {
+            situacao = 'meu';
+        } else if (mudouDeles) {
+            situacao = 'deles';
+        }
+
+        return {
+            campo,
+            label,
+            original: original[campo],
+            meu: meu[campo],
+            deles: deles[campo],
+            situacao,
+            // Sem conflito, a mudança de cada lado é preservada; no conflito, sugere a minha
+            escolha: situacao === 'deles' ? 'deles' : 'meu'
+        };
+    });
+}
+
+/**
+ * Monta o vinil resultante das escolhas do usuário
+ * @param {Object} meu - Dados salvos pelo usuário
+ * @param {Object} deles - Vinil atual no servidor
+ * @param {Object} escolhas - { campo: 'meu' | 'deles' }
+ * @returns {Object} Dados a enviar (demais campos vêm de "deles")
+ */
+export function mesclar(meu, deles, escolhas) {
+    const resultado = { ...deles };
+    Object.keys(CAMPOS_MESCLAGEM).forEach(campo => {
+        const origem = escolhas[campo] === 'deles' ? deles : meu;
+        if (campo in origem) {
+            resultado[campo] = origem[campo];
+        } else {
+            delete resultado[campo];
+        }
+    });
+    return resultado;
+}
+
+/**
+ * Compara dois valores de campo (vazio, null, false e ausente são equivalentes)
+ * @param {*} a - Primeiro valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} true se forem iguais
+ */
+function mesmoValor(a, b) {
+    const canonico = valor => {
+        if (valor === undefined || valor === null || valor === '' || valor === false) return '';
+        if (Array.isArray(valor) && valor.length === 0) return '';
+        // IDs internos das faixas (gerados pelo backend) não contam como mudança
+        if (typeof valor === 'object') return JSON.stringify(valor, (chave, v) => (['id', 'vinil_id'].includes(chave) ? undefined : v));
+        return String(valor).trim();
+    };
+    return canonico(a) === canonico(b);
+}
@@ -0,0 +1,151 @@
+/**
+ * discogs.js - Compatibilidade com o CSV de coleção do Discogs
+ *
+ * Lê e gera o arquivo de "Export Collection" do Discogs, sem usar a API
+ * deles (funciona offline, só com o arquivo):
+ *   Artist → artista, Title → album, Label → selo, Released → ano
+ *   Catalog# → numero_catalogo
+ *   Format → midia, cor_prensagem, tamanho e rpm (ex: 'LP, Album, Purple Translucent')
+ *   Collection Media/Sleeve Condition → condicao_disco e condicao_capa
+ * A leitura do arquivo, a revisão e o envio são os da importação (import.js).
+ */
+
+import { normalizeText } from './utils.js';
+import { inferirCor, inferirMidia, inferirTamanho, inferirRpm, inferirCondicao, PADROES_IMPORTACAO } from './import.js';
+import { montarCSV } from './export.js';
+import { CONDICOES } from './validation.js';
+
+// Colunas do export de coleção do Discogs, na ordem do arquivo
+export const COLUNAS_DISCOGS = [
+    'Catalog#', 'Artist', 'Title', 'Label', 'Format', 'Rating', 'Released', 'release_id',
+    'CollectionFolder', 'Date Added', 'Collection Media Condition', 'Collection Sleeve Condition', 'Collection Notes'
+];
+
+// Colunas que identificam o arquivo do Discogs (já normalizadas)
+const COLUNAS_ASSINATURA = ['release_id', 'catalog#', 'artist', 'title', 'format'];
+
+// Formato do Discogs para cada mídia
+const FORMATO_DA_MIDIA = {
+    LP: ['LP', 'Album'],
+    Compacto: ['7"', 'Single'],
+    EP: ['12"', 'EP']
+};
+
+// Descrição do Discogs para cada cor (Preto é o padrão e não é descrito)
+const DESCRICAO_DA_COR = {
+    Roxo: 'Purple',
+    Transparente: 'Clear',
+    Colorido: 'Colored'
+};
+
+// Siglas do Discogs que diferem das da escala (ex: 'Near Mint (NM or M-)')
+const SIGLA_DISCOGS = {
+    NM: 'NM or M-'
+};
+
+/**
+ * Indica se as colunas são as do export de coleção do Discogs
+ * @param {Array<string>} colunas - Cabeçalho do arquivo
+ * @returns {boolean} true se for um arquivo do Discogs
+ */
+export function isDiscogs(colunas) {
+    const normalizadas = colunas.map(coluna => normalizeText(coluna));
+    return COLUNAS_ASSINATURA.every(coluna => normalizadas.includes(coluna));
+}
+
+/**
+ * Converte uma linha do CSV do Discogs nos dados de um vinil
+ * Sem cor na descrição do formato, a prensagem é Preto.
+ * @param {Object} linha - { coluna: valor }
+ * @returns {Object} Dados no formato do formulário
+ */
+export function converterLinha(linha) {
+    const valor = coluna => String(linha[coluna] ?? '').trim();
+    const formato = valor('Format');
+    const ano = valor('Released').match(/\d{4}/);
+    const catalogo = valor('Catalog#');
+
+    return {
+        artista: limparNome(valor('Artist')),
+        album: valor('Title'),
+        cor_prensagem: inferirCor(formato) || PADROES_IMPORTACAO.cor_prensagem,
+        ano: ano && ano[0] !== '0000' ? parseInt(ano[0]) : NaN,
+        midia: inferirMidia(formato) || PADROES_IMPORTACAO.midia,
+        // Vários selos vêm separados por vírgula; o principal é o primeiro
+        selo: limparNome(valor('Label').split(',')[0]) || null,
+        edicao_limitada: /(^|,\s*)(ltd|limited edition)(\s*,|$)/i.test(formato),
+        // Sem número de catálogo, o Discogs escreve 'none'
+        numero_catalogo: /^none$/i.test(catalogo) ? null : catalogo || null,
+        tamanho: inferirTamanho(formato),
+        rpm: inferirRpm(formato),
+        // 'Generic', 'No Cover' e 'Not Graded' não estão na escala: ficam sem estado
+        condicao_disco: inferirCondicao(valor('Collection Media Condition')),
+        condicao_capa: inferirCondicao(valor('Collection Sleeve Condition'))
+    };
+}
+
+/**
+ * Gera o CSV no formato do export de coleção do Discogs
+ * @param {Array<Object>} vinis - Vinis a exportar
+ * @returns {string} Conteúdo do arquivo
+ */
+export function gerarCSV(vinis) {
+    const registros = vinis.map(vinil => COLUNAS_DISCOGS.map(coluna => {
+        switch (coluna) {
+            case 'Catalog#': return vinil.numero_catalogo;
+            case 'Artist': return vinil.artista;
+            case 'Title': return vinil.album;
+            case 'Label': return vinil.selo;
+            case 'Format': return formatoDiscogs(vinil);
+            case 'Released': return vinil.ano;
+            case 'CollectionFolder': return 'Uncategorized';
+            case 'Collection Media Condition': return condicaoDiscogs(vinil.condicao_disco);
+            case 'Collection Sleeve Condition': return condicaoDiscogs(vinil.condicao_capa);
+            case 'Collection Notes': return vinil.numero_copia ? `Cópia nº ${vinil.numero_copia}` : '';
+            default: return '';
+        }
+    }));
+
+    return montarCSV(COLUNAS_DISCOGS, registros);
+}
+
+/**
+ * Monta a descrição de formato do Discogs
+ * O tamanho informado substitui o implícito na mídia (ex: compacto de 10").
+ * @param {Object} vinil - Dados do vinil
+ * @returns {string} Ex: 'LP, Album, Ltd, Purple'; '7", Single, 45 RPM'
+ */
+function formatoDiscogs(vinil) {
+    const partes = [...(FORMATO_DA_MIDIA[vinil.midia] || [])];
+    if (vinil.tamanho) {
+        const indice = partes.findIndex(parte => /^\d+"$/.test(parte));
+        if (indice >= 0) {
+            partes[indice] = `${vinil.tamanho}"`;
+        } else {
+            partes.unshift(`${vinil.tamanho}"`);
+        }
+    }
+    if (vinil.rpm) partes.push(Number(vinil.rpm) === 33 ? '33 ⅓ RPM' : `${vinil.rpm} RPM`);
+    if (vinil.edicao_limitada) partes.push('Ltd');
+    if (DESCRICAO_DA_COR[vinil.cor_prensagem]) partes.push(DESCRICAO_DA_COR[vinil.cor_prensagem]);
+    return partes.join(', ');
+}
+
+/**
+ * Escreve o estado de conservação como o Discogs
+ * @param {string} sigla - Sigla da escala (ex: 'VG+')
+ * @returns {string} Ex: 'Very Good Plus (VG+)'; '' se não avaliado
+ */
+function condicaoDiscogs(sigla) {
+    return CONDICOES[sigla] ? `${CONDICOES[sigla]} (${SIGLA_DISCOGS[sigla] || sigla})` : '';
+}
+
+/**
+ * Tira as marcas que o Discogs acrescenta aos nomes
+ * Ex: 'Pink Floyd (2)' → 'Pink Floyd'; 'Caetano Veloso*' → 'Caetano Veloso'.
+ * @param {string} nome - Nome de artista ou selo
+ * @returns {string} Nome limpo
+ */
+function limparNome(nome) {
+    return nome.replace(/\*$/, '').replace(/\s+\(\d+\)$/, '').trim();
+}
@@ -0,0 +1,206 @@
+/**
+ * export.js - Exportação de vinis para arquivo
+ *
+ * Gera o conteúdo (CSV, JSON, catálogo para impressão ou backup) a partir
+ * dos dados já carregados e oferece o download pelo navegador, sem passar
+ * pelo backend. Capas em base64 são baixadas por quem chama (main.js).
+ */
+
+import { CAMPOS_PRENSAGEM } from './validation.js';
+import { escapeHTML } from './utils.js';
+
+// Identificação do arquivo de backup (conferida na restauração, ver import.js)
+export const FORMATO_BACKUP = 'vinyl-collection-backup';
+export const VERSAO_BACKUP = 1;
+
+// Início de célula que uma planilha executaria como fórmula; no CSV, a célula
+// ganha um apóstrofo na frente (retirado de volta na importação, ver import.js)
+export const INICIO_DE_FORMULA = /^[=+\-@\t\r]/;
+
+// Colunas do CSV, na ordem do arquivo
+export const COLUNAS_CSV = [
+    'id', 'artista', 'album', 'cor_prensagem', 'ano', 'midia', 'selo',
+    'edicao_limitada', 'numero_copia', ...Object.keys(CAMPOS_PRENSAGEM), 'faixas'
+];
+
+/**
+ * Gera um CSV com os vinis
+ * A tracklist vai em uma única coluna: "A1 Título (3:45) | A2 ...".
+ * @param {Array<Object>} vinis - Vinis a exportar
+ * @param {string} [separador=','] - Separador de colunas (',' ou '\t')
+ * @returns {string} Conteúdo do arquivo
+ */
+export function gerarCSV(vinis, separador = ',') {
+    const registros = vinis.map(vinil => COLUNAS_CSV.map(coluna => {
+        if (coluna === 'faixas') return formatarFaixas(vinil.faixas);
+        if (coluna === 'edicao_limitada') return vinil.edicao_limitada ? 'sim' : 'não';
+        return vinil[coluna];
+    }));
+
+    return montarCSV(COLUNAS_CSV, registros, separador);
+}
+
+/**
+ * Monta um CSV a partir de um cabeçalho e dos registros já na ordem das colunas
+ * Células com aspas, quebras de linha ou o separador vão entre aspas; texto
+ * que começa como fórmula (=, +, -, @) ganha um apóstrofo na frente.
+ * @param {Array<string>} cabecalho - Nomes das colunas
+ * @param {Array<Array<*>>} registros - Valores de cada linha
+ * @param {string} [separador=','] - Separador de colunas
+ * @returns {string} Conteúdo do arquivo
+ */
+export function montarCSV(cabecalho, registros, separador = ',') {
+    const celula = valor => {
+        let texto = valor === null || valor === undefined ? '' : String(valor);
+        if (typeof valor === 'string' && INICIO_DE_FORMULA.test(texto)) texto = `'${texto}`;
+        return /["\r\n]/.test(texto) || texto.includes(separador)
+            ? `"${texto.replace(/"/g, '""')}"`
+            : texto;
+    };
+
+    return [cabecalho, ...registros]
+        .map(registro => registro.map(celula).join(separador))
+        .join('\r\n');
+}
+
+/**
+ * Gera um JSON legível (indentado) com os vinis
+ * @param {Array<Object>} vinis - Vinis a exportar
+ * @returns {string} Conteúdo do arquivo
+ */
+export function gerarJSON(vinis) {
+    return JSON.stringify(vinis, null, 2);
+}
+
+/**
+ * Gera o backup completo: JSON com os vinis, as capas em base64 e os destaques
+ * Restaurado pelo assistente de importação.
+ * @param {Array<Object>} vinis - Vinis com `capa` já em data URL
+ * @returns {string} Conteúdo do arquivo
+ */
+export function gerarBackup(vinis) {
+    return JSON.stringify({
+        formato: FORMATO_BACKUP,
+        versao: VERSAO_BACKUP,
+        criado_em: new Date().toISOString(),
+        total: vinis.length,
+        vinis
+    });
+}
+
+/**
+ * Gera o catálogo para impressão: página HTML independente, com as capas,
+ * pensada para A4 (imprimir ou salvar como PDF pelo navegador)
+ * @param {Array<Object>} vinis - Vinis, na ordem do catálogo
+ * @param {Object} [options] - Opções
+ * @param {string} [options.titulo='Minha Coleção de Vinis'] - Título da página
+ * @param {string} [options.subtitulo=''] - Ex: filtros aplicados
+ * @param {Map<number, string>} [options.capas] - ID → URL da capa (data URL ou absoluta)
+ * @returns {string} Documento HTML
+ */
+export function gerarCatalogoHTML(vinis, { titulo = 'Minha Coleção de Vinis', subtitulo = '', capas = new Map() } = {}) {
+    const data = new Date().toLocaleDateString('pt-BR');
+
+    const itens = vinis.map(vinil => {
+        const capa = capas.get(vinil.id);
+        const detalhes = [vinil.ano, vinil.midia, vinil.cor_prensagem, vinil.selo].filter(Boolean).map(escapeHTML).join(' · ');
+        const edicao = vinil.edicao_limitada
+            ? `<p class="edicao">Edição limitada${vinil.numero_copia ? ` · cópia ${escapeHTML(String(vinil.numero_copia))}` : ''}</p>`
+            : '';
+        const faixas = formatarFaixas(vinil.faixas);
+
+        return `
+        <article class="vinil">
+            ${capa ? `<img src="${escapeHTML(capa)}" alt="">` : '<div class="sem-capa">♪</div>'}
+            <div class="info">
+                <h2>${escapeHTML(vinil.album)}</h2>
+                <p class="artista">${escapeHTML(vinil.artista)}</p>
+                <p class="detalhes">${detalhes}</p>
+                ${edicao}
+                ${faixas ? `<p class="faixas">${escapeHTML(faixas)}</p>` : ''}
+            </div>
+        </article>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHTML(titulo)}</title>
+<style>
+    @page { size: A4; margin: 12mm; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    body { font-family: 'Inter', -apple-system, 'Segoe UI', Roboto, sans-serif; color: #111; background: #fff; padding: 24px; }
+    header { margin-bottom: 16px; padding-bottom: 8px; border-bottom: 2px solid #111; }
+    header h1 { font-size: 22px; }
+    header p { font-size: 12px; color: #555; }
+    .catalogo { display: grid; grid-template-columns: repeat(2, 1fr); gap: 10px; }
+    .vinil { display: flex; gap: 10px; padding: 8px; border: 1px solid #ccc; border-radius: 4px; break-inside: avoid; page-break-inside: avoid; }
+    .vinil img, .sem-capa { flex-shrink: 0; width: 80px; height: 80px; object-fit: cover; border-radius: 2px; }
+    .sem-capa { display: flex; align-items: center; justify-content: center; background: #eee; font-size: 32px; color: #999; }
+    .info { min-width: 0; }
+    .info h2 { font-size: 13px; }
+    .artista { font-size: 12px; }
+    .detalhes, .edicao { font-size: 11px; color: #555; }
+    .faixas { margin-top: 4px; font-size: 9px; color: #777; }
+    @media print { body { padding: 0; } }
+</style>
+</head>
+<body>
+<header>
+    <h1>${escapeHTML(titulo)}</h1>
+    <p>${vinis.length} ${vinis.length === 1 ? 'vinil' : 'vinis'} · ${data}${subtitulo ? ` · ${escapeHTML(subtitulo)}` : ''}</p>
+</header>
+<main class="catalogo">${itens}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Monta o nome do arquivo com a data de hoje
+ * @param {string} prefixo - Ex: 'vinis-selecionados'
+ * @param {string} extensao - Ex: 'csv'
+ * @returns {string} Ex: 'vinis-selecionados-2024-05-01.csv'
+ */
+export function nomeArquivo(prefixo, extensao) {
+    const hoje = new Date();
+    const data = [hoje.getFullYear(), hoje.getMonth() + 1, hoje.getDate()]
+        .map(parte => String(parte).padStart(2, '0'))
+        .join('-');
+    return `${prefixo}-${data}.${extensao}`;
+}
+
+/**
+ * Oferece um conteúdo para download
+ * @param {string} nome - Nome do arquivo
+ * @param {string|Blob} conteudo - Conteúdo
+ * @param {string} tipo - MIME type (ex: 'text/csv')
+ */
+export function baixarArquivo(nome, conteudo, tipo) {
+    // BOM no CSV para o Excel reconhecer os acentos (UTF-8)
+    const partes = tipo.startsWith('text/csv') ? ['\uFEFF', conteudo] : [conteudo];
+    const url = URL.createObjectURL(conteudo instanceof Blob ? conteudo : new Blob(partes, { type: `${tipo};charset=utf-8` }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = nome;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Formata a tracklist em uma linha
+ * @param {Array<Object>} [faixas] - Faixas { lado, numero, titulo, duracao }
+ * @returns {string} Ex: 'A1 Speak to Me (1:13) | A2 Breathe (2:43)'
+ */
+function formatarFaixas(faixas) {
+    if (!Array.isArray(faixas)) return '';
+    return faixas
+        .map(faixa => `${faixa.lado || ''}${faixa.numero || ''} ${faixa.titulo}${faixa.duracao ? ` (${faixa.duracao})` : ''}`.trim())
+        .join(' | ');
+}
@@ -0,0 +1,108 @@
+/**
+ * favorites.js - Módulo de destaques/favoritos
+ *
+ * Um vinil em destaque tem o campo `destaque: true`. Quando o backend não
+ * conhece esse campo (a resposta do PUT volta sem ele), os destaques passam
+ * a ser guardados no localStorage deste navegador.
+ */
+
+import { getApiUrl } from './config.js';
+
+const STORAGE_KEY = 'vinyl-collection:destaques';
+// Seguido da URL da API: cada backend pode ou não conhecer o campo
+const SUPORTE_KEY = 'vinyl-collection:destaque-no-backend';
+
+// IDs destacados localmente (fallback)
+let destaquesLocais = new Set(readStoredIds());
+
+/**
+ * Indica se um vinil está em destaque
+ * @param {Object} vinil - Dados do vinil
+ * @returns {boolean} true se estiver em destaque
+ */
+export function isDestaque(vinil) {
+    if (typeof vinil.destaque === 'boolean' && backendSuportaDestaque() !== false) {
+        return vinil.destaque;
+    }
+    return destaquesLocais.has(vinil.id);
+}
+
+/**
+ * Alterna o destaque de um vinil, salvando na API ou localmente
+ * A gravação na API passa por quem chama (main.js enviarAlteracao), com o
+ * vinil como precondição e a fila do modo offline, como as demais edições.
+ * @param {Object} vinil - Vinil como está agora
+ * @param {Function} enviarAlteracao - (operacao) => Promise<{ resultado, pendente }>
+ * @returns {Promise<boolean>} Novo estado do destaque
+ */
+export async function toggleDestaque(vinil, enviarAlteracao) {
+    const { id } = vinil;
+    const novoValor = !isDestaque(vinil);
+
+    if (backendSuportaDestaque() !== false) {
+        const { resultado, pendente } = await enviarAlteracao({
+            tipo: 'atualizar', id, dados: { ...vinil, destaque: novoValor }, original: vinil
+        });
+
+        // Na fila offline: o suporte ao campo é conferido na próxima vez
+        if (pendente) return novoValor;
+
+        if (typeof resultado?.destaque === 'boolean') {
+            localStorage.setItem(chaveSuporte(), 'true');
+            return resultado.destaque;
+        }
+
+        // Backend ignorou o campo: passa a usar o armazenamento local
+        console.warn('⚠️ Backend não suporta o campo "destaque". Salvando favoritos localmente.');
+        localStorage.setItem(chaveSuporte(), 'false');
+    }
+
+    if (novoValor) {
+        destaquesLocais.add(id);
+    } else {
+        destaquesLocais.delete(id);
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify([...destaquesLocais]));
+
+    return novoValor;
+}
+
+/**
+ * Remove um ID dos destaques locais (ex: vinil deletado)
+ * @param {number} id - ID do vinil
+ */
+export function forgetDestaque(id) {
+    if (destaquesLocais.delete(id)) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify([...destaquesLocais]));
+    }
+}
+
+/**
+ * Informa se o backend guarda o campo destaque
+ * @returns {boolean|null} true/false se já detectado, null se ainda não se sabe
+ */
+function backendSuportaDestaque() {
+    const valor = localStorage.getItem(chaveSuporte());
+    return valor === null ? null : valor === 'true';
+}
+
+/**
+ * Chave do localStorage com o suporte ao destaque da API configurada
+ * @returns {string} SUPORTE_KEY seguida da URL da API
+ */
+function chaveSuporte() {
+    return `${SUPORTE_KEY}:${getApiUrl()}`;
+}
+
+/**
+ * Lê os IDs destacados salvos no localStorage
+ * @returns {Array<number>} IDs
+ */
+function readStoredIds() {
+    try {
+        const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(ids) ? ids : [];
+    } catch {
+        return [];
+    }
+}
@@ -0,0 +1,472 @@
+/**
+ * gallery.js - Galeria de imagens de cada vinil
+ *
+ * Além da capa (a frente, usada na grid), um vinil pode ter várias fotos
+ * identificadas por tipo: verso, rótulos dos lados A e B, matriz (runout),
+ * encarte e o próprio disco. Ficam no campo `imagens`, na ordem escolhida:
+ *   [{ tipo: 'rotulo_a', imagem: '/uploads/x.webp', miniatura: '/uploads/x-mini.webp' }]
+ *
+ * Contém o editor da galeria do formulário (com reordenação por arrastar)
+ * e o lightbox do modal de detalhes (zoom e troca de imagem por gesto).
+ */
+
+import { resolveAssetUrl } from './config.js';
+import { escapeHTML } from './utils.js';
+import * as image from './image.js';
+
+// Tipos de imagem (tipo → rótulo), na ordem sugerida para a galeria
+export const TIPOS_IMAGEM = {
+    frente: 'Frente',
+    verso: 'Verso',
+    rotulo_a: 'Rótulo lado A',
+    rotulo_b: 'Rótulo lado B',
+    matriz: 'Matriz (runout)',
+    encarte: 'Encarte',
+    disco: 'Disco'
+};
+
+// Zoom do lightbox
+const ZOOM_MAXIMO = 4;
+const PASSO_ZOOM = 1.5;
+
+// Deslocamento horizontal (px) que troca de imagem no gesto
+const DISTANCIA_SWIPE = 50;
+
+// Imagens no editor do formulário: [{ tipo, imagem, miniatura }]
+let itens = [];
+
+// Lightbox aberto: { imagens, indice, zoom, x, y, foco }
+let lightbox = null;
+
+/**
+ * Lista as imagens de um vinil para exibição: a capa (frente) e a galeria
+ * @param {Object} vinil - Dados do vinil
+ * @returns {Array<Object>} [{ tipo, rotulo, src, miniatura }] com URLs já resolvidas
+ */
+export function imagensDoVinil(vinil) {
+    const capa = vinil.capa
+        ? [{ tipo: 'frente', imagem: vinil.capa, miniatura: vinil.capa_miniatura }]
+        : [];
+    const galeria = Array.isArray(vinil.imagens) ? vinil.imagens.filter(item => item?.imagem) : [];
+
+    return [...capa, ...galeria].map(item => ({
+        tipo: item.tipo,
+        rotulo: TIPOS_IMAGEM[item.tipo] || 'Imagem',
+        src: resolveAssetUrl(item.imagem),
+        miniatura: resolveAssetUrl(item.miniatura || item.imagem)
+    }));
+}
+
+/**
+ * Configura o editor da galeria do formulário
+ * @param {Object} [options] - Opções
+ * @param {Function} [options.onErro] - Recebe a mensagem de um arquivo recusado
+ */
+export function setupGaleriaEditor({ onErro } = {}) {
+    const editor = document.getElementById('galeria-editor');
+    const fileInput = document.getElementById('form-galeria');
+    if (!editor) return;
+
+    const adicionar = async (arquivos) => {
+        const erros = await adicionarArquivos(arquivos);
+        erros.forEach(erro => onErro?.(erro));
+    };
+
+    document.getElementById('btn-galeria-adicionar')?.addEventListener('click', () => {
+        fileInput?.click();
+    });
+
+    fileInput?.addEventListener('change', async () => {
+        await adicionar([...fileInput.files]);
+        fileInput.value = '';
+    });
+
+    editor.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('galeria-tipo')) return;
+        itens[indiceDoItem(e.target)].tipo = e.target.value;
+    });
+
+    // Remover e mover (botões, para quem não usa o arrastar)
+    editor.addEventListener('click', (e) => {
+        const botao = e.target.closest('[data-galeria-acao]');
+        if (!botao) return;
+        const indice = indiceDoItem(botao);
+
+        switch (botao.dataset.galeriaAcao) {
+            case 'remover':
+                itens.splice(indice, 1);
+                renderEditor();
+                break;
+            case 'anterior':
+                moverItem(indice, indice - 1);
+                break;
+            case 'proxima':
+                moverItem(indice, indice + 1);
+                break;
+        }
+    });
+
+    // Arrastar um item reordena; arrastar arquivos para a lista os adiciona
+    let arrastado = null;
+
+    editor.addEventListener('dragstart', (e) => {
+        const item = e.target.closest('.galeria-item');
+        if (!item) return;
+        arrastado = indiceDoItem(item);
+        item.classList.add('is-arrastado');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', String(arrastado));
+    });
+
+    editor.addEventListener('dragover', (e) => {
+        if (arrastado === null && !e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        editor.classList.toggle('is-arrastando', arrastado === null);
+    });
+
+    editor.addEventListener('dragleave', () => {
+        editor.classList.remove('is-arrastando');
+    });
+
+    editor.addEventListener('drop', (e) => {
+        e.preventDefault();
+        editor.classList.remove('is-arrastando');
+
+        if (arrastado === null) {
+            adicionar([...(e.dataTransfer?.files || [])]);
+            return;
+        }
+
+        const alvo = e.target.closest('.galeria-item');
+        moverItem(arrastado, alvo ? indiceDoItem(alvo) : itens.length - 1);
+        arrastado = null;
+    });
+
+    editor.addEventListener('dragend', () => {
+        arrastado = null;
+        editor.querySelector('.is-arrastado')?.classList.remove('is-arrastado');
+    });
+
+    renderEditor();
+}
+
+/**
+ * Preenche o editor com as imagens de um vinil
+ * @param {Array<Object>} imagens - Imagens da galeria ({ tipo, imagem, miniatura })
+ */
+export function setGaleria(imagens = []) {
+    itens = (Array.isArray(imagens) ? imagens : [])
+        .filter(item => item?.imagem)
+        .map(({ tipo, imagem, miniatura }) => ({
+            tipo: tipo in TIPOS_IMAGEM ? tipo : 'encarte',
+            imagem,
+            miniatura: miniatura || null
+        }));
+    renderEditor();
+}
+
+/**
+ * Limpa o editor da galeria
+ */
+export function clearGaleria() {
+    setGaleria([]);
+}
+
+/**
+ * Lê as imagens do editor, na ordem atual
+ * Imagens novas vêm em data URL; as já salvas, com o caminho no servidor.
+ * @returns {Array<Object>} [{ tipo, imagem, miniatura }]
+ */
+export function getGaleria() {
+    return itens.map(item => ({ ...item }));
+}
+
+/**
+ * Configura os controles do lightbox (botões, teclado, zoom e gestos)
+ * O ESC fica com o atalho global de main.js (ver fecharLightbox).
+ */
+export function setupLightbox() {
+    const palco = document.getElementById('lightbox-palco');
+    if (!palco) return;
+
+    document.getElementById('btn-lightbox-fechar')?.addEventListener('click', fecharLightbox);
+    document.getElementById('btn-lightbox-anterior')?.addEventListener('click', () => irPara(lightbox.indice - 1));
+    document.getElementById('btn-lightbox-proxima')?.addEventListener('click', () => irPara(lightbox.indice + 1));
+    document.getElementById('btn-lightbox-mais')?.addEventListener('click', () => aplicarZoom(lightbox.zoom * PASSO_ZOOM));
+    document.getElementById('btn-lightbox-menos')?.addEventListener('click', () => aplicarZoom(lightbox.zoom / PASSO_ZOOM));
+
+    document.getElementById('lightbox-miniaturas')?.addEventListener('click', (e) => {
+        const botao = e.target.closest('[data-lightbox-indice]');
+        if (botao) irPara(Number(botao.dataset.lightboxIndice));
+    });
+
+    document.addEventListener('keydown', (e) => {
+        if (!lightbox) return;
+        const acoes = {
+            ArrowLeft: () => irPara(lightbox.indice - 1),
+            ArrowRight: () => irPara(lightbox.indice + 1),
+            '+': () => aplicarZoom(lightbox.zoom * PASSO_ZOOM),
+            '=': () => aplicarZoom(lightbox.zoom * PASSO_ZOOM),
+            '-': () => aplicarZoom(lightbox.zoom / PASSO_ZOOM),
+            '0': () => aplicarZoom(1)
+        };
+        if (!acoes[e.key]) return;
+        e.preventDefault();
+        acoes[e.key]();
+    });
+
+    // Roda do mouse: zoom
+    palco.addEventListener('wheel', (e) => {
+        if (!lightbox) return;
+        e.preventDefault();
+        aplicarZoom(lightbox.zoom * (e.deltaY < 0 ? 1.2 : 1 / 1.2));
+    }, { passive: false });
+
+    // Clique duplo: alterna entre o tamanho original e 2,5x
+    palco.addEventListener('dblclick', () => {
+        if (lightbox) aplicarZoom(lightbox.zoom > 1 ? 1 : 2.5);
+    });
+
+    // Ponteiros: um dedo arrasta (com zoom) ou troca de imagem (sem zoom);
+    // dois dedos fazem pinça
+    const ponteiros = new Map();
+    let gesto = null;
+
+    palco.addEventListener('pointerdown', (e) => {
+        if (!lightbox) return;
+        palco.setPointerCapture?.(e.pointerId);
+        ponteiros.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        gesto = ponteiros.size === 2
+            ? { tipo: 'pinca', distancia: distanciaEntre(ponteiros), zoom: lightbox.zoom }
+            : { tipo: lightbox.zoom > 1 ? 'arrastar' : 'swipe', inicio: { x: e.clientX, y: e.clientY }, x: lightbox.x, y: lightbox.y };
+    });
+
+    palco.addEventListener('pointermove', (e) => {
+        if (!gesto || !ponteiros.has(e.pointerId)) return;
+        ponteiros.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (gesto.tipo === 'pinca' && ponteiros.size === 2) {
+            aplicarZoom(gesto.zoom * (distanciaEntre(ponteiros) / gesto.distancia));
+        } else if (gesto.tipo === 'arrastar') {
+            lightbox.x = gesto.x + e.clientX - gesto.inicio.x;
+            lightbox.y = gesto.y + e.clientY - gesto.inicio.y;
+            renderZoom();
+        }
+    });
+
+    const soltar = (e) => {
+        if (gesto?.tipo === 'swipe') {
+            const dx = e.clientX - gesto.inicio.x;
+            const dy = e.clientY - gesto.inicio.y;
+            if (Math.abs(dx) > DISTANCIA_SWIPE && Math.abs(dx) > Math.abs(dy)) {
+                irPara(lightbox.indice + (dx < 0 ? 1 : -1));
+            }
+        }
+        ponteiros.delete(e.pointerId);
+        gesto = null;
+    };
+    palco.addEventListener('pointerup', soltar);
+    palco.addEventListener('pointercancel', soltar);
+}
+
+/**
+ * Abre o lightbox
+ * @param {Array<Object>} imagens - Imagens (ver imagensDoVinil)
+ * @param {number} [indice=0] - Imagem exibida primeiro
+ */
+export function abrirLightbox(imagens, indice = 0) {
+    if (!imagens || imagens.length === 0) return;
+
+    lightbox = { imagens, indice: 0, zoom: 1, x: 0, y: 0, foco: document.activeElement };
+    document.getElementById('lightbox').hidden = false;
+    renderMiniaturasLightbox();
+    irPara(indice);
+    document.getElementById('btn-lightbox-fechar')?.focus();
+}
+
+/**
+ * Fecha o lightbox e devolve o foco a quem o abriu
+ */
+export function fecharLightbox() {
+    if (!lightbox) return;
+    const { foco } = lightbox;
+    lightbox = null;
+
+    document.getElementById('lightbox').hidden = true;
+    document.getElementById('lightbox-img').removeAttribute('src');
+    foco?.focus?.();
+}
+
+/**
+ * Indica se o lightbox está aberto
+ * @returns {boolean} true se aberto
+ */
+export function isLightboxAberto() {
+    return lightbox !== null;
+}
+
+/**
+ * Mostra outra imagem do lightbox (a lista é circular) e zera o zoom
+ * @param {number} indice - Posição da imagem
+ */
+function irPara(indice) {
+    if (!lightbox) return;
+    const total = lightbox.imagens.length;
+    lightbox.indice = ((indice % total) + total) % total;
+
+    const atual = lightbox.imagens[lightbox.indice];
+    const img = document.getElementById('lightbox-img');
+    img.src = atual.src;
+    img.alt = atual.rotulo;
+    document.getElementById('lightbox-legenda').textContent = `${atual.rotulo} · ${lightbox.indice + 1} de ${total}`;
+
+    document.querySelectorAll('#lightbox-miniaturas [data-lightbox-indice]').forEach(botao => {
+        botao.classList.toggle('active', Number(botao.dataset.lightboxIndice) === lightbox.indice);
+    });
+    document.getElementById('btn-lightbox-anterior').hidden = total < 2;
+    document.getElementById('btn-lightbox-proxima').hidden = total < 2;
+
+    aplicarZoom(1);
+}
+
+/**
+ * Muda o zoom do lightbox (entre 1x e ZOOM_MAXIMO); em 1x a imagem volta ao centro
+ * @param {number} zoom - Zoom desejado
+ */
+function aplicarZoom(zoom) {
+    if (!lightbox) return;
+    lightbox.zoom = Math.min(ZOOM_MAXIMO, Math.max(1, zoom));
+    if (lightbox.zoom === 1) {
+        lightbox.x = 0;
+        lightbox.y = 0;
+    }
+    renderZoom();
+}
+
+/**
+ * Aplica zoom e deslocamento à imagem do lightbox
+ */
+function renderZoom() {
+    const img = document.getElementById('lightbox-img');
+    img.style.transform = `translate(${lightbox.x}px, ${lightbox.y}px) scale(${lightbox.zoom})`;
+    img.classList.toggle('is-ampliada', lightbox.zoom > 1);
+}
+
+/**
+ * Monta a faixa de miniaturas do lightbox
+ */
+function renderMiniaturasLightbox() {
+    const faixa = document.getElementById('lightbox-miniaturas');
+    faixa.hidden = lightbox.imagens.length < 2;
+    faixa.innerHTML = lightbox.imagens.map((item, indice) => `
+        <button type="button" class="lightbox-miniatura" data-lightbox-indice="${indice}">
+            <img src="${escapeHTML(item.miniatura)}" alt="${escapeHTML(item.rotulo)}">
+        </button>
+    `).join('');
+}
+
+/**
+ * Distância entre os dois primeiros ponteiros (pinça)
+ * @param {Map} ponteiros - pointerId → { x, y }
+ * @returns {number} Distância em pixels (mínimo 1)
+ */
+function distanciaEntre(ponteiros) {
+    const [a, b] = [...ponteiros.values()];
+    return Math.max(1, Math.hypot(a.x - b.x, a.y - b.y));
+}
+
+/**
+ * Reduz e acrescenta imagens ao editor
+ * O tipo sugerido é o primeiro da lista que a galeria ainda não tem.
+ * @param {Array<File>} arquivos - Arquivos escolhidos, arrastados ou colados
+ * @returns {Promise<Array<string>>} Mensagens dos arquivos recusados
+ */
+async function adicionarArquivos(arquivos) {
+    const erros = [];
+
+    for (const arquivo of arquivos) {
+        if (!arquivo.type.startsWith('image/')) {
+            erros.push(`"${arquivo.name}" não é uma imagem (use JPG, PNG, GIF ou WEBP).`);
+            continue;
+        }
+        if (arquivo.size > image.TAMANHO_MAXIMO_ORIGINAL) {
+            erros.push(`"${arquivo.name}" é muito grande! Máximo ${image.formatarTamanho(image.TAMANHO_MAXIMO_ORIGINAL)}.`);
+            continue;
+        }
+
+        try {
+            const original = await image.carregarImagem(arquivo);
+            const reduzida = image.reduzirImagem(original, image.getImagemConfig());
+            image.liberarImagem(original);
+
+            itens.push({ tipo: proximoTipo(), imagem: reduzida.imagem, miniatura: reduzida.miniatura });
+        } catch (error) {
+            erros.push(`"${arquivo.name}": ${error.message}`);
+        }
+    }
+
+    renderEditor();
+    return erros;
+}
+
+/**
+ * Move uma imagem do editor para outra posição
+ * @param {number} de - Posição atual
+ * @param {number} para - Nova posição
+ */
+function moverItem(de, para) {
+    if (para < 0 || para >= itens.length || de === para) return;
+    const [item] = itens.splice(de, 1);
+    itens.splice(para, 0, item);
+    renderEditor();
+    document.querySelector(`#galeria-editor .galeria-item[data-indice="${para}"] .galeria-tipo`)?.focus();
+}
+
+/**
+ * Sugere o tipo de uma nova imagem: o primeiro (depois da frente) ainda não usado
+ * @returns {string} Tipo (chave de TIPOS_IMAGEM)
+ */
+function proximoTipo() {
+    const usados = new Set(itens.map(item => item.tipo));
+    return Object.keys(TIPOS_IMAGEM).find(tipo => tipo !== 'frente' && !usados.has(tipo)) || 'encarte';
+}
+
+/**
+ * Posição, no editor, do item que contém o elemento
+ * @param {HTMLElement} elemento - Elemento dentro de um .galeria-item
+ * @returns {number} Índice em `itens`
+ */
+function indiceDoItem(elemento) {
+    return Number(elemento.closest('.galeria-item').dataset.indice);
+}
+
+/**
+ * Redesenha a lista de imagens do editor
+ */
+function renderEditor() {
+    const editor = document.getElementById('galeria-editor');
+    if (!editor) return;
+
+    editor.innerHTML = itens.map((item, indice) => `
+        <li class="galeria-item" data-indice="${indice}" draggable="true">
+            <img class="galeria-miniatura" src="${escapeHTML(resolveAssetUrl(item.miniatura || item.imagem))}" alt="" draggable="false">
+            <select class="form-input galeria-tipo" aria-label="Tipo da imagem ${indice + 1}">
+                ${Object.entries(TIPOS_IMAGEM).map(([tipo, rotulo]) => `<option value="${tipo}">${rotulo}</option>`).join('')}
+            </select>
+            <div class="galeria-acoes">
+                <button type="button" data-galeria-acao="anterior" title="Mover para antes" ${indice === 0 ? 'disabled' : ''}>◀</button>
+                <button type="button" data-galeria-acao="proxima" title="Mover para depois" ${indice === itens.length - 1 ? 'disabled' : ''}>▶</button>
+                <button type="button" class="galeria-remover" data-galeria-acao="remover" title="Remover imagem">✕</button>
+            </div>
+        </li>
+    `).join('');
+
+    // Valores atribuídos via propriedade para não precisar escapar HTML
+    editor.querySelectorAll('.galeria-tipo').forEach((select, indice) => {
+        select.value = itens[indice].tipo;
+    });
+
+    const vazio = document.getElementById('galeria-editor-empty');
+    if (vazio) vazio.style.display = itens.length === 0 ? 'block' : 'none';
+}
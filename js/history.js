@@ -0,0 +1,134 @@
+/**
+ * history.js - Histórico de alterações da sessão (desfazer)
+ *
+ * Cada inclusão, edição e exclusão feita pelo app fica registrada com os
+ * dados necessários para revertê-la:
+ *   adicionar - desfazer exclui o vinil criado
+ *   atualizar - desfazer regrava os valores anteriores
+ *   deletar   - desfazer recria o vinil (com a capa) e ele ganha um novo ID
+ * O histórico vive só na memória: fechar ou recarregar a página o descarta.
+ */
+
+import { CAMPOS_MESCLAGEM } from './conflicts.js';
+
+// Quantidade máxima de alterações guardadas (as mais antigas saem primeiro)
+const MAX_HISTORICO = 50;
+
+// Alterações registradas, da mais antiga para a mais recente
+let entradas = [];
+let proximoNumero = 1;
+
+const changeHandlers = new Set();
+
+/**
+ * Registra uma alteração no histórico
+ * @param {Object} alteracao - Alteração feita
+ * @param {string} alteracao.tipo - 'adicionar' | 'atualizar' | 'deletar'
+ * @param {number} alteracao.id - ID do vinil alterado
+ * @param {Object} [alteracao.antes] - Dados a restaurar (atualizar/deletar)
+ * @param {Object} [alteracao.depois] - Vinil após a alteração (adicionar/atualizar)
+ * @param {string} alteracao.descricao - Texto exibido no histórico (ex: 'The Wall — Pink Floyd')
+ * @returns {Object} Entrada criada ({ numero, data, desfeita, ... })
+ */
+export function registrar({ tipo, id, antes = null, depois = null, descricao }) {
+    const entrada = { numero: proximoNumero++, tipo, id, antes, depois, descricao, data: Date.now(), desfeita: false };
+
+    entradas.push(entrada);
+    if (entradas.length > MAX_HISTORICO) {
+        entradas = entradas.slice(-MAX_HISTORICO);
+    }
+
+    notificar();
+    return entrada;
+}
+
+/**
+ * Lista o histórico, da alteração mais recente para a mais antiga
+ * @returns {Array<Object>} Entradas
+ */
+export function getHistorico() {
+    return [...entradas].reverse();
+}
+
+/**
+ * Quantidade de alterações que ainda podem ser desfeitas
+ * @returns {number} Total de entradas não desfeitas
+ */
+export function contarDesfazer() {
+    return entradas.filter(entrada => !entrada.desfeita).length;
+}
+
+/**
+ * Alterações a desfazer para voltar até uma entrada, na ordem em que
+ * devem ser revertidas (da mais recente até ela, inclusive)
+ * @param {number} [numero] - Número da entrada (padrão: só a última)
+ * @returns {Array<Object>} Entradas ainda não desfeitas
+ */
+export function getPassosAte(numero) {
+    const pendentes = getHistorico().filter(entrada => !entrada.desfeita);
+    if (numero === undefined) return pendentes.slice(0, 1);
+
+    const indice = pendentes.findIndex(entrada => entrada.numero === numero);
+    return indice === -1 ? [] : pendentes.slice(0, indice + 1);
+}
+
+/**
+ * Marca uma alteração como desfeita
+ * @param {number} numero - Número da entrada
+ */
+export function marcarDesfeita(numero) {
+    const entrada = entradas.find(item => item.numero === numero);
+    if (!entrada) return;
+
+    entrada.desfeita = true;
+    notificar();
+}
+
+/**
+ * Troca o ID de um vinil em todo o histórico
+ * Usado quando desfazer uma exclusão recria o vinil com um novo ID, para que
+ * as alterações anteriores a ela continuem apontando para o vinil certo.
+ * @param {number} antigo - ID anterior
+ * @param {number} novo - ID atual
+ */
+export function remapearId(antigo, novo) {
+    entradas.forEach(entrada => {
+        if (entrada.id !== antigo) return;
+        entrada.id = novo;
+        if (entrada.depois) entrada.depois = { ...entrada.depois, id: novo };
+    });
+}
+
+/**
+ * Registra uma função chamada sempre que o histórico muda
+ * @param {Function} handler - Recebe o histórico (mais recente primeiro)
+ */
+export function onChange(handler) {
+    changeHandlers.add(handler);
+}
+
+/**
+ * Extrai de um vinil só os campos editáveis, para regravá-lo depois
+ * IDs internos das faixas ficam de fora (o backend gera novos).
+ * @param {Object} vinil - Dados do vinil
+ * @returns {Object} Dados no formato do formulário
+ */
+export function dadosEditaveis(vinil) {
+    const dados = {};
+    Object.keys(CAMPOS_MESCLAGEM).forEach(campo => {
+        if (vinil[campo] !== undefined) dados[campo] = vinil[campo];
+    });
+    if (Array.isArray(dados.faixas)) {
+        dados.faixas = dados.faixas.map(({ id, vinil_id, ...faixa }) => faixa);
+    }
+    if (typeof vinil.destaque === 'boolean') dados.destaque = vinil.destaque;
+    return dados;
+}
+
+/**
+ * Avisa os interessados de que o histórico mudou
+ */
+function notificar() {
+    const historico = getHistorico();
+    changeHandlers.forEach(handler => handler(historico));
+}
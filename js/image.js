@@ -0,0 +1,299 @@
+/**
+ * image.js - Tratamento das capas no navegador antes do envio
+ *
+ * A imagem escolhida no formulário passa por um canvas:
+ * 1. corte quadrado (escolhido no quadro de recorte do formulário)
+ * 2. redução até a dimensão máxima configurada
+ * 3. nova codificação em WebP ou JPEG na qualidade configurada; o canvas não
+ *    copia metadados, então EXIF e GPS da foto original ficam de fora
+ * 4. miniatura menor, usada na grid
+ * As fotos da galeria (verso, rótulos, matriz...) não são recortadas: só
+ * reduzidas e codificadas do mesmo jeito (ver reduzirImagem).
+ * A orientação EXIF já vem aplicada pelo navegador ao decodificar a imagem.
+ */
+
+const STORAGE_KEY = 'vinyl-collection:imagem';
+
+// Parâmetros padrão (ajustáveis no painel de configurações)
+const DEFAULT_CONFIG = {
+    dimensaoMaxima: 1200,
+    formato: 'webp',
+    qualidade: 0.85,
+    dimensaoMiniatura: 300
+};
+
+// Opções oferecidas no painel de configurações
+export const DIMENSOES = [600, 800, 1000, 1200, 1600, 2000];
+export const FORMATOS = {
+    webp: 'WebP',
+    jpeg: 'JPEG'
+};
+
+// Tamanho máximo do arquivo original (a capa enviada sai bem menor)
+export const TAMANHO_MAXIMO_ORIGINAL = 20 * 1024 * 1024;
+
+// Menor lado aceito no quadro de recorte (pixels da imagem original)
+const LADO_MINIMO_CORTE = 50;
+
+let config = loadStoredConfig();
+
+/**
+ * Retorna uma cópia da configuração de imagens ativa
+ * @returns {Object} { dimensaoMaxima, formato, qualidade, dimensaoMiniatura }
+ */
+export function getImagemConfig() {
+    return { ...config };
+}
+
+/**
+ * Salva uma nova configuração de imagens no localStorage
+ * @param {Object} values - { dimensaoMaxima, formato, qualidade } (parcial)
+ * @returns {Object} Configuração ativa após a alteração
+ */
+export function saveImagemConfig(values) {
+    config = mergeConfig({ ...config, ...values });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    return getImagemConfig();
+}
+
+/**
+ * Restaura a configuração padrão de imagens
+ * @returns {Object} Configuração padrão
+ */
+export function resetImagemConfig() {
+    localStorage.removeItem(STORAGE_KEY);
+    config = mergeConfig({});
+    return getImagemConfig();
+}
+
+/**
+ * Decodifica um arquivo de imagem
+ * O endereço da imagem (imagem.src) continua válido para exibir o original
+ * no quadro de recorte, até liberarImagem.
+ * @param {File|Blob} arquivo - Imagem escolhida
+ * @returns {Promise<HTMLImageElement>} Imagem carregada (com naturalWidth/naturalHeight)
+ * @throws {Error} Se o navegador não conseguir ler a imagem
+ */
+export function carregarImagem(arquivo) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(arquivo);
+        const imagem = new Image();
+
+        imagem.onload = () => resolve(imagem);
+        imagem.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Não foi possível ler a imagem.'));
+        };
+        imagem.src = url;
+    });
+}
+
+/**
+ * Libera a memória de uma imagem carregada por carregarImagem
+ * @param {HTMLImageElement} imagem - Imagem original
+ */
+export function liberarImagem(imagem) {
+    if (imagem?.src.startsWith('blob:')) URL.revokeObjectURL(imagem.src);
+}
+
+/**
+ * Corte quadrado inicial: o maior quadrado possível, centralizado
+ * @param {number} largura - Largura da imagem
+ * @param {number} altura - Altura da imagem
+ * @returns {{ x: number, y: number, lado: number }} Corte em pixels da imagem
+ */
+export function cortePadrao(largura, altura) {
+    const lado = Math.min(largura, altura);
+    return {
+        x: Math.round((largura - lado) / 2),
+        y: Math.round((altura - lado) / 2),
+        lado
+    };
+}
+
+/**
+ * Mantém o corte dentro da imagem (e com um tamanho mínimo)
+ * @param {{ x: number, y: number, lado: number }} corte - Corte desejado
+ * @param {number} largura - Largura da imagem
+ * @param {number} altura - Altura da imagem
+ * @returns {{ x: number, y: number, lado: number }} Corte válido
+ */
+export function limitarCorte({ x, y, lado }, largura, altura) {
+    const maximo = Math.min(largura, altura);
+    const ladoValido = Math.round(Math.min(maximo, Math.max(Math.min(LADO_MINIMO_CORTE, maximo), lado)));
+
+    return {
+        x: Math.round(Math.min(largura - ladoValido, Math.max(0, x))),
+        y: Math.round(Math.min(altura - ladoValido, Math.max(0, y))),
+        lado: ladoValido
+    };
+}
+
+/**
+ * Gera a capa e a miniatura a partir do corte escolhido
+ * Sem suporte a WebP no navegador, a capa sai em JPEG.
+ * @param {HTMLImageElement} imagem - Imagem original (ver carregarImagem)
+ * @param {{ x: number, y: number, lado: number }} corte - Corte em pixels da imagem
+ * @param {Object} [opcoes] - Parâmetros (padrão: configuração ativa)
+ * @returns {{ capa: string, miniatura: string, lado: number, formato: string, bytes: number }}
+ *   capa e miniatura em data URL; lado em pixels; formato: 'WebP' | 'JPEG'; bytes da capa
+ */
+export function processarImagem(imagem, corte, opcoes = config) {
+    const { dimensaoMaxima, formato, qualidade, dimensaoMiniatura } = { ...config, ...opcoes };
+    const origem = { x: corte.x, y: corte.y, largura: corte.lado, altura: corte.lado };
+    const lado = Math.min(corte.lado, dimensaoMaxima);
+    const ladoMiniatura = Math.min(lado, dimensaoMiniatura);
+
+    const { dataUrl: capa, tipo } = codificar(imagem, origem, lado, lado, formato, qualidade);
+
+    return {
+        capa,
+        miniatura: desenhar(imagem, origem, ladoMiniatura, ladoMiniatura, tipo, qualidade),
+        lado,
+        formato: tipo === 'image/webp' ? FORMATOS.webp : FORMATOS.jpeg,
+        bytes: tamanhoDataUrl(capa)
+    };
+}
+
+/**
+ * Reduz a imagem inteira, sem recorte, mantendo a proporção
+ * Usado nas fotos da galeria: o lado maior fica com até a dimensão máxima.
+ * @param {HTMLImageElement} imagem - Imagem original (ver carregarImagem)
+ * @param {Object} [opcoes] - Parâmetros (padrão: configuração ativa)
+ * @returns {{ imagem: string, miniatura: string, largura: number, altura: number, bytes: number }}
+ *   imagem e miniatura em data URL; largura e altura em pixels; bytes da imagem
+ */
+export function reduzirImagem(imagem, opcoes = config) {
+    const { dimensaoMaxima, formato, qualidade, dimensaoMiniatura } = { ...config, ...opcoes };
+    const origem = { x: 0, y: 0, largura: imagem.naturalWidth, altura: imagem.naturalHeight };
+    const [largura, altura] = dimensoesReduzidas(origem, dimensaoMaxima);
+    const [larguraMiniatura, alturaMiniatura] = dimensoesReduzidas(origem, Math.min(dimensaoMiniatura, dimensaoMaxima));
+
+    const { dataUrl, tipo } = codificar(imagem, origem, largura, altura, formato, qualidade);
+
+    return {
+        imagem: dataUrl,
+        miniatura: desenhar(imagem, origem, larguraMiniatura, alturaMiniatura, tipo, qualidade),
+        largura,
+        altura,
+        bytes: tamanhoDataUrl(dataUrl)
+    };
+}
+
+/**
+ * Converte um data URL base64 em Blob (para o envio em multipart)
+ * @param {string} dataUrl - Data URL (ex: a capa gerada por processarImagem)
+ * @returns {Blob} Arquivo com o MIME type do data URL
+ */
+export function dataUrlParaBlob(dataUrl) {
+    const [cabecalho, base64] = dataUrl.split(',');
+    const tipo = cabecalho.match(/^data:([^;]+)/)?.[1] || 'application/octet-stream';
+    const binario = atob(base64);
+
+    const bytes = new Uint8Array(binario.length);
+    for (let i = 0; i < binario.length; i++) bytes[i] = binario.charCodeAt(i);
+    return new Blob([bytes], { type: tipo });
+}
+
+/**
+ * Formata um tamanho em bytes
+ * @param {number} bytes - Tamanho
+ * @returns {string} Ex: '142 KB', '1,2 MB'
+ */
+export function formatarTamanho(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1).replace('.', ',')} MB`;
+}
+
+/**
+ * Dimensões de uma área reduzida até um lado maior máximo (sem ampliar)
+ * @param {{ largura: number, altura: number }} origem - Área original
+ * @param {number} maximo - Lado maior máximo
+ * @returns {Array<number>} [largura, altura]
+ */
+function dimensoesReduzidas({ largura, altura }, maximo) {
+    const escala = Math.min(1, maximo / Math.max(largura, altura));
+    return [Math.max(1, Math.round(largura * escala)), Math.max(1, Math.round(altura * escala))];
+}
+
+/**
+ * Desenha e codifica no formato pedido; sem suporte a ele no navegador, em JPEG
+ * @param {HTMLImageElement} imagem - Imagem original
+ * @param {Object} origem - Área da imagem: { x, y, largura, altura }
+ * @param {number} largura - Largura do resultado em pixels
+ * @param {number} altura - Altura do resultado em pixels
+ * @param {string} formato - Chave de FORMATOS (ex: 'webp')
+ * @param {number} qualidade - 0 a 1
+ * @returns {{ dataUrl: string, tipo: string }} Data URL e o MIME type usado
+ */
+function codificar(imagem, origem, largura, altura, formato, qualidade) {
+    const tipo = `image/${formato}`;
+    const dataUrl = desenhar(imagem, origem, largura, altura, tipo, qualidade);
+    if (dataUrl.startsWith(`data:${tipo}`)) return { dataUrl, tipo };
+
+    return { dataUrl: desenhar(imagem, origem, largura, altura, 'image/jpeg', qualidade), tipo: 'image/jpeg' };
+}
+
+/**
+ * Desenha uma área da imagem num canvas e codifica
+ * O fundo branco evita que áreas transparentes (PNG, GIF) fiquem pretas no JPEG.
+ * @param {HTMLImageElement} imagem - Imagem original
+ * @param {Object} origem - Área da imagem: { x, y, largura, altura }
+ * @param {number} largura - Largura do resultado em pixels
+ * @param {number} altura - Altura do resultado em pixels
+ * @param {string} tipo - MIME type (ex: 'image/webp')
+ * @param {number} qualidade - 0 a 1
+ * @returns {string} Data URL
+ */
+function desenhar(imagem, origem, largura, altura, tipo, qualidade) {
+    const canvas = document.createElement('canvas');
+    canvas.width = largura;
+    canvas.height = altura;
+
+    const contexto = canvas.getContext('2d');
+    contexto.fillStyle = '#ffffff';
+    contexto.fillRect(0, 0, largura, altura);
+    contexto.imageSmoothingQuality = 'high';
+    contexto.drawImage(imagem, origem.x, origem.y, origem.largura, origem.altura, 0, 0, largura, altura);
+
+    return canvas.toDataURL(tipo, qualidade);
+}
+
+/**
+ * Tamanho aproximado, em bytes, do conteúdo de um data URL base64
+ * @param {string} dataUrl - Data URL
+ * @returns {number} Bytes
+ */
+function tamanhoDataUrl(dataUrl) {
+    const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+    return Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+}
+
+/**
+ * Lê a configuração salva no localStorage
+ * @returns {Object} Configuração (padrão se não houver)
+ */
+function loadStoredConfig() {
+    try {
+        return mergeConfig(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch {
+        return mergeConfig({});
+    }
+}
+
+/**
+ * Combina valores com os padrões, descartando os inválidos
+ * @param {Object} values - Valores (parciais)
+ * @returns {Object} Configuração completa
+ */
+function mergeConfig(values) {
+    const dimensao = Number(values.dimensaoMaxima);
+    const qualidade = Number(values.qualidade);
+
+    return {
+        dimensaoMaxima: DIMENSOES.includes(dimensao) ? dimensao : DEFAULT_CONFIG.dimensaoMaxima,
+        formato: values.formato in FORMATOS ? values.formato : DEFAULT_CONFIG.formato,
+        qualidade: qualidade >= 0.3 && qualidade <= 1 ? qualidade : DEFAULT_CONFIG.qualidade,
+        dimensaoMiniatura: DEFAULT_CONFIG.dimensaoMiniatura
+    };
+}
@@ -0,0 +1,421 @@
+/**
+ * import.js - Leitura de planilhas (CSV, TSV) e JSON para importação
+ *
+ * Etapas do assistente de importação:
+ * 1. lerArquivo: texto do arquivo → colunas + linhas (objetos coluna → valor)
+ * 2. sugerirMapeamento: adivinha qual coluna vai para cada campo do vinil
+ * 3. converterLinha: linha + mapeamento → dados do vinil (cor, mídia,
+ *    tamanho, rotação e estado normalizados para os valores do formulário)
+ * 4. encontrarDuplicado: compara com a coleção (e com o próprio arquivo);
+ *    numa duplicata, camposAlterados diz o que a linha atualizaria
+ * Um backup gerado pelo app (formato 'Backup') pula as etapas 2 e 3: as
+ * linhas já são vinis completos, com capa em base64.
+ * Funções puras: o envio à API fica no main.js.
+ */
+
+import { normalizeText, valoresIguais } from './utils.js';
+import { FORMATO_BACKUP, VERSAO_BACKUP, INICIO_DE_FORMULA } from './export.js';
+import { CORES, MIDIAS, TAMANHOS, RPMS, CONDICOES, CAMPOS_PRENSAGEM } from './validation.js';
+
+// Campos que a importação preenche (campo → rótulo)
+export const CAMPOS_IMPORTACAO = {
+    artista: 'Artista',
+    album: 'Álbum',
+    cor_prensagem: 'Cor da prensagem',
+    ano: 'Ano',
+    midia: 'Tipo de mídia',
+    selo: 'Selo/Gravadora',
+    ...CAMPOS_PRENSAGEM
+};
+
+// Valor usado quando o arquivo não tem a coluna (ou a célula está vazia)
+export const PADROES_IMPORTACAO = {
+    cor_prensagem: 'Preto',
+    midia: 'LP'
+};
+
+// Nomes de coluna reconhecidos para cada campo (já normalizados)
+const SINONIMOS_COLUNA = {
+    artista: ['artista', 'artist', 'artistas', 'banda', 'band', 'interprete', 'autor'],
+    album: ['album', 'title', 'titulo', 'disco', 'nome', 'release'],
+    cor_prensagem: ['cor_prensagem', 'cor da prensagem', 'cor', 'color', 'colour', 'vinyl color'],
+    ano: ['ano', 'year', 'released', 'lancamento', 'ano de lancamento', 'data'],
+    midia: ['midia', 'media', 'format', 'formato', 'tipo', 'tipo de midia'],
+    selo: ['selo', 'label', 'gravadora', 'editora', 'record label'],
+    numero_catalogo: ['numero catalogo', 'numero de catalogo', 'catalogo', 'catalog#', 'catalog', 'catalog number', 'cat#', 'catno'],
+    codigo_barras: ['codigo barras', 'codigo de barras', 'barcode', 'ean', 'upc'],
+    matriz_a: ['matriz a', 'matriz lado a', 'matrix a', 'runout a', 'side a matrix'],
+    matriz_b: ['matriz b', 'matriz lado b', 'matrix b', 'runout b', 'side b matrix'],
+    matriz_c: ['matriz c', 'matriz lado c', 'matrix c', 'runout c', 'side c matrix'],
+    matriz_d: ['matriz d', 'matriz lado d', 'matrix d', 'runout d', 'side d matrix'],
+    pais: ['pais', 'country', 'pais de prensagem'],
+    fabrica: ['fabrica', 'pressing plant', 'plant', 'fabricante'],
+    tamanho: ['tamanho', 'size', 'polegadas'],
+    rpm: ['rpm', 'rotacao', 'speed', 'velocidade'],
+    condicao_disco: ['condicao disco', 'estado do disco', 'estado', 'condicao', 'media condition', 'collection media condition'],
+    condicao_capa: ['condicao capa', 'estado da capa', 'sleeve condition', 'collection sleeve condition'],
+    notas_edicao: ['notas edicao', 'notas da edicao', 'notas', 'notes', 'observacoes', 'obs']
+};
+
+// Palavras que indicam cada cor (já normalizadas), na ordem de prioridade
+const PALAVRAS_COR = [
+    ['Roxo', ['roxo', 'purple', 'violet', 'violeta', 'lilas', 'lavender', 'magenta']],
+    ['Transparente', ['transparente', 'translucido', 'clear', 'transparent', 'translucent', 'crystal', 'cristal']],
+    ['Colorido', ['colorido', 'colored', 'coloured', 'color', 'colour', 'splatter', 'marbled', 'marmorizado', 'picture',
+        'red', 'vermelho', 'blue', 'azul', 'green', 'verde', 'yellow', 'amarelo', 'orange', 'laranja', 'pink', 'rosa',
+        'white', 'branco', 'gold', 'dourado', 'silver', 'prata', 'grey', 'gray', 'cinza', 'brown', 'marrom']],
+    ['Preto', ['preto', 'black', 'negro']]
+];
+
+// Palavras que indicam cada tipo de mídia (já normalizadas)
+const PALAVRAS_MIDIA = [
+    ['EP', ['ep']],
+    ['Compacto', ['compacto', 'single', '7"', '7 inch', '7in', '45 rpm', '45rpm']],
+    ['LP', ['lp', 'album', '12"', '12 inch', '12in', 'vinyl', 'vinil', '33 rpm', '33rpm']]
+];
+
+/**
+ * Lê o conteúdo de um arquivo de importação
+ * O formato vem da extensão; sem ela, do conteúdo (JSON, tabulação ou
+ * vírgula/ponto e vírgula, comum no Excel em português).
+ * @param {string} nome - Nome do arquivo (ex: 'colecao.csv')
+ * @param {string} texto - Conteúdo
+ * @returns {{ formato: string, colunas: Array<string>, linhas: Array<Object> }}
+ *   formato: 'CSV' | 'TSV' | 'JSON' | 'Backup'
+ * @throws {Error} Se o arquivo estiver vazio ou mal formado
+ */
+export function lerArquivo(nome, texto) {
+    const conteudo = texto.replace(/^\uFEFF/, '');
+    const extensao = nome.split('.').pop().toLowerCase();
+
+    if (extensao === 'json' || (!['csv', 'tsv', 'txt'].includes(extensao) && /^\s*[[{]/.test(conteudo))) {
+        return lerJSON(conteudo);
+    }
+
+    const primeiraLinha = conteudo.split(/\r?\n/, 1)[0];
+    const separador = extensao === 'tsv' || primeiraLinha.includes('\t')
+        ? '\t'
+        : (contar(primeiraLinha, ';') > contar(primeiraLinha, ',') ? ';' : ',');
+
+    const [cabecalho, ...registros] = parseDelimitado(conteudo, separador)
+        .filter(registro => registro.some(celula => celula.trim() !== ''));
+    if (!cabecalho) throw new Error('O arquivo está vazio.');
+
+    const colunas = nomesUnicos(cabecalho.map(coluna => coluna.trim()));
+    const linhas = registros.map(registro => Object.fromEntries(colunas.map((coluna, i) => [coluna, desprotegerCelula((registro[i] ?? '').trim())])));
+
+    return { formato: separador === '\t' ? 'TSV' : 'CSV', colunas, linhas };
+}
+
+/**
+ * Analisa um texto delimitado (CSV/TSV), com suporte a aspas e quebras de
+ * linha dentro de células
+ * @param {string} texto - Conteúdo
+ * @param {string} separador - ',', ';' ou '\t'
+ * @returns {Array<Array<string>>} Registros (listas de células)
+ */
+export function parseDelimitado(texto, separador) {
+    const registros = [];
+    let registro = [];
+    let celula = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < texto.length; i++) {
+        const caractere = texto[i];
+
+        if (entreAspas) {
+            if (caractere === '"' && texto[i + 1] === '"') {
+                celula += '"';
+                i++;
+            } else if (caractere === '"') {
+                entreAspas = false;
+            } else {
+                celula += caractere;
+            }
+        } else if (caractere === '"' && celula === '') {
+            entreAspas = true;
+        } else if (caractere === separador) {
+            registro.push(celula);
+            celula = '';
+        } else if (caractere === '\n' || caractere === '\r') {
+            if (caractere === '\r' && texto[i + 1] === '\n') i++;
+            registro.push(celula);
+            registros.push(registro);
+            registro = [];
+            celula = '';
+        } else {
+            celula += caractere;
+        }
+    }
+
+    if (celula !== '' || registro.length > 0) {
+        registro.push(celula);
+        registros.push(registro);
+    }
+
+    return registros;
+}
+
+/**
+ * Sugere, para cada campo do vinil, a coluna de origem pelo nome
+ * @param {Array<string>} colunas - Colunas do arquivo
+ * @returns {Object} { campo: coluna } (campos sem coluna reconhecida ficam de fora)
+ */
+export function sugerirMapeamento(colunas) {
+    const mapeamento = {};
+    const usadas = new Set();
+
+    Object.entries(SINONIMOS_COLUNA).forEach(([campo, sinonimos]) => {
+        const coluna = colunas.find(nome => !usadas.has(nome) && sinonimos.includes(normalizeText(nome).replace(/_/g, ' ')))
+            || colunas.find(nome => !usadas.has(nome) && sinonimos.includes(normalizeText(nome)));
+        if (coluna) {
+            mapeamento[campo] = coluna;
+            usadas.add(coluna);
+        }
+    });
+
+    return mapeamento;
+}
+
+/**
+ * Converte uma linha do arquivo nos dados de um vinil
+ * @param {Object} linha - { coluna: valor }
+ * @param {Object} mapeamento - { campo: coluna }
+ * @returns {Object} Dados no formato do formulário
+ */
+export function converterLinha(linha, mapeamento) {
+    const valor = campo => {
+        const bruto = mapeamento[campo] ? linha[mapeamento[campo]] : '';
+        const texto = bruto === null || bruto === undefined ? '' : String(bruto).trim();
+        return texto || PADROES_IMPORTACAO[campo] || '';
+    };
+
+    const ano = valor('ano').match(/\d{4}/);
+
+    // Dados da prensagem: texto livre, exceto os de valores fixos; o que não
+    // for reconhecido segue como veio, para a validação apontar
+    const prensagem = Object.fromEntries(Object.keys(CAMPOS_PRENSAGEM).map(campo => [campo, valor(campo) || null]));
+    const inferido = (inferir, campo) => (prensagem[campo] ? inferir(prensagem[campo]) ?? prensagem[campo] : null);
+
+    return {
+        artista: valor('artista'),
+        album: valor('album'),
+        cor_prensagem: inferirCor(valor('cor_prensagem')) || valor('cor_prensagem'),
+        ano: ano ? parseInt(ano[0]) : NaN,
+        midia: inferirMidia(valor('midia')) || valor('midia'),
+        selo: valor('selo') || null,
+        ...prensagem,
+        codigo_barras: prensagem.codigo_barras?.replace(/[\s-]/g, '') || null,
+        tamanho: inferido(inferirTamanho, 'tamanho'),
+        rpm: inferido(inferirRpm, 'rpm'),
+        condicao_disco: inferido(inferirCondicao, 'condicao_disco'),
+        condicao_capa: inferido(inferirCondicao, 'condicao_capa')
+    };
+}
+
+/**
+ * Deduz a cor da prensagem a partir de uma descrição livre
+ * Ex: 'Purple Translucent' → 'Roxo'; 'Black' → 'Preto'; 'Red Marbled' → 'Colorido'.
+ * @param {string} texto - Descrição (ex: campo de cor ou descrição do formato)
+ * @returns {string|null} Uma das CORES, ou null se nada for reconhecido
+ */
+export function inferirCor(texto) {
+    const palavras = normalizeText(texto);
+    if (!palavras) return null;
+
+    const exata = CORES.find(cor => normalizeText(cor) === palavras);
+    if (exata) return exata;
+
+    const encontrada = PALAVRAS_COR.find(([, termos]) => termos.some(termo => contemPalavra(palavras, termo)));
+    return encontrada ? encontrada[0] : null;
+}
+
+/**
+ * Deduz o tipo de mídia a partir de uma descrição livre
+ * Ex: 'LP' → 'LP'; 'Single, 7"' → 'Compacto'; 'Vinyl, EP' → 'EP'.
+ * @param {string} texto - Descrição
+ * @returns {string|null} Uma das MIDIAS, ou null se nada for reconhecido
+ */
+export function inferirMidia(texto) {
+    const palavras = normalizeText(texto);
+    if (!palavras) return null;
+
+    const exata = MIDIAS.find(midia => normalizeText(midia) === palavras);
+    if (exata) return exata;
+
+    const encontrada = PALAVRAS_MIDIA.find(([, termos]) => termos.some(termo => contemPalavra(palavras, termo)));
+    return encontrada ? encontrada[0] : null;
+}
+
+/**
+ * Deduz o tamanho do disco (polegadas) a partir de uma descrição livre
+ * Ex: '12' → 12; 'Vinyl, 7", 45 RPM' → 7; '10 polegadas' → 10.
+ * @param {string} texto - Descrição
+ * @returns {number|null} Um dos TAMANHOS, ou null se nada for reconhecido
+ */
+export function inferirTamanho(texto) {
+    const palavras = normalizeText(texto);
+    const match = palavras.match(/^(\d+)$/) || palavras.match(/(?:^|\D)(\d+)\s*(?:"|''|”|in\b|inch|pol)/);
+    const tamanho = match ? parseInt(match[1]) : null;
+    return TAMANHOS.includes(tamanho) ? tamanho : null;
+}
+
+/**
+ * Deduz a rotação a partir de uma descrição livre
+ * Ex: '45' → 45; '33 ⅓ RPM' → 33; 'LP, Album, 33 1/3 rpm' → 33.
+ * @param {string} texto - Descrição
+ * @returns {number|null} Uma das RPMS, ou null se nada for reconhecido
+ */
+export function inferirRpm(texto) {
+    const palavras = normalizeText(texto);
+    const match = palavras.match(/^(\d+)\s*(?:⅓|1\/3)?$/) || palavras.match(/(?:^|\D)(\d+)\s*(?:⅓|1\/3)?\s*rpm/);
+    const rpm = match ? parseInt(match[1]) : null;
+    return RPMS.includes(rpm) ? rpm : null;
+}
+
+/**
+ * Deduz o estado de conservação (escala Goldmine) a partir da sigla ou do nome
+ * Ex: 'VG+' → 'VG+'; 'Near Mint (NM or M-)' → 'NM'; 'very good' → 'VG'.
+ * @param {string} texto - Descrição
+ * @returns {string|null} Uma das siglas de CONDICOES, ou null se nada for reconhecido
+ */
+export function inferirCondicao(texto) {
+    const limpo = String(texto ?? '').trim();
+    if (!limpo) return null;
+
+    // Formato do Discogs: nome seguido das siglas entre parênteses
+    const sigla = (limpo.match(/\(([^)]+)\)/)?.[1] ?? limpo).split(/\s+or\s+/i)[0].trim().toUpperCase();
+    if (sigla === 'M-') return 'NM';
+    if (Object.hasOwn(CONDICOES, sigla)) return sigla;
+
+    return Object.keys(CONDICOES).find(chave => normalizeText(CONDICOES[chave]) === normalizeText(limpo)) || null;
+}
+
+/**
+ * Procura um vinil equivalente já existente
+ * Mesmo artista, álbum, cor e ano = duplicata provável; só mesmo artista e
+ * álbum = outra prensagem do mesmo disco (apenas informativo).
+ * @param {Object} vinil - Dados importados
+ * @param {Array<Object>} colecao - Vinis existentes
+ * @returns {{ tipo: 'duplicata' | 'prensagem', vinil: Object } | null}
+ */
+export function encontrarDuplicado(vinil, colecao) {
+    const mesmoDisco = colecao.filter(existente =>
+        normalizeText(existente.artista) === normalizeText(vinil.artista) &&
+        normalizeText(existente.album) === normalizeText(vinil.album));
+    if (mesmoDisco.length === 0) return null;
+
+    const chave = chavePrensagem(vinil);
+    const mesmaPrensagem = mesmoDisco.find(existente => chavePrensagem(existente) === chave);
+
+    return mesmaPrensagem
+        ? { tipo: 'duplicata', vinil: mesmaPrensagem }
+        : { tipo: 'prensagem', vinil: mesmoDisco[0] };
+}
+
+/**
+ * Chave que identifica uma prensagem (artista, álbum, cor e ano)
+ * Usada para achar linhas repetidas dentro do próprio arquivo.
+ * @param {Object} vinil - Dados do vinil
+ * @returns {string} Chave normalizada
+ */
+export function chavePrensagem(vinil) {
+    return [vinil.artista, vinil.album, vinil.cor_prensagem, Number(vinil.ano)].map(normalizeText).join('|');
+}
+
+/**
+ * Campos em que a linha importada traz um valor diferente do vinil existente
+ * Valores vazios (e edição limitada desmarcada) não apagam o que já existe.
+ * @param {Object} dados - Dados importados
+ * @param {Object} existente - Vinil da coleção (duplicata da linha)
+ * @returns {Object} { campo: valor importado } (vazio se nada muda)
+ */
+export function camposAlterados(dados, existente) {
+    const alterados = {};
+    [...Object.keys(CAMPOS_IMPORTACAO), 'edicao_limitada'].forEach(campo => {
+        const valor = dados[campo];
+        if (valor === undefined || valor === null || valor === '' || valor === false) return;
+        if (campo === 'edicao_limitada' ? !existente.edicao_limitada : !valoresIguais(valor, existente[campo])) {
+            alterados[campo] = valor;
+        }
+    });
+    return alterados;
+}
+
+/**
+ * Lê um JSON de importação: lista de objetos, { vinis: [...] } ou backup do app
+ * @param {string} texto - Conteúdo
+ * @returns {{ formato: string, colunas: Array<string>, linhas: Array<Object> }}
+ */
+function lerJSON(texto) {
+    let dados;
+    try {
+        dados = JSON.parse(texto);
+    } catch (error) {
+        throw new Error(`JSON inválido: ${error.message}`);
+    }
+
+    if (dados?.formato === FORMATO_BACKUP) {
+        if (!(dados.versao <= VERSAO_BACKUP)) {
+            throw new Error(`backup de uma versão mais nova do app (${dados.versao}).`);
+        }
+        if (!Array.isArray(dados.vinis)) throw new Error('backup sem a lista de vinis.');
+        return { formato: 'Backup', colunas: [], linhas: dados.vinis };
+    }
+
+    const lista = Array.isArray(dados) ? dados : (dados?.vinis || dados?.items || dados?.data);
+    if (!Array.isArray(lista)) {
+        throw new Error('O JSON deve conter uma lista de vinis.');
+    }
+
+    const linhas = lista.filter(item => item && typeof item === 'object' && !Array.isArray(item));
+    const colunas = [...new Set(linhas.flatMap(item => Object.keys(item)))]
+        .filter(coluna => linhas.some(item => item[coluna] === null || typeof item[coluna] !== 'object'));
+
+    return { formato: 'JSON', colunas, linhas };
+}
+
+/**
+ * Indica se o termo aparece como palavra inteira no texto
+ * @param {string} texto - Texto normalizado
+ * @param {string} termo - Termo normalizado
+ * @returns {boolean} true se encontrado
+ */
+function contemPalavra(texto, termo) {
+    const escapado = termo.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9])${escapado}($|[^a-z0-9])`).test(texto);
+}
+
+/**
+ * Tira o apóstrofo que a exportação põe antes de texto que parece fórmula
+ * @param {string} texto - Célula lida
+ * @returns {string} Texto original
+ */
+function desprotegerCelula(texto) {
+    return texto.startsWith("'") && INICIO_DE_FORMULA.test(texto.slice(1)) ? texto.slice(1) : texto;
+}
+
+/**
+ * Conta as ocorrências de um caractere
+ * @param {string} texto - Texto
+ * @param {string} caractere - Caractere procurado
+ * @returns {number} Quantidade
+ */
+function contar(texto, caractere) {
+    return texto.split(caractere).length - 1;
+}
+
+/**
+ * Garante nomes de coluna únicos e não vazios
+ * @param {Array<string>} nomes - Cabeçalho do arquivo
+ * @returns {Array<string>} Ex: ['Artista', 'Coluna 2', 'Ano', 'Ano (2)']
+ */
+function nomesUnicos(nomes) {
+    const vistos = new Map();
+    return nomes.map((nome, i) => {
+        const base = nome || `Coluna ${i + 1}`;
+        const vezes = (vistos.get(base) || 0) + 1;
+        vistos.set(base, vezes);
+        return vezes > 1 ? `${base} (${vezes})` : base;
+    });
+}
@@ -7,13 +7,67 @@
 
 import * as api from './api.js';
 import * as ui from './ui.js';
-import { initPageAnimations } from './animations.js';
+import * as config from './config.js';
+import * as tracklist from './tracklist.js';
+import * as rarity from './rarity.js';
+import * as favorites from './favorites.js';
+import * as query from './query.js';
+import * as router from './router.js';
+import * as search from './search.js';
+import * as searchIndex from './search-index.js';
+import * as offline from './offline.js';
+import * as conflicts from './conflicts.js';
+import * as history from './history.js';
+import * as selection from './selection.js';
+import * as exportacao from './export.js';
+import * as importacao from './import.js';
+import * as discogs from './discogs.js';
+import * as image from './image.js';
+import * as gallery from './gallery.js';
+import { validarVinil, ANO_MIN, ANO_MAX } from './validation.js';
+import { initPageAnimations, animateModal } from './animations.js';
 
 // Estado da aplicação
 const appState = {
     currentVinis: [],
-    isSearching: false,
-    currentSection: 'listagem'
+    busca: null, // Último resultado da busca no servidor: { termo, vinis }
+    view: null, // Modal aberto com rota própria ({ nome, id?, ids? }, ver router.js)
+    comparacao: [], // Vinis marcados para comparação
+    edicaoOriginal: null, // Vinil como estava ao abrir o formulário de edição (ver conflicts.js)
+    conflito: null, // Edição recusada por conflito: { id, original, meu, deles, chavePendente? }
+    desfazendo: false, // Desfazer em andamento (ver history.js)
+    lote: null, // Operação em lote em andamento: { interrompido }
+    importacao: null, // Assistente de importação: { arquivo, itens } (ver import.js)
+    capa: null, // Imagem escolhida no formulário: { imagem, corte, tamanhoOriginal } (ver image.js)
+    envioCapa: null, // Envio da capa em multipart: { dataUrl, estado, controle, promessa } (ver api.enviarCapa)
+    paginacao: {
+        next: null, // Próxima página ({ page } ou { cursor })
+        limit: api.PAGE_SIZE,
+        total: null, // Total da coleção, se o backend informar
+        hasMore: false,
+        carregando: false
+    }
+};
+
+// Distância (px) do fim da grid em que a próxima página começa a carregar
+const SCROLL_THRESHOLD = 600;
+
+// Limites de vinis por comparação (a matriz fica ilegível acima do máximo)
+const MIN_COMPARACAO = 2;
+const MAX_COMPARACAO = 6;
+
+// Modal de cada view com rota (ver router.js)
+const MODAL_DA_VIEW = {
+    vinil: 'modal-detalhes',
+    editar: 'modal-form',
+    novo: 'modal-form',
+    stats: 'modal-stats',
+    vitrine: 'modal-vitrine',
+    comparar: 'modal-comparar',
+    config: 'modal-config',
+    historico: 'modal-historico',
+    importar: 'modal-importar',
+    exportar: 'modal-exportar'
 };
 
 /**
@@ -25,56 +79,374 @@ async function init() {
     // Anima elementos iniciais
     initPageAnimations();
 
+    // Resolve a URL da API antes de qualquer requisição
+    await config.loadConfig();
+
+    // App instalável e utilizável sem rede
+    registrarServiceWorker();
+
     // Configura event listeners
     setupEventListeners();
 
+    // Ano máximo dos formulários (formulário e edição em lote) vem da validação
+    document.querySelectorAll('#form-ano, #form-lote-editar [data-campo="ano"]').forEach(input => {
+        input.max = ANO_MAX;
+    });
+
+    // Estado inicial vem da URL (link compartilhado); sem ordenação na URL, vale a salva
+    const rota = router.getRota();
+    query.setQuery(rota.filtros, rota.ordenacao ?? undefined);
+    router.syncQuery(query.getQuery(), { replace: true });
+    router.onRotaChange(handleRotaChange);
+
+    // Indicador de conexão e fila de alterações feitas offline
+    offline.onStatusChange(ui.renderConexaoStatus);
+    history.onChange(ui.renderHistorico);
+    offline.onReconectar(handleReconexao);
+    await offline.iniciar();
+
     // Carrega os vinis iniciais
     await loadVinis();
 
+    if (rota.view) await abrirView(rota.view);
+
     console.log('✅ Aplicação inicializada com sucesso!');
 }
 
 /**
- * Carrega todos os vinis da API
+ * Registra o service worker (sw.js) e o botão de instalação
+ * Service workers só funcionam em http(s); abrindo o index.html direto
+ * do disco, o app segue funcionando, só não fica instalável.
+ */
+function registrarServiceWorker() {
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.warn('⚠️ Service worker não registrado:', error);
+    });
+
+    // O navegador avisa quando o app pode ser instalado
+    const btnInstalar = document.getElementById('btn-instalar');
+    let pedidoInstalacao = null;
+
+    window.addEventListener('beforeinstallprompt', (e) => {
+        e.preventDefault();
+        pedidoInstalacao = e;
+        if (btnInstalar) btnInstalar.hidden = false;
+    });
+
+    btnInstalar?.addEventListener('click', async () => {
+        if (!pedidoInstalacao) return;
+        pedidoInstalacao.prompt();
+        await pedidoInstalacao.userChoice;
+        pedidoInstalacao = null;
+        btnInstalar.hidden = true;
+    });
+
+    window.addEventListener('appinstalled', () => {
+        if (btnInstalar) btnInstalar.hidden = true;
+        ui.showSuccess('App instalado! Ele abre mesmo sem conexão.');
+    });
+}
+
+/**
+ * Carrega a primeira página de vinis da API
+ * As próximas páginas chegam pelo scroll infinito (loadMoreVinis).
  */
 async function loadVinis() {
     try {
         ui.showLoading();
-        const vinis = await api.getVinis();
-        appState.currentVinis = vinis;
-        ui.renderVinisGrid(vinis);
+        const pagina = await api.getVinisPagina({ limit: appState.paginacao.limit });
+        appState.currentVinis = pagina.items;
+        setPaginacao(pagina);
+        // Vinis carregados como contexto da raridade (prensagens por álbum)
+        // e base da busca instantânea
+        rarity.setColecao(appState.currentVinis);
+        searchIndex.setColecao(appState.currentVinis);
+        // Filtros e ordenação escolhidos continuam valendo
+        await applyFilters();
+
+        salvarCopiaOffline();
+        if (offline.getStatus().pendentes > 0) await sincronizarPendentes();
     } catch (error) {
         console.error('Erro ao carregar vinis:', error);
+
+        // Sem conexão: mostra a última coleção salva neste navegador
+        if (api.isErroDeConexao(error) && await carregarCopiaOffline()) return;
+
         ui.showError('Não foi possível carregar os vinis. Verifique se a API está rodando.');
         document.getElementById('loading').style.display = 'none';
     }
 }
 
 /**
- * Busca vinis por artista ou álbum
- * @param {string} termo - Termo de busca
+ * Mostra a cópia offline da coleção (ver offline.js)
+ * @param {Object} [options] - Repassadas a applyFilters ({ manterScroll })
+ * @returns {Promise<boolean>} false se não há cópia salva
  */
-async function buscarVinis(termo) {
-    // Se o termo for muito curto, volta para a listagem completa
-    if (termo.length < 2) {
-        await loadVinis();
-        appState.isSearching = false;
+async function carregarCopiaOffline(options) {
+    const salva = await offline.getColecaoSalva();
+    if (!salva) return false;
+
+    offline.setOnline(false);
+    appState.currentVinis = salva.vinis;
+    appState.busca = null;
+    Object.assign(appState.paginacao, { next: null, total: salva.vinis.length, hasMore: false });
+    rarity.setColecao(salva.vinis);
+    searchIndex.setColecao(salva.vinis);
+
+    // Sem /stats/, as cores do filtro vêm da própria coleção
+    const select = document.getElementById('filter-cor');
+    if (select && select.length <= 1) {
+        preencherFiltroCores(offline.calcularStats(salva.vinis).por_cor);
+    }
+
+    await applyFilters(options);
+    return true;
+}
+
+/**
+ * Atualiza em segundo plano a cópia offline com os vinis já carregados
+ * Com páginas por carregar, a coleção completa só é baixada quando a última
+ * cópia completa venceu (ver offline.precisaCopiaCompleta).
+ */
+async function salvarCopiaOffline() {
+    try {
+        const completa = !appState.paginacao.hasMore;
+        await offline.salvarColecao(appState.currentVinis, { completa });
+        if (!completa && await offline.precisaCopiaCompleta()) {
+            await offline.salvarColecao(await api.getVinis());
+        }
+    } catch (error) {
+        console.warn('⚠️ Não foi possível salvar a coleção para uso offline:', error);
+    }
+}
+
+/**
+ * Envia uma alteração à API; sem conexão, ela entra na fila do modo offline
+ * @param {Object} operacao - { tipo: 'adicionar' | 'atualizar' | 'deletar', id?, dados? }
+ * @returns {Promise<{ resultado: Object, pendente: boolean }>}
+ *   resultado: resposta da API ou vinil local; pendente: true se ficou na fila
+ */
+async function enviarAlteracao(operacao) {
+    if (offline.getStatus().online && !offline.isIdProvisorio(operacao.id)) {
+        try {
+            const resultado = await offline.executarOperacao(operacao);
+            const id = operacao.tipo === 'adicionar' ? resultado?.id : operacao.id;
+            offline.atualizarCopia({ tipo: operacao.tipo, id, dados: resultado || operacao.dados })
+                .catch(erro => console.warn('⚠️ Não foi possível atualizar a cópia offline:', erro));
+            return { resultado, pendente: false };
+        } catch (error) {
+            if (!api.isErroDeConexao(error)) throw error;
+            offline.setOnline(false);
+        }
+    }
+
+    return { resultado: await offline.registrarOperacao(operacao), pendente: true };
+}
+
+/**
+ * Envia as alterações feitas offline e informa o resultado
+ */
+async function sincronizarPendentes() {
+    const { enviadas, falhas, conflitos, idsReais } = await offline.sincronizar();
+
+    // Vinis criados offline ganharam ID do backend: o histórico passa a usá-lo
+    idsReais.forEach((real, provisorio) => {
+        if (real !== null) history.remapearId(provisorio, real);
+    });
+
+    if (enviadas > 0) {
+        ui.showSuccess(`${enviadas} ${enviadas === 1 ? 'alteração feita offline foi enviada' : 'alterações feitas offline foram enviadas'} à API.`);
+    }
+    falhas.forEach(({ operacao, erro }) => {
+        const nome = operacao.dados?.album || `vinil ${operacao.id}`;
+        console.error('❌ Alteração offline recusada pela API:', operacao, erro);
+        ui.showError(`Não foi possível enviar a alteração de "${nome}": ${erro.message}`);
+    });
+
+    if (enviadas > 0 || falhas.length > 0) await refreshVinis();
+
+    // Edição offline em conflito: segue na fila até o usuário escolher a
+    // mesclagem (uma por vez; as demais voltam na próxima sincronização)
+    if (conflitos.length > 0 && !appState.conflito) {
+        const [{ operacao, atual }] = conflitos;
+        abrirMesclagem({ id: operacao.id, original: operacao.original, meu: operacao.dados, deles: atual, chavePendente: operacao.chave });
+    }
+}
+
+/**
+ * A API voltou a responder: envia a fila e recarrega a coleção
+ */
+async function handleReconexao() {
+    ui.showSuccess('Conexão com a API restabelecida.');
+    if (offline.getStatus().pendentes > 0) {
+        await sincronizarPendentes();
+    } else {
+        await refreshVinis();
+    }
+}
+
+/**
+ * Recarrega os vinis após salvar ou deletar
+ * Busca de novo as mesmas páginas que já estavam carregadas e reaplica a
+ * consulta mantendo a rolagem, para o usuário continuar onde estava.
+ */
+async function refreshVinis() {
+    const carregados = appState.currentVinis.length;
+
+    if (!offline.getStatus().online) {
+        await carregarCopiaOffline({ manterScroll: true });
         return;
     }
 
     try {
-        ui.showLoading();
-        appState.isSearching = true;
-        const vinis = await api.buscarVinis(termo);
+        let pagina = await api.getVinisPagina({ limit: appState.paginacao.limit });
+        const vinis = [...pagina.items];
+
+        while (pagina.hasMore && vinis.length < carregados) {
+            pagina = await api.getVinisPagina({ ...pagina.next, limit: pagina.limit });
+            vinis.push(...pagina.items);
+        }
+
         appState.currentVinis = vinis;
-        ui.renderVinisGrid(vinis);
+        appState.busca = null; // Resultado da busca pode ter mudado
+        setPaginacao(pagina);
+        rarity.setColecao(vinis);
+        searchIndex.setColecao(vinis);
+
+        await applyFilters({ manterScroll: true });
+        salvarCopiaOffline();
     } catch (error) {
-        console.error('Erro ao buscar vinis:', error);
-        ui.showError('Erro ao realizar a busca.');
-        document.getElementById('loading').style.display = 'none';
+        console.error('Erro ao recarregar vinis:', error);
+        if (api.isErroDeConexao(error) && await carregarCopiaOffline({ manterScroll: true })) return;
+        ui.showError('Não foi possível recarregar os vinis.');
+    }
+}
+
+/**
+ * Carrega a próxima página e acrescenta os cards ao fim da grid
+ */
+async function loadMoreVinis() {
+    const paginacao = appState.paginacao;
+
+    // Busca, filtros e ordenação trabalham sobre a coleção completa, sem paginação
+    if (!paginacao.hasMore || paginacao.carregando || query.getTextoBusca() || query.precisaColecaoCompleta()) {
+        return;
+    }
+
+    try {
+        paginacao.carregando = true;
+        ui.showLoadingMore();
+
+        const pagina = await api.getVinisPagina({ ...paginacao.next, limit: paginacao.limit });
+        appState.currentVinis = [...appState.currentVinis, ...pagina.items];
+        setPaginacao(pagina);
+        rarity.setColecao(appState.currentVinis);
+        searchIndex.setColecao(appState.currentVinis);
+
+        ui.appendVinisGrid(pagina.items);
+        ui.markCompareSelection(appState.comparacao.map(v => v.id));
+        ui.updateMiniStats(appState.currentVinis, paginacao.total);
+        salvarCopiaOffline();
+    } catch (error) {
+        console.error('Erro ao carregar mais vinis:', error);
+        ui.showError('Não foi possível carregar mais vinis.');
+        paginacao.hasMore = false;
+    } finally {
+        paginacao.carregando = false;
+        ui.hideLoading();
+    }
+
+    await loadMoreIfVisible();
+}
+
+/**
+ * Continua carregando enquanto o fim da grid estiver visível
+ * (o IntersectionObserver só dispara quando a visibilidade muda)
+ */
+async function loadMoreIfVisible() {
+    const sentinel = document.getElementById('grid-sentinel');
+    if (!sentinel || !appState.paginacao.hasMore) return;
+
+    if (sentinel.getBoundingClientRect().top < window.innerHeight + SCROLL_THRESHOLD) {
+        await loadMoreVinis();
     }
 }
 
+/**
+ * Garante que toda a coleção esteja carregada (necessário para filtrar)
+ */
+async function loadAllVinis() {
+    if (!appState.paginacao.hasMore) return;
+
+    const vinis = await api.getVinis();
+    appState.currentVinis = vinis;
+    appState.paginacao.hasMore = false;
+    appState.paginacao.total = vinis.length;
+    rarity.setColecao(vinis);
+    searchIndex.setColecao(vinis);
+    salvarCopiaOffline();
+}
+
+/**
+ * Atualiza o estado de paginação a partir de uma página recebida
+ * @param {Object} pagina - Página retornada por api.getVinisPagina
+ */
+function setPaginacao(pagina) {
+    Object.assign(appState.paginacao, {
+        next: pagina.next,
+        limit: pagina.limit,
+        total: pagina.total,
+        hasMore: pagina.hasMore
+    });
+}
+
+/**
+ * Configura o scroll infinito da grid
+ */
+function setupInfiniteScroll() {
+    const sentinel = document.getElementById('grid-sentinel');
+    if (!sentinel || !('IntersectionObserver' in window)) return;
+
+    const observer = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadMoreVinis();
+        }
+    }, { rootMargin: `0px 0px ${SCROLL_THRESHOLD}px 0px` });
+
+    observer.observe(sentinel);
+}
+
+/**
+ * Busca vinis por artista ou álbum, mantendo os demais filtros
+ * Termos com menos de 2 caracteres voltam para a coleção completa.
+ * @param {string} termo - Termo de busca
+ */
+async function buscarVinis(termo) {
+    query.updateQuery({ texto: termo });
+    await aplicarConsulta();
+}
+
+/**
+ * Mostra na hora o resultado da busca nos vinis já carregados
+ * (índice aproximado, ver search-index.js). A busca no servidor, disparada
+ * pelo debounce, confirma e completa o resultado depois.
+ * @param {string} termo - Texto digitado
+ */
+function previaBusca(termo) {
+    query.updateQuery({ texto: termo });
+    const texto = query.getTextoBusca();
+    if (!texto) return;
+
+    const busca = search.parseBusca(texto);
+    ui.renderQueryControls(query.getQuery(), query.getFiltrosAtivos());
+    ui.renderBuscaErros(busca.erros);
+    ui.setTermosBusca(search.termosLivres(busca));
+    ui.setBuscaPendente(true);
+    renderGrid(query.avaliarQuery(buscarLocal(busca)));
+}
+
 /**
  * Carrega as estatísticas
  */
@@ -85,37 +457,228 @@ async function loadStats() {
         ui.renderStats(stats);
     } catch (error) {
         console.error('Erro ao carregar estatísticas:', error);
+
+        // Sem conexão, calcula a partir da coleção carregada
+        if (api.isErroDeConexao(error)) {
+            offline.setOnline(false);
+            await loadAllVinis().catch(() => {});
+            ui.renderStats(offline.calcularStats(appState.currentVinis));
+            return;
+        }
+
         ui.showError('Não foi possível carregar as estatísticas.');
     }
 }
 
 /**
- * Realiza a comparação de prensagens
+ * Abre o modal de estatísticas
  */
-async function compararPrensagens() {
-    const idA = parseInt(document.getElementById('vinil-id-a').value);
-    const idB = parseInt(document.getElementById('vinil-id-b').value);
+function openStats() {
+    const modal = document.getElementById('modal-stats');
+    if (!modal) return;
+
+    mostrarView({ nome: 'stats' });
+    loadStats();
+    modal.classList.add('active');
+    animateModal('#modal-stats .modal-content');
+}
 
-    // Validações
-    if (!idA || !idB) {
-        ui.showError('Por favor, preencha ambos os IDs.');
-        return;
+/**
+ * Abre o modal de detalhes de um vinil
+ * @param {number} id - ID do vinil
+ */
+function showDetalhes(id) {
+    mostrarView({ nome: 'vinil', id });
+    ui.showVinilDetailsModal(id, carregarVinil);
+}
+
+/**
+ * Busca um vinil na API; sem conexão (ou ainda não sincronizado), usa a cópia local
+ * @param {number} id - ID do vinil
+ * @returns {Promise<Object>} Dados do vinil
+ */
+async function carregarVinil(id) {
+    const [local] = findVinisCarregados(id);
+    if (local && (!offline.getStatus().online || offline.isIdProvisorio(id))) return local;
+
+    try {
+        return await api.getVinilById(id);
+    } catch (error) {
+        if (!local || !api.isErroDeConexao(error)) throw error;
+        offline.setOnline(false);
+        return local;
+    }
+}
+
+/**
+ * Registra a view aberta e grava sua rota na URL
+ * @param {Object} view - { nome, id?, ids? }
+ */
+function mostrarView(view) {
+    appState.view = view;
+    router.navegarPara(view);
+}
+
+/**
+ * Abre a view de uma rota (link colado ou voltar/avançar)
+ * @param {Object} view - { nome, id?, ids? }
+ */
+async function abrirView(view) {
+    switch (view.nome) {
+        case 'vinil':
+            showDetalhes(view.id);
+            break;
+        case 'editar':
+            await handleEditVinil(view.id);
+            break;
+        case 'novo':
+            openNovoVinil();
+            break;
+        case 'stats':
+            openStats();
+            break;
+        case 'vitrine':
+            await openVitrine();
+            break;
+        case 'comparar':
+            await compararPrensagens(view.ids);
+            break;
+        case 'config':
+            openConfigModal();
+            break;
+        case 'historico':
+            openHistorico();
+            break;
+        case 'importar':
+            openImportar();
+            break;
+        case 'exportar':
+            openExportar();
+            break;
+    }
+}
+
+/**
+ * Fecha um modal; se ele tem rota, remove-a da URL (voltando no histórico)
+ * @param {string} modalId - ID do modal
+ */
+function fecharModal(modalId) {
+    ui.hideModal(modalId);
+
+    if (appState.view && MODAL_DA_VIEW[appState.view.nome] === modalId) {
+        appState.view = null;
+        router.fecharView();
+    }
+}
+
+/**
+ * Sincroniza a tela com a URL após voltar/avançar no histórico
+ * Fecha modais que não estão mais na rota, reaplica a consulta se ela
+ * mudou e abre o modal da rota, se houver.
+ * @param {Object} rota - Rota lida por router.getRota()
+ */
+async function handleRotaChange(rota) {
+    const modalDaRota = rota.view ? MODAL_DA_VIEW[rota.view.nome] : null;
+    const mesmaView = JSON.stringify(rota.view) === JSON.stringify(appState.view);
+
+    Object.values(MODAL_DA_VIEW).forEach(modalId => {
+        if (modalId !== modalDaRota || !mesmaView) ui.hideModal(modalId);
+    });
+    if (!mesmaView) appState.view = null;
+
+    const consultaAnterior = router.queryParaSearch(query.getQuery());
+    query.setQuery(rota.filtros, rota.ordenacao);
+    if (router.queryParaSearch(query.getQuery()) !== consultaAnterior) {
+        await applyFilters();
+    }
+
+    if (rota.view && !mesmaView) await abrirView(rota.view);
+}
+
+/**
+ * Renderiza a grid mantendo as marcações de comparação
+ * @param {Array} vinis - Vinis a exibir
+ * @param {Object} [options] - Repassadas a ui.renderVinisGrid ({ total, manterScroll })
+ */
+function renderGrid(vinis, options) {
+    ui.renderVinisGrid(vinis, options);
+    ui.markCompareSelection(appState.comparacao.map(v => v.id));
+    atualizarSelecao();
+}
+
+/**
+ * Marca ou desmarca um vinil para comparação
+ * @param {number} id - ID do vinil
+ * @param {boolean} selecionado - Estado do checkbox
+ */
+function toggleComparacao(id, selecionado) {
+    appState.comparacao = appState.comparacao.filter(v => v.id !== id);
+
+    if (selecionado) {
+        if (appState.comparacao.length >= MAX_COMPARACAO) {
+            ui.showError(`Selecione no máximo ${MAX_COMPARACAO} vinis para comparar.`);
+        } else {
+            const [vinil] = findVinisCarregados(id);
+            if (vinil) appState.comparacao.push(vinil);
+        }
     }
 
-    if (idA === idB) {
-        ui.showError('Os IDs devem ser diferentes.');
+    ui.markCompareSelection(appState.comparacao.map(v => v.id));
+    ui.updateCompareBar(appState.comparacao, MIN_COMPARACAO);
+}
+
+/**
+ * Limpa a seleção de comparação
+ */
+function limparComparacao() {
+    appState.comparacao = [];
+    ui.markCompareSelection([]);
+    ui.updateCompareBar([], MIN_COMPARACAO);
+}
+
+/**
+ * Realiza a comparação das prensagens selecionadas na grid
+ * @param {Array<number>} [ids] - IDs a comparar (padrão: seleção atual)
+ */
+async function compararPrensagens(ids = appState.comparacao.map(v => v.id)) {
+    // Validações
+    if (new Set(ids).size < MIN_COMPARACAO) {
+        ui.showError(`Selecione pelo menos ${MIN_COMPARACAO} vinis diferentes para comparar.`);
         return;
     }
 
     try {
-        const resultado = await api.compararPrensagens(idA, idB);
+        mostrarView({ nome: 'comparar', ids: [...new Set(ids)] });
+        ui.showComparacaoModal();
+        const resultado = await api.compararPrensagens(ids);
         ui.showComparacaoResultado(resultado);
     } catch (error) {
         console.error('Erro ao comparar prensagens:', error);
+        fecharModal('modal-comparar');
         ui.showError(`Erro ao comparar: ${error.message}`);
     }
 }
 
+/**
+ * Compara todas as prensagens de um álbum (mesmo artista + álbum)
+ * @param {string} artista - Nome do artista
+ * @param {string} album - Nome do álbum
+ */
+async function compararAlbum(artista, album) {
+    try {
+        ui.hideModal('modal-detalhes');
+        ui.showComparacaoModal();
+        const resultado = await api.compararPrensagensDoAlbum(artista, album);
+        // A rota guarda os IDs: o link reabre exatamente estas prensagens
+        mostrarView({ nome: 'comparar', ids: resultado.vinis.map(v => v.id) });
+        ui.showComparacaoResultado(resultado);
+    } catch (error) {
+        console.error('Erro ao comparar prensagens do álbum:', error);
+        fecharModal('modal-comparar');
+        ui.showError(error.message);
+    }
+}
+
 /**
  * Processa o submit do formulário de adicionar/editar vinil
  */
@@ -127,6 +690,7 @@ async function handleFormSubmit() {
     // Verifica se é edição ou criação
     const editId = form.dataset.editId;
     const isEdit = !!editId;
+    let vinilData = null;
 
     try {
         // Desabilita o botão durante o envio
@@ -134,62 +698,87 @@ async function handleFormSubmit() {
         submitBtn.innerHTML = '<span>⏳</span> Salvando...';
 
         // Coleta os dados do formulário
-        const vinilData = {
+        vinilData = {
             artista: document.getElementById('form-artista').value.trim(),
             album: document.getElementById('form-album').value.trim(),
             cor_prensagem: document.getElementById('form-cor').value,
             ano: parseInt(document.getElementById('form-ano').value),
             midia: document.getElementById('form-midia').value,
-            selo: document.getElementById('form-selo').value.trim() || null
+            selo: document.getElementById('form-selo').value.trim() || null,
+            edicao_limitada: document.getElementById('form-edicao-limitada').checked,
+            numero_copia: document.getElementById('form-numero-copia').value.trim() || null,
+            ...lerCamposPrensagem()
         };
 
-        // Adiciona imagem se houver
-        const imageData = getImageData();
-        if (imageData) {
-            vinilData.capa = imageData;
-        }
+        // Tracklist (faixas sem título são ignoradas)
+        const { faixas, erros: errosFaixas } = tracklist.getTracklist();
+        vinilData.faixas = faixas;
 
-        // Validações adicionais
-        if (!vinilData.artista || !vinilData.album || !vinilData.cor_prensagem || !vinilData.ano || !vinilData.midia) {
-            ui.showError('Por favor, preencha todos os campos obrigatórios.');
+        // Validações (as mesmas da edição em lote e da importação)
+        const erros = validarVinil(vinilData);
+        if (erros.length > 0) {
+            // O campo com problema pode estar num grupo fechado
+            ui.renderSecoesFormulario({ expandir: true });
+            ui.showError(erros[0]);
             return;
         }
 
-        if (vinilData.ano < 1900 || vinilData.ano > 2025) {
-            ui.showError('Ano deve estar entre 1900 e 2025.');
+        if (errosFaixas.length > 0) {
+            ui.showError(errosFaixas[0]);
             return;
         }
 
-        console.log(`📤 ${isEdit ? 'Atualizando' : 'Enviando'} vinil para a API:`, vinilData);
+        // Capa nova vai antes, em multipart, e o JSON leva só os caminhos;
+        // sem o endpoint (ou sem conexão) segue em base64, como antes
+        if (getMiniaturaData()) submitBtn.innerHTML = '<span>⏳</span> Enviando capa...';
+        const caminhos = await enviarCapaDoPreview();
 
-        // Envia para a API (POST ou PUT)
-        let resultado;
-        if (isEdit) {
-            resultado = await api.atualizarVinil(editId, vinilData);
-            console.log('✅ Vinil atualizado com sucesso:', resultado);
-        } else {
-            resultado = await api.adicionarVinil(vinilData);
-            console.log('✅ Vinil adicionado com sucesso:', resultado);
+        // Adiciona imagem se houver (com a miniatura da grid, se for nova)
+        const imageData = caminhos?.capa || getImageData();
+        if (imageData) {
+            vinilData.capa = imageData;
+            const miniatura = caminhos ? caminhos.capa_miniatura : getMiniaturaData();
+            if (miniatura) vinilData.capa_miniatura = miniatura;
         }
 
-        // Fecha o modal
-        ui.hideModal('modal-form');
+        // Galeria: as imagens novas seguem o mesmo caminho da capa
+        vinilData.imagens = await enviarImagensDaGaleria(gallery.getGaleria(), (enviada, total) => {
+            submitBtn.innerHTML = `<span>⏳</span> Enviando imagens (${enviada}/${total})...`;
+        });
+        submitBtn.innerHTML = '<span>⏳</span> Salvando...';
+
+        console.log(`📤 ${isEdit ? 'Atualizando' : 'Enviando'} vinil para a API:`, vinilData);
+
+        // Valores anteriores, para poder desfazer a edição
+        const antes = isEdit ? await prepararDesfazerEdicao(appState.edicaoOriginal, vinilData) : null;
+
+        // Envia para a API (POST ou PUT); sem conexão, guarda na fila.
+        // A edição leva o vinil original como precondição (conflito de edição)
+        const { resultado, pendente } = await enviarAlteracao(isEdit
+            ? { tipo: 'atualizar', id: Number(editId), dados: vinilData, original: appState.edicaoOriginal }
+            : { tipo: 'adicionar', dados: vinilData });
+        console.log(`✅ Vinil ${isEdit ? 'atualizado' : 'adicionado'}${pendente ? ' offline' : ' com sucesso'}:`, resultado);
 
         // Mostra mensagem de sucesso
-        const mensagem = isEdit 
+        let mensagem = isEdit 
             ? `Vinil "${resultado.album}" atualizado com sucesso!`
             : `Vinil "${resultado.album}" adicionado com sucesso!`;
-        ui.showSuccess(mensagem);
+        if (pendente) mensagem = `Sem conexão: "${resultado.album}" foi salvo neste navegador e será enviado quando a API voltar.`;
 
-        // Recarrega a listagem
-        await loadVinis();
+        const entrada = history.registrar(isEdit
+            ? { tipo: 'atualizar', id: Number(editId), antes, depois: resultado, descricao: descreverVinil(resultado) }
+            : { tipo: 'adicionar', id: resultado.id, depois: resultado, descricao: descreverVinil(resultado) });
 
-        // Limpa o formulário e preview
-        form.reset();
-        delete form.dataset.editId;
-        clearImagePreview();
+        // Edições podem ser desfeitas direto no aviso
+        await concluirFormulario(mensagem, isEdit ? entrada : null);
 
     } catch (error) {
+        // Outra pessoa alterou o vinil: o usuário escolhe campo a campo
+        if (api.isErroDeConflito(error)) {
+            abrirMesclagem({ id: Number(editId), original: appState.edicaoOriginal, meu: vinilData, deles: error.atual });
+            return;
+        }
+
         console.error('❌ Erro ao adicionar vinil:', error);
         ui.showError(`Erro ao adicionar vinil: ${error.message}`);
     } finally {
@@ -200,33 +789,107 @@ async function handleFormSubmit() {
 }
 
 /**
- * Deleta um vinil da coleção
- * @param {number} id - ID do vinil a ser deletado
+ * Fecha o formulário após salvar, avisa o usuário e recarrega a grid
+ * @param {string} mensagem - Mensagem de sucesso
+ * @param {Object} [entrada] - Alteração no histórico; o aviso ganha o botão Desfazer
  */
-async function handleDeleteVinil(id) {
+async function concluirFormulario(mensagem, entrada = null) {
+    const form = document.getElementById('form-vinil');
+
+    // Fecha o modal
+    fecharModal('modal-form');
+    if (entrada) {
+        ui.showDesfazer(mensagem, () => desfazerAte(entrada.numero));
+    } else {
+        ui.showSuccess(mensagem);
+    }
+
+    // Recarrega a listagem sem perder filtros e rolagem
+    await refreshVinis();
+
+    // Limpa o formulário e preview
+    form.reset();
+    delete form.dataset.editId;
+    appState.edicaoOriginal = null;
+    clearImagePreview();
+    tracklist.clearTracklist();
+    gallery.clearGaleria();
+    ui.renderSecoesFormulario({ expandir: true });
+}
+
+/**
+ * Abre o diálogo de mesclagem de uma edição em conflito
+ * Mostra, campo a campo, o original, a minha versão e a atual do servidor.
+ * @param {Object} conflito - { id, original: vinil ao abrir o formulário,
+ *   meu: dados do formulário, deles: vinil atual no servidor,
+ *   chavePendente: edição offline na fila (só quando veio da sincronização) }
+ */
+function abrirMesclagem(conflito) {
+    appState.conflito = conflito;
+    const linhas = conflicts.compararVersoes(conflito.original, conflito.meu, conflito.deles);
+    ui.showMesclagemModal(linhas);
+}
+
+/**
+ * Salva o resultado da mesclagem escolhida pelo usuário
+ * A versão do servidor vira a nova precondição; se mudar de novo, o
+ * diálogo é reaberto com os dados atualizados.
+ */
+async function handleSalvarMesclagem() {
+    const conflito = appState.conflito;
+    if (!conflito) return;
+
+    const dados = conflicts.mesclar(conflito.meu, conflito.deles, ui.getEscolhasMesclagem());
+
     try {
-        // Solicita confirmação
-        const confirmacao = confirm('Tem certeza que deseja deletar este vinil da sua coleção? Esta ação não pode ser desfeita.');
-        
-        if (!confirmacao) {
+        // Desfazer volta à versão que estava no servidor antes desta gravação
+        const antes = await prepararDesfazerEdicao(conflito.deles, dados);
+        const resultado = await api.atualizarVinil(conflito.id, dados, { original: conflito.deles });
+        const entrada = history.registrar({ tipo: 'atualizar', id: conflito.id, antes, depois: resultado, descricao: descreverVinil(resultado) });
+
+        appState.conflito = null;
+        ui.hideModal('modal-conflito');
+        const mensagem = `Vinil "${resultado.album}" atualizado com a mesclagem escolhida!`;
+
+        // Edição offline: sai da fila, e a sincronização continua com o restante
+        if (conflito.chavePendente !== undefined) {
+            await offline.descartarPendente(conflito.chavePendente);
+            ui.showDesfazer(mensagem, () => desfazerAte(entrada.numero));
+            await refreshVinis();
+            if (offline.getStatus().pendentes > 0) await sincronizarPendentes();
             return;
         }
 
-        console.log(`🗑️ Deletando vinil ID: ${id}`);
-
-        // Chama a API de deleção
-        await api.deletarVinil(id);
+        await concluirFormulario(mensagem, entrada);
+    } catch (error) {
+        if (api.isErroDeConflito(error)) {
+            ui.showError('O vinil mudou de novo. Confira a versão mais recente.');
+            abrirMesclagem({ ...conflito, deles: error.atual });
+            return;
+        }
+        console.error('❌ Erro ao salvar mesclagem:', error);
+        ui.showError(`Erro ao salvar: ${error.message}`);
+    }
+}
 
-        console.log('✅ Vinil deletado com sucesso');
+/**
+ * Deleta um vinil da coleção
+ * @param {number} id - ID do vinil a ser deletado
+ */
+async function handleDeleteVinil(id) {
+    try {
+        const { vinil, entrada, pendente } = await excluirVinil(id);
 
         // Fecha o modal de detalhes
-        ui.hideModal('modal-detalhes');
+        fecharModal('modal-detalhes');
 
-        // Mostra mensagem de sucesso
-        ui.showSuccess('Vinil deletado com sucesso da sua coleção!');
+        // Sem confirmação prévia: o aviso oferece desfazer a exclusão
+        ui.showDesfazer(pendente
+            ? `Sem conexão: a exclusão de "${vinil.album}" será enviada quando a API voltar.`
+            : `"${vinil.album}" foi removido da sua coleção.`, () => desfazerAte(entrada.numero));
 
-        // Recarrega a listagem
-        await loadVinis();
+        // Recarrega a listagem sem perder filtros e rolagem
+        await refreshVinis();
 
     } catch (error) {
         console.error('❌ Erro ao deletar vinil:', error);
@@ -235,50 +898,903 @@ async function handleDeleteVinil(id) {
 }
 
 /**
- * Abre o modal de formulário em modo de edição
- * @param {number} id - ID do vinil a ser editado
+ * Exclui um vinil, registrando no histórico o necessário para desfazer
+ * @param {number} id - ID do vinil
+ * @returns {Promise<{ vinil: Object, entrada: Object, pendente: boolean }>}
+ *   vinil: dados antes da exclusão; entrada: registro no histórico
  */
-async function handleEditVinil(id) {
-    try {
-        console.log(`✏️ Editando vinil ID: ${id}`);
+async function excluirVinil(id) {
+    console.log(`🗑️ Deletando vinil ID: ${id}`);
 
-        // Busca os dados do vinil
-        const vinil = await api.getVinilById(id);
+    // Guarda o vinil completo (com a capa em base64) para poder recriá-lo
+    const vinil = await carregarVinil(id);
+    const antes = history.dadosEditaveis(vinil);
+    if (vinil.capa) antes.capa = await api.getCapaComoDataUrl(vinil.capa);
+    if (antes.imagens?.length) antes.imagens = await imagensComoDataUrl(antes.imagens);
+    antes.destaque = favorites.isDestaque(vinil);
 
-        // Fecha o modal de detalhes
-        ui.hideModal('modal-detalhes');
+    // Chama a API de deleção (sem conexão, guarda na fila)
+    const { pendente } = await enviarAlteracao({ tipo: 'deletar', id });
 
-        // Abre o modal de formulário
-        const modal = document.getElementById('modal-form');
-        const title = document.getElementById('modal-form-title');
-        const form = document.getElementById('form-vinil');
+    console.log(`✅ Vinil deletado${pendente ? ' offline' : ' com sucesso'}`);
 
-        // Muda o título
-        title.textContent = '✏️ Editar Vinil';
+    const entrada = history.registrar({ tipo: 'deletar', id, antes, descricao: descreverVinil(vinil) });
 
-        // Preenche os campos do formulário
-        document.getElementById('form-artista').value = vinil.artista;
+    // Remove dos destaques locais e da seleção de comparação
+    favorites.forgetDestaque(id);
+    if (appState.comparacao.some(v => v.id === id)) {
+        toggleComparacao(id, false);
+    }
+
+    return { vinil, entrada, pendente };
+}
+
+/**
+ * Liga ou desliga o modo seleção da grid
+ * Os cards ganham checkbox e o clique passa a marcar em vez de abrir os
+ * detalhes. A seleção de comparação é limpa para as barras não se sobreporem.
+ * @param {boolean} [ativo] - Novo estado (padrão: inverte)
+ */
+function toggleModoSelecao(ativo = !selection.isAtivo()) {
+    selection.setAtivo(ativo);
+    if (ativo) limparComparacao();
+    atualizarSelecao();
+}
+
+/**
+ * Sincroniza os cards e a barra do modo seleção com o estado da seleção
+ */
+function atualizarSelecao() {
+    const ativo = selection.isAtivo();
+    const filtrados = !query.getTextoBusca() && appState.paginacao.hasMore && !query.precisaColecaoCompleta()
+        ? appState.paginacao.total
+        : listaExibida().length;
+
+    ui.markSelecao(selection.getSelecionados(), ativo);
+    ui.updateSelecaoBar({ ativo, quantidade: selection.getSelecionados().length, filtrados: filtrados ?? null });
+}
+
+/**
+ * Vinis exibidos na grid (consulta atual aplicada aos vinis carregados)
+ * @returns {Array<Object>} Vinis na ordem da grid
+ */
+function listaExibida() {
+    const base = query.getTextoBusca() ? (appState.busca?.vinis || []) : appState.currentVinis;
+    return query.avaliarQuery(base);
+}
+
+/**
+ * Marca/desmarca um card no modo seleção (shift+clique marca o intervalo)
+ * @param {number} id - ID do vinil clicado
+ * @param {boolean} intervalo - Shift pressionado
+ */
+function handleSelecaoCard(id, intervalo) {
+    selection.alternar(id, { intervalo, ordem: listaExibida().map(v => v.id) });
+    atualizarSelecao();
+}
+
+/**
+ * Seleciona todos os vinis que atendem à consulta atual
+ * (carrega o restante da coleção se a grid ainda estiver paginada)
+ */
+async function selecionarTodosFiltrados() {
+    try {
+        if (!query.getTextoBusca() && appState.paginacao.hasMore) {
+            ui.showLoading();
+            await loadAllVinis();
+            renderGrid(listaExibida(), { manterScroll: true });
+        }
+
+        selection.selecionarTodos(listaExibida().map(v => v.id));
+        atualizarSelecao();
+    } catch (error) {
+        console.error('Erro ao selecionar todos:', error);
+        ui.hideLoading();
+        ui.showError(`Não foi possível carregar a coleção inteira: ${error.message}`);
+    }
+}
+
+/**
+ * Vinis selecionados no modo seleção, na ordem da grid
+ * @returns {Array<Object>} Vinis
+ */
+function vinisSelecionados() {
+    const ordem = new Map(listaExibida().map((vinil, indice) => [vinil.id, indice]));
+    return selection.getSelecionados()
+        .map(id => findVinisCarregados(id)[0])
+        .filter(Boolean)
+        .sort((a, b) => (ordem.get(a.id) ?? Infinity) - (ordem.get(b.id) ?? Infinity));
+}
+
+/**
+ * Executa uma operação para cada item mostrando o progresso; a falha de um
+ * item não interrompe os demais
+ * Os itens vão em grupos de `tamanhoLote` simultâneos (padrão: um de cada vez).
+ * @param {Object} lote - Operação em lote
+ * @param {string} lote.titulo - Título do painel de progresso
+ * @param {Array<Object>} lote.itens - Itens a processar (vinis, linhas importadas...)
+ * @param {Function} lote.operacao - (item) => Promise com o resultado do item
+ * @param {Function} [lote.descrever] - (item) => texto do item na lista de falhas
+ * @param {number} [lote.tamanhoLote=1] - Itens enviados ao mesmo tempo
+ * @returns {Promise<{ concluidos: Array, falhas: Array, interrompido: boolean }>}
+ *   concluidos: [{ item, resultado }]; falhas: [{ item, erro }]
+ */
+async function executarLote({ titulo, itens, operacao, descrever = descreverVinil, tamanhoLote = 1 }) {
+    const concluidos = [];
+    const falhas = [];
+    const mensagensFalha = [];
+
+    appState.lote = { interrompido: false };
+    ui.showLoteProgresso(titulo, itens.length);
+
+    for (let inicio = 0; inicio < itens.length && !appState.lote.interrompido; inicio += tamanhoLote) {
+        const grupo = itens.slice(inicio, inicio + tamanhoLote);
+        const resultados = await Promise.allSettled(grupo.map(item => operacao(item)));
+
+        resultados.forEach((resultado, i) => {
+            const item = grupo[i];
+            if (resultado.status === 'fulfilled') {
+                concluidos.push({ item, resultado: resultado.value });
+                return;
+            }
+
+            const erro = resultado.reason;
+            console.error(`❌ Falha no lote (${descrever(item)}):`, erro);
+            falhas.push({ item, erro });
+            mensagensFalha.push({
+                descricao: descrever(item),
+                mensagem: api.isErroDeConflito(erro) ? 'Alterado por outra pessoa; edite-o individualmente.' : erro.message
+            });
+        });
+
+        ui.updateLoteProgresso({ feitos: concluidos.length + falhas.length, total: itens.length, falhas: mensagensFalha });
+    }
+
+    const { interrompido } = appState.lote;
+    appState.lote = null;
+    ui.finalizarLoteProgresso({ sucesso: concluidos.length, falhas: falhas.length, interrompido, total: itens.length });
+
+    // Sem falhas o painel fecha sozinho (o aviso final resume); com falhas, fica para consulta
+    if (falhas.length === 0 && !interrompido) ui.hideModal('modal-lote');
+
+    return { concluidos, falhas, interrompido };
+}
+
+/**
+ * Exclui os vinis selecionados (desfazível pelo aviso ou pelo histórico)
+ */
+async function handleLoteExcluir() {
+    const vinis = vinisSelecionados();
+    if (vinis.length === 0) return;
+
+    const { concluidos } = await executarLote({
+        titulo: `🗑️ Excluindo ${vinis.length} ${vinis.length === 1 ? 'vinil' : 'vinis'}`,
+        itens: vinis,
+        operacao: vinil => excluirVinil(vinil.id)
+    });
+
+    const excluidos = new Set(concluidos.map(({ item }) => item.id));
+    selection.manterApenas(selection.getSelecionados().filter(id => !excluidos.has(id)));
+
+    if (concluidos.length > 0) {
+        const [primeiro] = concluidos;
+        const pendente = concluidos.some(({ resultado }) => resultado.pendente);
+        ui.showDesfazer(`${concluidos.length} ${concluidos.length === 1 ? 'vinil excluído' : 'vinis excluídos'}${pendente ? ' (envio pendente, sem conexão)' : ''}.`,
+            () => desfazerAte(primeiro.resultado.entrada.numero));
+    }
+
+    await refreshVinis();
+}
+
+/**
+ * Aplica os campos escolhidos na edição em lote a todos os selecionados
+ */
+async function handleLoteEditarSubmit() {
+    const alteracoes = ui.getLoteAlteracoes();
+    const vinis = vinisSelecionados();
+
+    if (Object.keys(alteracoes).length === 0) {
+        ui.showError('Marque pelo menos um campo para alterar.');
+        return;
+    }
+    if ('ano' in alteracoes && !(alteracoes.ano >= ANO_MIN && alteracoes.ano <= ANO_MAX)) {
+        ui.showError(`Ano deve estar entre ${ANO_MIN} e ${ANO_MAX}.`);
+        return;
+    }
+
+    ui.hideModal('modal-lote-editar');
+
+    const { concluidos } = await executarLote({
+        titulo: `✏️ Editando ${vinis.length} ${vinis.length === 1 ? 'vinil' : 'vinis'}`,
+        itens: vinis,
+        operacao: async ({ id }) => {
+            // Lê o vinil completo (tracklist, versão) e troca só os campos escolhidos
+            const vinil = await carregarVinil(id);
+            const { capa, imagens, ...atuais } = history.dadosEditaveis(vinil);
+            const dados = { ...atuais, ...alteracoes };
+
+            const erros = validarVinil(dados);
+            if (erros.length > 0) throw new Error(erros[0]);
+
+            if (Object.keys(alteracoes).every(campo => String(atuais[campo] ?? '') === String(dados[campo] ?? ''))) {
+                return null; // Já tem esses valores
+            }
+
+            const antes = await prepararDesfazerEdicao(vinil, dados);
+            const { resultado } = await enviarAlteracao({ tipo: 'atualizar', id, dados, original: vinil });
+            return history.registrar({ tipo: 'atualizar', id, antes, depois: resultado, descricao: descreverVinil(resultado) });
+        }
+    });
+
+    const entradas = concluidos.map(({ resultado }) => resultado).filter(Boolean);
+    if (entradas.length > 0) {
+        ui.showDesfazer(`${entradas.length} ${entradas.length === 1 ? 'vinil atualizado' : 'vinis atualizados'}.`,
+            () => desfazerAte(entradas[0].numero));
+    }
+
+    await refreshVinis();
+}
+
+/**
+ * Exporta os vinis selecionados
+ * @param {string} formato - 'csv' ou 'json'
+ */
+function handleLoteExportar(formato) {
+    const vinis = vinisSelecionados();
+    if (vinis.length === 0) return;
+
+    if (formato === 'csv') {
+        exportacao.baixarArquivo(exportacao.nomeArquivo('vinis-selecionados', 'csv'), exportacao.gerarCSV(vinis), 'text/csv');
+    } else {
+        exportacao.baixarArquivo(exportacao.nomeArquivo('vinis-selecionados', 'json'), exportacao.gerarJSON(vinis), 'application/json');
+    }
+
+    ui.showSuccess(`${vinis.length} ${vinis.length === 1 ? 'vinil exportado' : 'vinis exportados'} (${formato.toUpperCase()}).`);
+}
+
+/**
+ * Compara as prensagens selecionadas
+ */
+function handleLoteComparar() {
+    const ids = vinisSelecionados().map(v => v.id);
+
+    if (ids.length < MIN_COMPARACAO || ids.length > MAX_COMPARACAO) {
+        ui.showError(`Selecione de ${MIN_COMPARACAO} a ${MAX_COMPARACAO} vinis para comparar.`);
+        return;
+    }
+
+    compararPrensagens(ids);
+}
+
+// Capas baixadas ao mesmo tempo para o catálogo e o backup
+const TAMANHO_LOTE_CAPAS = 5;
+
+/**
+ * Abre o modal de exportação
+ */
+function openExportar() {
+    mostrarView({ nome: 'exportar' });
+
+    const filtros = query.getFiltrosAtivos().map(filtro => filtro.label);
+    ui.showExportarModal({
+        exibidos: filtros.length > 0 ? listaExibida().length : null,
+        total: appState.paginacao.total ?? appState.currentVinis.length,
+        filtros
+    });
+}
+
+/**
+ * Exporta os vinis exibidos ou a coleção inteira no formato escolhido
+ * O backup é sempre da coleção inteira.
+ * @param {string} formato - 'csv' | 'json' | 'discogs' | 'catalogo' | 'backup'
+ */
+async function handleExportar(formato) {
+    const escopo = formato === 'backup' ? 'colecao' : ui.getExportarEscopo();
+
+    try {
+        await loadAllVinis();
+    } catch (error) {
+        console.error('Erro ao carregar a coleção para exportar:', error);
+        ui.showError(`Não foi possível carregar a coleção inteira: ${error.message}`);
+        return;
+    }
+
+    const vinis = escopo === 'consulta' ? listaExibida() : appState.currentVinis;
+    const filtros = escopo === 'consulta' ? query.getFiltrosAtivos().map(filtro => filtro.label).join(', ') : '';
+    const prefixo = escopo === 'consulta' ? 'vinis-filtrados' : 'colecao-vinis';
+    if (vinis.length === 0) {
+        ui.showError('Não há vinis para exportar.');
+        return;
+    }
+
+    // Capas que não deu para embutir (ficam como link para o servidor)
+    let capasSemEmbutir = 0;
+
+    switch (formato) {
+        case 'csv':
+            exportacao.baixarArquivo(exportacao.nomeArquivo(prefixo, 'csv'), exportacao.gerarCSV(vinis), 'text/csv');
+            break;
+        case 'json':
+            exportacao.baixarArquivo(exportacao.nomeArquivo(prefixo, 'json'), exportacao.gerarJSON(vinis), 'application/json');
+            break;
+        case 'discogs':
+            // Sem o BOM que baixarArquivo põe nos CSVs: o cabeçalho tem de ser exatamente o do Discogs
+            exportacao.baixarArquivo(
+                exportacao.nomeArquivo(`discogs-${prefixo}`, 'csv'),
+                new Blob([discogs.gerarCSV(vinis)], { type: 'text/csv;charset=utf-8' }),
+                'text/csv'
+            );
+            break;
+        case 'catalogo': {
+            const baixadas = await baixarCapas(vinis, '🖨️ Preparando o catálogo');
+            if (!baixadas) return;
+
+            const capas = new Map();
+            baixadas.forEach(({ capa }, id) => {
+                if (capa) capas.set(id, capa);
+            });
+            capasSemEmbutir = contarSemEmbutir(baixadas);
+            exportacao.baixarArquivo(
+                exportacao.nomeArquivo(`catalogo-${prefixo}`, 'html'),
+                exportacao.gerarCatalogoHTML(vinis, { subtitulo: filtros, capas }),
+                'text/html'
+            );
+            break;
+        }
+        case 'backup': {
+            const baixadas = await baixarCapas(vinis, '💾 Preparando o backup', { comGaleria: true });
+            if (!baixadas) return;
+
+            const completos = vinis.map(vinil => ({
+                ...vinil,
+                capa: baixadas.get(vinil.id)?.capa ?? vinil.capa ?? null,
+                imagens: baixadas.get(vinil.id)?.imagens ?? vinil.imagens,
+                destaque: favorites.isDestaque(vinil)
+            }));
+            capasSemEmbutir = contarSemEmbutir(baixadas);
+            exportacao.baixarArquivo(exportacao.nomeArquivo('backup-vinis', 'json'), exportacao.gerarBackup(completos), 'application/json');
+            break;
+        }
+        default:
+            return;
+    }
+
+    fecharModal('modal-exportar');
+    ui.showSuccess(`${vinis.length} ${vinis.length === 1 ? 'vinil exportado' : 'vinis exportados'}.`);
+    if (capasSemEmbutir > 0) {
+        ui.showError(capasSemEmbutir === 1
+            ? '1 capa não pôde ser embutida e ficou como link para o servidor (só aparece com a API no ar).'
+            : `${capasSemEmbutir} capas não puderam ser embutidas e ficaram como link para o servidor (só aparecem com a API no ar).`);
+    }
+    console.log(`📤 Exportação (${formato}, ${escopo}): ${vinis.length} vinis`);
+}
+
+/**
+ * Baixa as capas dos vinis em base64, com o painel de progresso
+ * @param {Array<Object>} vinis - Vinis
+ * @param {string} titulo - Título do painel de progresso
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.comGaleria=false] - Baixa também as imagens da galeria
+ * @returns {Promise<Map<number, Object>|null>} ID → { capa, imagens } em data URL
+ *   (ou a URL absoluta, se não deu para baixar); null se o usuário interrompeu
+ */
+async function baixarCapas(vinis, titulo, { comGaleria = false } = {}) {
+    const comImagens = vinis.filter(vinil => vinil.capa || (comGaleria && vinil.imagens?.length));
+    if (comImagens.length === 0) return new Map();
+
+    const { concluidos, interrompido } = await executarLote({
+        titulo,
+        itens: comImagens,
+        operacao: async vinil => ({
+            capa: vinil.capa ? await api.getCapaComoDataUrl(vinil.capa) : null,
+            imagens: comGaleria && vinil.imagens?.length ? await imagensComoDataUrl(vinil.imagens) : undefined
+        }),
+        tamanhoLote: TAMANHO_LOTE_CAPAS
+    });
+    ui.hideModal('modal-lote');
+
+    return interrompido ? null : new Map(concluidos.map(({ item, resultado }) => [item.id, resultado]));
+}
+
+/**
+ * Conta as capas que não foram baixadas em base64 (ver baixarCapas)
+ * @param {Map<number, Object>} baixadas - Resultado de baixarCapas
+ * @returns {number} Capas que ficaram como URL
+ */
+function contarSemEmbutir(baixadas) {
+    return [...baixadas.values()].filter(({ capa }) => capa && !capa.startsWith('data:')).length;
+}
+
+// Linhas da importação enviadas à API ao mesmo tempo
+const TAMANHO_LOTE_IMPORTACAO = 5;
+
+/**
+ * Abre o assistente de importação (CSV, TSV ou JSON)
+ */
+function openImportar() {
+    mostrarView({ nome: 'importar' });
+    appState.importacao = null;
+    ui.showImportarModal();
+}
+
+/**
+ * Lê o arquivo escolhido e passa para o mapeamento de colunas
+ * @param {File} arquivo - Arquivo escolhido ou arrastado
+ */
+async function handleImportarArquivo(arquivo) {
+    if (!arquivo) return;
+
+    try {
+        const lido = importacao.lerArquivo(arquivo.name, await arquivo.text());
+        if (lido.linhas.length === 0) throw new Error('nenhuma linha de dados encontrada.');
+
+        console.log(`📥 Arquivo lido: ${arquivo.name} (${lido.formato}, ${lido.linhas.length} linhas)`);
+        appState.importacao = { arquivo: { nome: arquivo.name, ...lido }, itens: [] };
+
+        // Backup do app: os vinis já vêm completos, sem mapeamento de colunas
+        if (lido.formato === 'Backup') {
+            await revisarImportacao(lido.linhas.map(vinil => history.dadosEditaveis(vinil)), { primeiraLinha: 1, etapaAnterior: 'arquivo' });
+            return;
+        }
+
+        // Export de coleção do Discogs: colunas conhecidas, formato interpretado por discogs.js
+        if (discogs.isDiscogs(lido.colunas)) {
+            appState.importacao.arquivo.formato = 'Discogs';
+            await revisarImportacao(lido.linhas.map(linha => discogs.converterLinha(linha)), { primeiraLinha: 2, etapaAnterior: 'arquivo' });
+            return;
+        }
+
+        ui.renderImportarMapeamento(appState.importacao.arquivo, importacao.sugerirMapeamento(lido.colunas));
+    } catch (error) {
+        console.error('❌ Erro ao ler arquivo de importação:', error);
+        ui.showError(`Não foi possível ler "${arquivo.name}": ${error.message}`);
+    }
+}
+
+/**
+ * Converte as linhas com o mapeamento de colunas escolhido e passa para a revisão
+ */
+async function handleImportarRevisar() {
+    const { arquivo } = appState.importacao || {};
+    if (!arquivo) return;
+
+    const mapeamento = ui.getImportarMapeamento();
+    const semColuna = ['artista', 'album', 'ano'].filter(campo => !mapeamento[campo]);
+    if (semColuna.length > 0) {
+        ui.showError(`Escolha a coluna de: ${semColuna.map(campo => importacao.CAMPOS_IMPORTACAO[campo]).join(', ')}.`);
+        return;
+    }
+
+    // Linha do arquivo (na planilha, a 1ª é o cabeçalho)
+    await revisarImportacao(arquivo.linhas.map(linha => importacao.converterLinha(linha, mapeamento)), {
+        primeiraLinha: arquivo.formato === 'JSON' ? 1 : 2
+    });
+}
+
+/**
+ * Valida os vinis a importar, procura duplicatas na coleção e no próprio
+ * arquivo e mostra a revisão
+ * Uma duplicata com valores diferentes (ex: selo preenchido no Discogs) vira
+ * atualização do vinil existente e já vem marcada.
+ * @param {Array<Object>} lista - Dados de cada linha, no formato do formulário
+ * @param {Object} options - Opções
+ * @param {number} options.primeiraLinha - Número (no arquivo) da primeira linha
+ * @param {string} [options.etapaAnterior='colunas'] - Etapa do botão Voltar
+ */
+async function revisarImportacao(lista, { primeiraLinha, etapaAnterior = 'colunas' }) {
+    try {
+        // Duplicatas são procuradas na coleção inteira, não só nas páginas carregadas
+        await loadAllVinis();
+    } catch (error) {
+        console.warn('⚠️ Coleção incompleta na busca de duplicatas:', error);
+    }
+
+    const vistas = new Map();
+
+    appState.importacao.itens = lista.map((dados, i) => {
+        const numero = i + primeiraLinha;
+        const erros = validarVinil(dados);
+        let duplicado = null;
+        let atualizacao = null;
+
+        if (erros.length === 0) {
+            duplicado = importacao.encontrarDuplicado(dados, appState.currentVinis);
+            if (duplicado?.tipo === 'duplicata') {
+                const alterados = importacao.camposAlterados(dados, duplicado.vinil);
+                if (Object.keys(alterados).length > 0) atualizacao = alterados;
+            }
+
+            const chave = importacao.chavePrensagem(dados);
+            if (duplicado?.tipo !== 'duplicata' && vistas.has(chave)) {
+                duplicado = { tipo: 'arquivo', numero: vistas.get(chave) };
+            }
+            if (!vistas.has(chave)) vistas.set(chave, numero);
+        }
+
+        return {
+            numero,
+            dados,
+            erros,
+            duplicado,
+            atualizacao,
+            incluir: erros.length === 0 && (atualizacao !== null || !['duplicata', 'arquivo'].includes(duplicado?.tipo))
+        };
+    });
+
+    ui.renderImportarRevisao(appState.importacao.itens, { etapaAnterior });
+}
+
+/**
+ * Cria o vinil de uma linha importada, ou atualiza a duplicata existente
+ * Destaques de um backup são restaurados depois, como ao desfazer uma exclusão.
+ * @param {Object} item - Item da revisão ({ numero, dados, atualizacao, ... })
+ * @returns {Promise<{ resultado: Object, pendente: boolean }>}
+ */
+async function importarItem(item) {
+    if (item.atualizacao) {
+        const existente = item.duplicado.vinil;
+        const { capa, imagens, ...atuais } = history.dadosEditaveis(existente);
+        return enviarAlteracao({ tipo: 'atualizar', id: existente.id, dados: { ...atuais, ...item.atualizacao }, original: existente });
+    }
+
+    const { destaque, ...dados } = item.dados;
+    const envio = await enviarAlteracao({ tipo: 'adicionar', dados });
+
+    if (destaque && !envio.pendente && !favorites.isDestaque(envio.resultado)) {
+        await favorites.toggleDestaque(envio.resultado, enviarAlteracao).catch(error => {
+            console.warn('⚠️ Não foi possível restaurar o destaque:', error);
+        });
+    }
+
+    return envio;
+}
+
+/**
+ * Envia as linhas marcadas com adicionarVinil (em grupos) e mostra o relatório
+ * Sem conexão, as linhas entram na fila do modo offline.
+ */
+async function handleImportarConfirmar() {
+    if (!appState.importacao) return;
+
+    const { itens } = appState.importacao;
+    const marcados = ui.getImportarIncluidos().map(indice => itens[indice]);
+    if (marcados.length === 0) return;
+
+    const { concluidos, falhas, interrompido } = await executarLote({
+        titulo: `📥 Importando ${marcados.length} ${marcados.length === 1 ? 'vinil' : 'vinis'}`,
+        itens: marcados,
+        operacao: importarItem,
+        descrever: item => `Linha ${item.numero}: ${descreverVinil(item.dados)}`,
+        tamanhoLote: TAMANHO_LOTE_IMPORTACAO
+    });
+
+    // O relatório no assistente substitui o painel de progresso
+    ui.hideModal('modal-lote');
+    const atualizados = concluidos.filter(({ item }) => item.atualizacao).length;
+    ui.showImportarRelatorio({
+        importados: concluidos.length - atualizados,
+        atualizados,
+        pendentes: concluidos.filter(({ resultado }) => resultado.pendente).length,
+        ignorados: itens.length - marcados.length,
+        interrompido,
+        falhas: falhas.map(({ item, erro }) => ({ numero: item.numero, descricao: descreverVinil(item.dados), mensagem: erro.message }))
+    });
+    console.log(`✅ Importação concluída: ${concluidos.length} importados, ${falhas.length} com erro`);
+
+    if (concluidos.length > 0) await refreshVinis();
+}
+
+/**
+ * Texto que identifica um vinil no histórico
+ * @param {Object} vinil - Dados do vinil
+ * @returns {string} Ex: 'The Wall — Pink Floyd'
+ */
+function descreverVinil(vinil) {
+    return `${vinil.album} — ${vinil.artista}`;
+}
+
+/**
+ * Monta os valores a restaurar se uma edição for desfeita
+ * A capa e a galeria só entram quando a edição as troca; nesse caso as
+ * anteriores são baixadas antes, porque os arquivos antigos podem ser
+ * apagados pelo backend.
+ * @param {Object} anterior - Vinil antes da edição
+ * @param {Object} dados - Dados que serão gravados
+ * @returns {Promise<Object>} Dados editáveis do vinil anterior
+ */
+async function prepararDesfazerEdicao(anterior, dados) {
+    const antes = history.dadosEditaveis(anterior || {});
+
+    if (dados.capa === undefined || dados.capa === antes.capa) {
+        delete antes.capa;
+    } else {
+        antes.capa = antes.capa ? await api.getCapaComoDataUrl(antes.capa) : null;
+        // A miniatura acompanha a capa (sem ela, a grid usa a própria capa)
+        antes.capa_miniatura = anterior?.capa_miniatura ? await api.getCapaComoDataUrl(anterior.capa_miniatura) : null;
+    }
+
+    if (dados.imagens === undefined || JSON.stringify(dados.imagens) === JSON.stringify(antes.imagens ?? [])) {
+        delete antes.imagens;
+    } else {
+        antes.imagens = await imagensComoDataUrl(antes.imagens);
+    }
+
+    return antes;
+}
+
+/**
+ * Baixa as imagens de uma galeria em base64 (ver api.getCapaComoDataUrl)
+ * @param {Array<Object>} [imagens] - Imagens ({ tipo, imagem, miniatura })
+ * @returns {Promise<Array<Object>>} Mesmas imagens, com data URLs
+ */
+function imagensComoDataUrl(imagens = []) {
+    return Promise.all(imagens.map(async item => ({
+        ...item,
+        imagem: await api.getCapaComoDataUrl(item.imagem),
+        miniatura: item.miniatura ? await api.getCapaComoDataUrl(item.miniatura) : null
+    })));
+}
+
+/**
+ * Reverte uma alteração do histórico (usando a fila offline sem conexão)
+ * @param {Object} entrada - Entrada do histórico (ver history.js)
+ */
+async function desfazerAlteracao(entrada) {
+    switch (entrada.tipo) {
+        case 'adicionar':
+            await enviarAlteracao({ tipo: 'deletar', id: entrada.id });
+            favorites.forgetDestaque(entrada.id);
+            break;
+        case 'atualizar':
+            // A versão gravada é a precondição: se alguém mudou o vinil depois, é conflito
+            await enviarAlteracao({ tipo: 'atualizar', id: entrada.id, dados: entrada.antes, original: entrada.depois });
+            break;
+        case 'deletar': {
+            const { destaque, ...dados } = entrada.antes;
+            const { resultado } = await enviarAlteracao({ tipo: 'adicionar', dados });
+            history.remapearId(entrada.id, resultado.id);
+
+            if (destaque && !favorites.isDestaque(resultado)) {
+                await favorites.toggleDestaque(resultado, enviarAlteracao).catch(error => {
+                    console.warn('⚠️ Não foi possível restaurar o destaque:', error);
+                });
+            }
+            break;
+        }
+    }
+
+    history.marcarDesfeita(entrada.numero);
+}
+
+/**
+ * Desfaz as alterações da sessão, da mais recente até a indicada
+ * @param {number} [numero] - Entrada do histórico (padrão: só a última alteração)
+ */
+async function desfazerAte(numero) {
+    const passos = history.getPassosAte(numero);
+    if (passos.length === 0 || appState.desfazendo) return;
+
+    appState.desfazendo = true;
+    let desfeitas = 0;
+
+    try {
+        for (const entrada of passos) {
+            console.log('↩️ Desfazendo:', entrada.tipo, entrada.descricao);
+            await desfazerAlteracao(entrada);
+            desfeitas++;
+        }
+
+        ui.showSuccess(desfeitas === 1
+            ? `Alteração desfeita: ${passos[0].descricao}`
+            : `${desfeitas} alterações desfeitas.`);
+    } catch (error) {
+        console.error('❌ Erro ao desfazer:', error);
+        ui.showError(api.isErroDeConflito(error)
+            ? `"${passos[desfeitas].descricao}" foi alterado depois disso e não pode ser desfeito automaticamente.`
+            : `Erro ao desfazer: ${error.message}`);
+    } finally {
+        appState.desfazendo = false;
+    }
+
+    await refreshVinis();
+}
+
+/**
+ * Abre o painel de histórico de alterações da sessão
+ */
+function openHistorico() {
+    mostrarView({ nome: 'historico' });
+    ui.showHistoricoModal(history.getHistorico());
+}
+
+/**
+ * Alterna o destaque (favorito) de um vinil
+ * @param {number} id - ID do vinil
+ */
+async function handleToggleDestaque(id) {
+    const btn = document.querySelector(`.btn-rare-item[data-vinil-id="${id}"]`);
+
+    try {
+        if (btn) btn.disabled = true;
+
+        const destaque = await favorites.toggleDestaque(await carregarVinil(id), enviarAlteracao);
+        console.log(`⭐ Vinil ${id} ${destaque ? 'destacado' : 'removido dos destaques'}`);
+
+        // Mantém o estado local coerente sem recarregar toda a coleção
+        findVinisCarregados(id).forEach(vinil => {
+            if (typeof vinil.destaque === 'boolean') vinil.destaque = destaque;
+        });
+
+        ui.updateDestaqueButton(id, destaque);
+        ui.showSuccess(destaque ? 'Vinil adicionado aos destaques!' : 'Vinil removido dos destaques.');
+
+        await applyFilters();
+    } catch (error) {
+        console.error('❌ Erro ao alterar destaque:', error);
+        ui.showError(`Erro ao alterar destaque: ${error.message}`);
+        if (btn) btn.disabled = false;
+    }
+}
+
+/**
+ * Copia um link para a área de transferência
+ * @param {string} url - Link a copiar
+ */
+async function copiarLink(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        ui.showSuccess('Link copiado! Cole no chat para compartilhar.');
+    } catch (error) {
+        console.error('Erro ao copiar link:', error);
+        ui.showError(`Não foi possível copiar. Link: ${url}`);
+    }
+}
+
+/**
+ * Abre a vitrine com os vinis em destaque
+ */
+async function openVitrine() {
+    mostrarView({ nome: 'vitrine' });
+    const modal = document.getElementById('modal-vitrine');
+    modal.classList.add('active');
+    animateModal('#modal-vitrine .modal-content');
+
+    try {
+        ui.showVitrineLoading();
+        const vinis = offline.getStatus().online ? await api.getVinis() : appState.currentVinis;
+        ui.renderVitrine(vinis.filter(favorites.isDestaque));
+    } catch (error) {
+        console.error('Erro ao carregar vitrine:', error);
+        fecharModal('modal-vitrine');
+        ui.showError('Não foi possível carregar os destaques.');
+    }
+}
+
+/**
+ * Botões de filtro rápido: "Todos" limpa a consulta inteira
+ * (busca, filtros e ordenação); "Favoritos" mostra só os destaques
+ * @param {string} filtro - Valor de data-filter
+ */
+function setFiltroRapido(filtro) {
+    if (filtro === 'todos') {
+        query.resetQuery();
+    } else if (filtro === 'favoritos') {
+        query.updateQuery({ somenteFavoritos: true });
+    }
+    aplicarConsulta();
+}
+
+/**
+ * Altera parte da consulta e reavalia a grid
+ * @param {Object} values - Campos da consulta a alterar (ver query.js)
+ */
+function handleQueryChange(values) {
+    query.updateQuery(values);
+    aplicarConsulta();
+}
+
+/**
+ * Grava a consulta atual no histórico (URL) e reavalia a grid
+ */
+async function aplicarConsulta() {
+    router.syncQuery(query.getQuery());
+    await applyFilters();
+}
+
+/**
+ * Abre o lightbox com a capa e a galeria de um vinil
+ * @param {number} id - ID do vinil
+ * @param {number} [indice=0] - Imagem exibida primeiro
+ */
+async function abrirGaleria(id, indice = 0) {
+    try {
+        const vinil = await carregarVinil(id);
+        gallery.abrirLightbox(gallery.imagensDoVinil(vinil), indice);
+    } catch (error) {
+        console.error('Erro ao abrir a galeria:', error);
+        ui.showError(`Erro ao abrir a galeria: ${error.message}`);
+    }
+}
+
+/**
+ * Abre o modal de formulário em modo de criação
+ */
+function openNovoVinil() {
+    const modal = document.getElementById('modal-form');
+    const title = document.getElementById('modal-form-title');
+    const form = document.getElementById('form-vinil');
+
+    if (modal) {
+        mostrarView({ nome: 'novo' });
+
+        // Reseta o título para modo de criação
+        title.textContent = '➕ Adicionar Novo Vinil';
+
+        // Limpa o formulário e preview de imagem
+        form?.reset();
+        clearImagePreview();
+        tracklist.clearTracklist();
+        gallery.clearGaleria();
+        ui.renderSecoesFormulario({ expandir: true });
+
+        // Remove o ID de edição se existir
+        delete form.dataset.editId;
+
+        modal.classList.add('active');
+    }
+}
+
+/**
+ * Abre o modal de formulário em modo de edição
+ * @param {number} id - ID do vinil a ser editado
+ */
+async function handleEditVinil(id) {
+    try {
+        console.log(`✏️ Editando vinil ID: ${id}`);
+
+        // Busca os dados do vinil (guardado como precondição da edição)
+        const vinil = await carregarVinil(id);
+        appState.edicaoOriginal = vinil;
+
+        // Troca o modal de detalhes pelo formulário
+        ui.hideModal('modal-detalhes');
+        mostrarView({ nome: 'editar', id });
+
+        // Abre o modal de formulário
+        const modal = document.getElementById('modal-form');
+        const title = document.getElementById('modal-form-title');
+        const form = document.getElementById('form-vinil');
+
+        // Muda o título
+        title.textContent = '✏️ Editar Vinil';
+
+        // Preenche os campos do formulário
+        document.getElementById('form-artista').value = vinil.artista;
         document.getElementById('form-album').value = vinil.album;
         document.getElementById('form-cor').value = vinil.cor_prensagem;
         document.getElementById('form-ano').value = vinil.ano;
         document.getElementById('form-selo').value = vinil.selo || '';
         document.getElementById('form-midia').value = vinil.midia;
+        document.getElementById('form-edicao-limitada').checked = !!vinil.edicao_limitada;
+        document.getElementById('form-numero-copia').value = vinil.numero_copia || '';
+        preencherCamposPrensagem(vinil);
+        tracklist.setTracklist(vinil.faixas || []);
+        gallery.setGaleria(vinil.imagens || []);
+        ui.renderSecoesFormulario({ expandir: true });
 
         // Armazena o ID no formulário para saber que é edição
         form.dataset.editId = id;
 
         // Se houver imagem, mostra o preview
+        clearImagePreview();
         if (vinil.capa) {
             const preview = document.getElementById('preview-img');
             const btnRemove = document.getElementById('btn-remove-image');
             const placeholder = document.querySelector('.preview-placeholder');
 
-            let imgUrl = vinil.capa;
-            if (vinil.capa.startsWith('/uploads')) {
-                imgUrl = `http://localhost:5000${vinil.capa}`;
-            }
-
-            preview.src = imgUrl;
+            preview.src = config.resolveAssetUrl(vinil.capa);
+            // Guarda o caminho original para não reenviar a URL absoluta
+            preview.dataset.capaOriginal = vinil.capa;
             preview.style.display = 'block';
             btnRemove.style.display = 'block';
             if (placeholder) placeholder.style.display = 'none';
@@ -293,85 +1809,520 @@ async function handleEditVinil(id) {
     }
 }
 
-/**
- * Configura o sistema de upload de imagem
- */
-function setupImageUpload() {
-    const fileInput = document.getElementById('form-capa');
-    const btnSelect = document.getElementById('btn-select-image');
-    const btnRemove = document.getElementById('btn-remove-image');
-    const preview = document.getElementById('preview-img');
+/**
+ * Lê os dados da prensagem do formulário (campos com data-prensagem)
+ * Campos vazios vão como null; o código de barras perde espaços e hífens.
+ * @returns {Object} { numero_catalogo, codigo_barras, matriz_a, ..., notas_edicao }
+ */
+function lerCamposPrensagem() {
+    const dados = {};
+    document.querySelectorAll('#form-vinil [data-prensagem]').forEach(campo => {
+        const nome = campo.dataset.prensagem;
+        let valor = campo.value.trim();
+        if (nome === 'codigo_barras') valor = valor.replace(/[\s-]/g, '');
+        if (nome === 'tamanho' || nome === 'rpm') valor = parseInt(valor) || '';
+        dados[nome] = valor === '' ? null : valor;
+    });
+    return dados;
+}
+
+/**
+ * Preenche os dados da prensagem no formulário
+ * @param {Object} vinil - Dados do vinil
+ */
+function preencherCamposPrensagem(vinil) {
+    document.querySelectorAll('#form-vinil [data-prensagem]').forEach(campo => {
+        campo.value = vinil[campo.dataset.prensagem] ?? '';
+    });
+}
+
+/**
+ * Configura o upload de imagem do formulário
+ * A imagem escolhida passa pelo tratamento de image.js (recorte quadrado,
+ * redução e nova codificação) antes de ir para o preview.
+ */
+function setupImageUpload() {
+    const fileInput = document.getElementById('form-capa');
+    const btnSelect = document.getElementById('btn-select-image');
+    const btnRemove = document.getElementById('btn-remove-image');
+
+    // Botão selecionar abre o file input
+    btnSelect?.addEventListener('click', () => {
+        fileInput?.click();
+    });
+
+    // Quando arquivo é selecionado
+    fileInput?.addEventListener('change', (e) => {
+        handleImagemEscolhida(e.target.files[0]);
+    });
+
+    // Botão remover
+    btnRemove?.addEventListener('click', () => {
+        clearImagePreview();
+    });
+
+    // Arrastar uma imagem para o preview
+    const areaPreview = document.getElementById('image-preview');
+    areaPreview?.addEventListener('dragover', (e) => {
+        if (!e.dataTransfer?.types.includes('Files')) return;
+        e.preventDefault();
+        areaPreview.classList.add('is-arrastando');
+    });
+    areaPreview?.addEventListener('dragleave', () => {
+        areaPreview.classList.remove('is-arrastando');
+    });
+    areaPreview?.addEventListener('drop', (e) => {
+        e.preventDefault();
+        areaPreview.classList.remove('is-arrastando');
+        handleImagemEscolhida(e.dataTransfer?.files[0]);
+    });
+
+    // Colar (Ctrl+V) uma imagem com o formulário aberto; nos campos de texto,
+    // só quando o foco está no preview
+    document.addEventListener('paste', (e) => {
+        if (!document.getElementById('modal-form')?.classList.contains('active')) return;
+        const editavel = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+        if (editavel && !e.target.closest('#image-preview')) return;
+
+        const item = [...(e.clipboardData?.items || [])]
+            .find(i => i.kind === 'file' && i.type.startsWith('image/'));
+        if (!item) return;
+        e.preventDefault();
+        handleImagemEscolhida(item.getAsFile());
+    });
+
+    // Envio da capa: cancelar e tentar de novo
+    document.getElementById('btn-envio-capa-cancelar')?.addEventListener('click', () => {
+        appState.envioCapa?.controle.abort();
+    });
+    document.getElementById('btn-envio-capa-repetir')?.addEventListener('click', () => {
+        enviarCapaDoPreview().catch(() => {});
+    });
+
+    // Quadro de recorte (fechado o quadro, a capa já começa a ser enviada)
+    document.getElementById('btn-recortar-image')?.addEventListener('click', () => {
+        abrirRecorte();
+    });
+    document.getElementById('btn-recorte-aplicar')?.addEventListener('click', () => {
+        aplicarRecorte();
+        ui.hideRecorte();
+        enviarCapaDoPreview().catch(() => {});
+    });
+    document.getElementById('btn-recorte-fechar')?.addEventListener('click', () => {
+        ui.hideRecorte();
+        enviarCapaDoPreview().catch(() => {});
+    });
+    setupRecorteArrasto();
+}
+
+/**
+ * Valida e carrega a imagem escolhida, gera a capa com o corte padrão
+ * (quadrado central) e abre o quadro de recorte
+ * @param {File} file - Arquivo escolhido
+ */
+async function handleImagemEscolhida(file) {
+    if (!file) return;
+    const fileInput = document.getElementById('form-capa');
+
+    // Valida tamanho do original (a capa enviada sai bem menor)
+    if (file.size > image.TAMANHO_MAXIMO_ORIGINAL) {
+        ui.showError(`Imagem muito grande! Máximo ${image.formatarTamanho(image.TAMANHO_MAXIMO_ORIGINAL)}.`);
+        fileInput.value = '';
+        return;
+    }
+
+    // Valida tipo
+    if (!file.type.startsWith('image/')) {
+        ui.showError('Formato inválido! Use JPG, PNG, GIF ou WEBP.');
+        fileInput.value = '';
+        return;
+    }
+
+    try {
+        const imagem = await image.carregarImagem(file);
+
+        image.liberarImagem(appState.capa?.imagem);
+        appState.capa = {
+            imagem,
+            corte: image.cortePadrao(imagem.naturalWidth, imagem.naturalHeight),
+            tamanhoOriginal: file.size
+        };
+
+        aplicarRecorte();
+        abrirRecorte();
+    } catch (error) {
+        console.error('❌ Erro ao processar imagem:', error);
+        ui.showError(error.message);
+        fileInput.value = '';
+    }
+}
+
+/**
+ * Abre o quadro de recorte com o corte atual
+ */
+function abrirRecorte() {
+    if (!appState.capa) return;
+    const { imagem, corte } = appState.capa;
+
+    ui.showRecorte(imagem.src);
+    ui.renderRecorte(corte, imagem.naturalWidth, imagem.naturalHeight);
+}
+
+/**
+ * Gera a capa e a miniatura com o corte atual e as mostra no preview
+ */
+function aplicarRecorte() {
+    if (!appState.capa) return;
+    const { imagem, corte, tamanhoOriginal } = appState.capa;
+    const resultado = image.processarImagem(imagem, corte, image.getImagemConfig());
+
+    // Corte novo: o envio da imagem anterior não vale mais
+    descartarEnvioCapa();
+
+    const preview = document.getElementById('preview-img');
+    preview.src = resultado.capa;
+    preview.dataset.miniatura = resultado.miniatura;
+    delete preview.dataset.capaOriginal;
+    preview.style.display = 'block';
+    document.getElementById('btn-remove-image').style.display = 'block';
+    document.getElementById('btn-recortar-image').hidden = false;
+    document.querySelector('.preview-placeholder').style.display = 'none';
+
+    ui.setCapaInfo(`${resultado.lado} × ${resultado.lado} px · ${resultado.formato} · ${image.formatarTamanho(resultado.bytes)} (original: ${image.formatarTamanho(tamanhoOriginal)})`);
+    console.log('🖼️ Capa processada:', { corte, lado: resultado.lado, formato: resultado.formato, bytes: resultado.bytes });
+}
+
+/**
+ * Arrastar o quadro de recorte move o corte; o canto muda o tamanho
+ * Pelo teclado: setas movem, Shift+setas mudam o tamanho.
+ */
+function setupRecorteArrasto() {
+    const caixa = document.getElementById('recorte-caixa');
+    const img = document.getElementById('recorte-img');
+    if (!caixa || !img) return;
+
+    let arrasto = null;
+
+    const atualizar = (desejado) => {
+        const { imagem } = appState.capa;
+        appState.capa.corte = image.limitarCorte(desejado, imagem.naturalWidth, imagem.naturalHeight);
+        ui.renderRecorte(appState.capa.corte, imagem.naturalWidth, imagem.naturalHeight);
+    };
+
+    caixa.addEventListener('pointerdown', (e) => {
+        if (!appState.capa) return;
+        e.preventDefault();
+
+        // Pixels da tela → pixels da imagem original
+        const larguraExibida = img.getBoundingClientRect().width;
+        arrasto = {
+            modo: e.target.id === 'recorte-alca' ? 'redimensionar' : 'mover',
+            x: e.clientX,
+            y: e.clientY,
+            corte: { ...appState.capa.corte },
+            escala: larguraExibida > 0 ? appState.capa.imagem.naturalWidth / larguraExibida : 1
+        };
+        caixa.setPointerCapture?.(e.pointerId);
+    });
+
+    caixa.addEventListener('pointermove', (e) => {
+        if (!arrasto) return;
+        const dx = (e.clientX - arrasto.x) * arrasto.escala;
+        const dy = (e.clientY - arrasto.y) * arrasto.escala;
+        const { corte } = arrasto;
+
+        atualizar(arrasto.modo === 'mover'
+            ? { ...corte, x: corte.x + dx, y: corte.y + dy }
+            : { ...corte, lado: corte.lado + Math.max(dx, dy) });
+    });
+
+    const soltar = () => {
+        arrasto = null;
+    };
+    caixa.addEventListener('pointerup', soltar);
+    caixa.addEventListener('pointercancel', soltar);
+
+    caixa.addEventListener('keydown', (e) => {
+        const direcoes = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        if (!appState.capa || !direcoes[e.key]) return;
+        e.preventDefault();
+
+        const [dx, dy] = direcoes[e.key];
+        const { corte, imagem } = appState.capa;
+        const passo = Math.max(1, Math.round(Math.min(imagem.naturalWidth, imagem.naturalHeight) / 50));
+
+        atualizar(e.shiftKey
+            ? { ...corte, lado: corte.lado + (dx || -dy) * passo }
+            : { ...corte, x: corte.x + dx * passo, y: corte.y + dy * passo });
+    });
+}
+
+/**
+ * Limpa o preview de imagem
+ */
+function clearImagePreview() {
+    const fileInput = document.getElementById('form-capa');
+    const preview = document.getElementById('preview-img');
+    const btnRemove = document.getElementById('btn-remove-image');
+
+    if (fileInput) fileInput.value = '';
+    if (preview) {
+        preview.src = '';
+        preview.style.display = 'none';
+        delete preview.dataset.capaOriginal;
+        delete preview.dataset.miniatura;
+    }
+    if (btnRemove) btnRemove.style.display = 'none';
+
+    // Descarta a imagem original, o envio e o quadro de recorte
+    descartarEnvioCapa();
+    image.liberarImagem(appState.capa?.imagem);
+    appState.capa = null;
+    const btnRecortar = document.getElementById('btn-recortar-image');
+    if (btnRecortar) btnRecortar.hidden = true;
+    ui.hideRecorte();
+    ui.setCapaInfo('');
+    
+    const placeholder = document.querySelector('.preview-placeholder');
+    if (placeholder) placeholder.style.display = 'block';
+}
+
+/**
+ * Envia a capa nova do preview ao backend em multipart, com o progresso
+ * (e os botões Cancelar e Tentar de novo) sobre o preview
+ * Reaproveita o envio em andamento ou já concluído da mesma imagem.
+ * @returns {Promise<Object|null>} { capa, capa_miniatura } com os caminhos no
+ *   servidor; null se não há capa nova ou se ela deve ir em base64 no JSON
+ *   (backend sem o endpoint ou sem conexão, caso em que vai para a fila offline)
+ * @throws {Error} Falha ou cancelamento do envio (mostrados no preview)
+ */
+function enviarCapaDoPreview() {
+    const preview = document.getElementById('preview-img');
+    const dataUrl = preview?.src || '';
+    if (!dataUrl.startsWith('data:') || preview.style.display === 'none') return Promise.resolve(null);
+
+    const anterior = appState.envioCapa;
+    if (anterior?.dataUrl === dataUrl && ['enviando', 'concluido', 'base64'].includes(anterior.estado)) {
+        return anterior.promessa;
+    }
+    descartarEnvioCapa();
+    if (!offline.getStatus().online) return Promise.resolve(null);
+
+    const envio = { dataUrl, estado: 'enviando', controle: new AbortController() };
+    const atual = () => appState.envioCapa === envio;
+    appState.envioCapa = envio;
+    ui.renderEnvioCapa({ estado: 'enviando' });
+
+    const arquivos = {
+        capa: image.dataUrlParaBlob(dataUrl),
+        miniatura: preview.dataset.miniatura ? image.dataUrlParaBlob(preview.dataset.miniatura) : null
+    };
+    envio.promessa = api.enviarCapa(arquivos, {
+        signal: envio.controle.signal,
+        onProgresso: (progresso) => {
+            if (atual()) ui.renderEnvioCapa({ estado: 'enviando', progresso });
+        }
+    }).then((caminhos) => {
+        envio.estado = 'concluido';
+        if (atual()) ui.renderEnvioCapa({ estado: 'concluido' });
+        console.log('🖼️ Capa enviada:', caminhos);
+        return caminhos;
+    }, (error) => {
+        if (api.isEnvioSemSuporte(error) || api.isErroDeConexao(error)) {
+            envio.estado = 'base64';
+            if (atual()) ui.renderEnvioCapa(null);
+            return null;
+        }
+
+        envio.estado = api.isEnvioCancelado(error) ? 'cancelado' : 'erro';
+        if (atual()) ui.renderEnvioCapa({ estado: envio.estado, mensagem: error.message });
+        throw error;
+    });
+
+    return envio.promessa;
+}
+
+/**
+ * Envia em multipart as imagens novas da galeria (as que ainda estão em base64)
+ * Sem o endpoint ou sem conexão, as que faltam seguem em base64 no JSON. O
+ * editor passa a guardar os caminhos, para não reenviar se o salvamento falhar.
+ * @param {Array<Object>} imagens - Imagens do editor ({ tipo, imagem, miniatura })
+ * @param {Function} [onProgresso] - Recebe (imagem atual, total de imagens novas)
+ * @returns {Promise<Array<Object>>} Imagens, com os caminhos no servidor das que foram enviadas
+ * @throws {Error} Erro do servidor no envio de uma imagem
+ */
+async function enviarImagensDaGaleria(imagens, onProgresso) {
+    const novas = imagens.filter(item => item.imagem.startsWith('data:'));
+    if (novas.length === 0 || !offline.getStatus().online) return imagens;
+
+    const enviadas = new Map();
+    try {
+        for (const [indice, item] of novas.entries()) {
+            onProgresso?.(indice + 1, novas.length);
+            const arquivos = {
+                capa: image.dataUrlParaBlob(item.imagem),
+                miniatura: item.miniatura ? image.dataUrlParaBlob(item.miniatura) : null
+            };
+            const { capa, capa_miniatura } = await api.enviarCapa(arquivos);
+            enviadas.set(item, { ...item, imagem: capa, miniatura: capa_miniatura });
+        }
+    } catch (error) {
+        if (!api.isEnvioSemSuporte(error) && !api.isErroDeConexao(error)) throw error;
+    } finally {
+        if (enviadas.size > 0) gallery.setGaleria(imagens.map(item => enviadas.get(item) || item));
+    }
+
+    return imagens.map(item => enviadas.get(item) || item);
+}
+
+/**
+ * Cancela o envio da capa em andamento (se houver) e esconde o progresso
+ */
+function descartarEnvioCapa() {
+    const envio = appState.envioCapa;
+    appState.envioCapa = null;
+    if (envio?.estado === 'enviando') envio.controle.abort();
+    ui.renderEnvioCapa(null);
+}
+
+/**
+ * Obtém os dados da imagem em base64
+ * @returns {string|null} String base64 da imagem, caminho da capa atual ou null
+ */
+function getImageData() {
+    const preview = document.getElementById('preview-img');
+    if (preview && preview.src && preview.style.display !== 'none') {
+        // Capa já existente no servidor: devolve o caminho relativo original,
+        // assim a URL base da API nunca fica gravada no banco
+        if (preview.dataset.capaOriginal && !preview.src.startsWith('data:')) {
+            return preview.dataset.capaOriginal;
+        }
+        return preview.src; // Retorna o data URL (base64)
+    }
+    return null;
+}
+
+/**
+ * Obtém a miniatura gerada junto com uma capa nova
+ * @returns {string|null} Data URL da miniatura ou null (capa do servidor ou sem capa)
+ */
+function getMiniaturaData() {
+    const preview = document.getElementById('preview-img');
+    if (preview && preview.src.startsWith('data:') && preview.style.display !== 'none') {
+        return preview.dataset.miniatura || null;
+    }
+    return null;
+}
+
+/**
+ * Abre o painel de configurações com os valores ativos
+ */
+function openConfigModal() {
+    mostrarView({ nome: 'config' });
+    const atual = config.getConfig();
+    const fontes = config.getConfigSources();
+
+    document.getElementById('config-api-base-url').value = atual.apiBaseUrl;
+    document.getElementById('config-api-prefix').value = atual.apiPrefix;
+    document.getElementById('config-source').textContent =
+        `Origem atual: URL via ${fontes.apiBaseUrl}, prefixo via ${fontes.apiPrefix}.`;
+
+    ui.renderRaridadeConfig(rarity.getRaridadeConfig());
+    ui.renderImagemConfig(image.getImagemConfig());
+
+    document.getElementById('modal-config').classList.add('active');
+    animateModal('#modal-config .modal-content');
+}
+
+/**
+ * Salva a configuração da API e recarrega os dados do novo backend
+ */
+async function handleConfigSubmit() {
+    try {
+        const configAnterior = config.getConfig();
+        const novaConfig = config.saveConfig({
+            apiBaseUrl: document.getElementById('config-api-base-url').value,
+            apiPrefix: document.getElementById('config-api-prefix').value
+        });
+
+        const apiMudou = JSON.stringify(novaConfig) !== JSON.stringify(configAnterior);
 
-    // Botão selecionar abre o file input
-    btnSelect?.addEventListener('click', () => {
-        fileInput?.click();
-    });
+        // Pesos de raridade
+        const pesos = {};
+        document.querySelectorAll('#config-pesos input[data-criterio]').forEach(input => {
+            pesos[input.dataset.criterio] = Number(input.value);
+        });
+        rarity.saveRaridadeConfig({
+            pesos,
+            selosRaros: document.getElementById('config-selos-raros').value.split(','),
+            limiarEstrelas: Number(document.getElementById('config-limiar-estrelas').value)
+        });
 
-    // Quando arquivo é selecionado
-    fileInput?.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file) {
-            // Valida tamanho (máx 5MB)
-            if (file.size > 5 * 1024 * 1024) {
-                ui.showError('Imagem muito grande! Máximo 5MB.');
-                fileInput.value = '';
-                return;
-            }
+        // Tratamento das capas
+        image.saveImagemConfig({
+            dimensaoMaxima: Number(document.getElementById('config-imagem-dimensao').value),
+            formato: document.getElementById('config-imagem-formato').value,
+            qualidade: Number(document.getElementById('config-imagem-qualidade').value) / 100
+        });
 
-            // Valida tipo
-            if (!file.type.startsWith('image/')) {
-                ui.showError('Formato inválido! Use JPG, PNG, GIF ou WEBP.');
-                fileInput.value = '';
-                return;
-            }
+        console.log('⚙️ Nova configuração salva:', novaConfig, rarity.getRaridadeConfig());
+        fecharModal('modal-config');
 
-            // Mostra preview
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                preview.src = event.target.result;
-                preview.style.display = 'block';
-                btnRemove.style.display = 'block';
-                document.querySelector('.preview-placeholder').style.display = 'none';
-            };
-            reader.readAsDataURL(file);
+        if (apiMudou) {
+            ui.showSuccess(`API configurada para ${novaConfig.apiBaseUrl}${novaConfig.apiPrefix}`);
+            await reloadFromBackend();
+        } else {
+            ui.showSuccess('Configurações salvas!');
+            // Reaplica filtros para atualizar raridades na grid e nos mini-stats
+            await applyFilters();
         }
-    });
-
-    // Botão remover
-    btnRemove?.addEventListener('click', () => {
-        clearImagePreview();
-    });
+    } catch (error) {
+        console.error('❌ Erro ao salvar configuração:', error);
+        ui.showError(error.message);
+    }
 }
 
 /**
- * Limpa o preview de imagem
+ * Remove a configuração salva e volta para config.json/meta/padrão
+ * (inclui os pesos de raridade e o tratamento das capas)
  */
-function clearImagePreview() {
-    const fileInput = document.getElementById('form-capa');
-    const preview = document.getElementById('preview-img');
-    const btnRemove = document.getElementById('btn-remove-image');
+async function handleConfigReset() {
+    await config.resetConfig();
+    rarity.resetRaridadeConfig();
+    image.resetImagemConfig();
+    fecharModal('modal-config');
+    ui.showSuccess('Configuração restaurada.');
+    await reloadFromBackend();
+}
 
-    if (fileInput) fileInput.value = '';
-    if (preview) {
-        preview.src = '';
-        preview.style.display = 'none';
+/**
+ * Testa se a URL digitada no painel responde
+ */
+async function testConfigConnection() {
+    const baseUrl = document.getElementById('config-api-base-url').value.trim().replace(/\/+$/, '');
+    const prefixo = document.getElementById('config-api-prefix').value.trim().replace(/^\/*/, '/').replace(/\/+$/, '');
+    const ok = await api.checkAPIHealth(`${baseUrl}${prefixo}`);
+
+    if (ok) {
+        ui.showSuccess(`Conexão com ${baseUrl} estabelecida!`);
+    } else {
+        ui.showError(`Não foi possível conectar em ${baseUrl}.`);
     }
-    if (btnRemove) btnRemove.style.display = 'none';
-    
-    const placeholder = document.querySelector('.preview-placeholder');
-    if (placeholder) placeholder.style.display = 'block';
 }
 
 /**
- * Obtém os dados da imagem em base64
- * @returns {string|null} String base64 da imagem ou null
+ * Recarrega vinis e filtros após trocar de backend
  */
-function getImageData() {
-    const preview = document.getElementById('preview-img');
-    if (preview && preview.src && preview.style.display !== 'none') {
-        return preview.src; // Retorna o data URL (base64)
+async function reloadFromBackend() {
+    const select = document.getElementById('filter-cor');
+    if (select) {
+        // Mantém apenas a opção "Todas as Cores"
+        select.length = 1;
+        populateColorFilter();
     }
-    return null;
+    appState.currentVinis = [];
+    appState.busca = null;
+    await loadVinis();
 }
 
 /**
@@ -380,57 +2331,48 @@ function getImageData() {
 function setupEventListeners() {
     // Botão adicionar vinil
     document.getElementById('btn-adicionar')?.addEventListener('click', () => {
-        const modal = document.getElementById('modal-form');
-        const title = document.getElementById('modal-form-title');
-        const form = document.getElementById('form-vinil');
-        
-        if (modal) {
-            // Reseta o título para modo de criação
-            title.textContent = '➕ Adicionar Novo Vinil';
-            
-            // Limpa o formulário e preview de imagem
-            form?.reset();
-            clearImagePreview();
-            
-            // Remove o ID de edição se existir
-            delete form.dataset.editId;
-            
-            modal.classList.add('active');
-        }
+        openNovoVinil();
     });
 
     // Upload de imagem
     setupImageUpload();
 
+    // Editor de faixas
+    tracklist.setupTracklistEditor();
+    gallery.setupGaleriaEditor({ onErro: mensagem => ui.showError(mensagem) });
+    gallery.setupLightbox();
+
+    // Scroll infinito da grid
+    setupInfiniteScroll();
+
     // Formulário de adicionar vinil
     document.getElementById('form-vinil')?.addEventListener('submit', async (e) => {
         e.preventDefault();
         await handleFormSubmit();
     });
 
+    // Resumo dos grupos recolhíveis acompanha o preenchimento
+    document.getElementById('form-vinil')?.addEventListener('input', () => ui.renderSecoesFormulario());
+    document.getElementById('form-vinil')?.addEventListener('change', () => ui.renderSecoesFormulario());
+
     // Botão cancelar formulário
     document.getElementById('btn-cancel-form')?.addEventListener('click', () => {
-        ui.hideModal('modal-form');
+        fecharModal('modal-form');
     });
 
     // Modal formulário - fechar
     document.getElementById('modal-form-close-btn')?.addEventListener('click', () => {
-        ui.hideModal('modal-form');
+        fecharModal('modal-form');
     });
 
     // Modal formulário - overlay
     document.querySelector('#modal-form .modal-overlay')?.addEventListener('click', () => {
-        ui.hideModal('modal-form');
+        fecharModal('modal-form');
     });
 
     // Botão de estatísticas
     document.getElementById('btn-stats')?.addEventListener('click', () => {
-        loadStats();
-        const modal = document.getElementById('modal-stats');
-        if (modal) {
-            modal.classList.add('active');
-            animateModal('#modal-stats .modal-content');
-        }
+        openStats();
     });
 
     // Busca de vinis
@@ -442,17 +2384,42 @@ function setupEventListeners() {
             clearTimeout(searchTimeout);
             const termo = e.target.value.trim();
 
-            // Debounce de 500ms
+            // Resultado instantâneo com os vinis já carregados
+            previaBusca(termo);
+
+            // Debounce de 500ms: o servidor confirma a busca
+            // (termos curtos voltam à coleção, sem perder os filtros)
             searchTimeout = setTimeout(() => {
-                if (termo.length >= 2) {
-                    buscarVinis(termo);
-                } else {
-                    loadVinis();
-                }
+                buscarVinis(termo);
             }, 500);
         });
     }
 
+    // Ajuda da sintaxe de busca
+    document.getElementById('btn-busca-ajuda')?.addEventListener('click', () => {
+        ui.toggleBuscaAjuda();
+    });
+
+    document.getElementById('busca-ajuda')?.addEventListener('click', (e) => {
+        const exemplo = e.target.closest('.busca-exemplo');
+        if (!exemplo || !searchInput) return;
+
+        // Acrescenta o exemplo ao que já foi digitado e busca na hora
+        const expressao = decodeURIComponent(exemplo.dataset.expressao);
+        searchInput.value = `${searchInput.value.trim()} ${expressao}`.trim();
+        clearTimeout(searchTimeout);
+        ui.toggleBuscaAjuda(false);
+        searchInput.focus();
+        buscarVinis(searchInput.value.trim());
+    });
+
+    // Fecha a ajuda ao clicar fora dela
+    document.addEventListener('click', (e) => {
+        if (!e.target.closest('#busca-ajuda, #btn-busca-ajuda')) {
+            ui.toggleBuscaAjuda(false);
+        }
+    });
+
     // Filtro de cor
     const filterCor = document.getElementById('filter-cor');
     if (filterCor) {
@@ -460,7 +2427,7 @@ function setupEventListeners() {
         populateColorFilter();
         
         filterCor.addEventListener('change', () => {
-            applyFilters();
+            handleQueryChange({ cor: filterCor.value });
         });
     }
 
@@ -468,28 +2435,357 @@ function setupEventListeners() {
     const filterMidia = document.getElementById('filter-midia');
     if (filterMidia) {
         filterMidia.addEventListener('change', () => {
-            applyFilters();
+            handleQueryChange({ midia: filterMidia.value });
         });
     }
 
+    // Filtro por intervalo de anos e selo
+    document.getElementById('filter-ano-min')?.addEventListener('change', (e) => {
+        handleQueryChange({ anoMin: e.target.value });
+    });
+
+    document.getElementById('filter-ano-max')?.addEventListener('change', (e) => {
+        handleQueryChange({ anoMax: e.target.value });
+    });
+
+    document.getElementById('filter-selo')?.addEventListener('change', (e) => {
+        handleQueryChange({ selo: e.target.value });
+    });
+
+    // Filtros da prensagem
+    document.getElementById('filter-tamanho')?.addEventListener('change', (e) => {
+        handleQueryChange({ tamanho: e.target.value });
+    });
+
+    document.getElementById('filter-rpm')?.addEventListener('change', (e) => {
+        handleQueryChange({ rpm: e.target.value });
+    });
+
+    document.getElementById('filter-pais')?.addEventListener('change', (e) => {
+        handleQueryChange({ pais: e.target.value });
+    });
+
+    // Chips dos filtros ativos (remover um ou limpar tudo)
+    document.getElementById('filtros-ativos')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('[data-filtro]');
+        if (!chip) return;
+
+        if (chip.dataset.filtro === 'todos') {
+            query.resetQuery();
+        } else {
+            query.removeFiltro(chip.dataset.filtro);
+        }
+        aplicarConsulta();
+    });
+
+    // Botões de filtro rápido (Todos / Favoritos)
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            setFiltroRapido(btn.dataset.filter);
+        });
+    });
+
+    // Vitrine de destaques
+    document.getElementById('btn-vitrine')?.addEventListener('click', () => {
+        openVitrine();
+    });
+
+    document.getElementById('vitrine-container')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.vitrine-item');
+        if (item) {
+            ui.hideModal('modal-vitrine');
+            showDetalhes(parseInt(item.dataset.vinilId));
+        }
+    });
+
+    document.getElementById('modal-vitrine-close-btn')?.addEventListener('click', () => {
+        fecharModal('modal-vitrine');
+    });
+
+    document.querySelector('#modal-vitrine .modal-overlay')?.addEventListener('click', () => {
+        fecharModal('modal-vitrine');
+    });
+
+    // Filtro de raridade
+    document.getElementById('filter-raridade')?.addEventListener('change', (e) => {
+        handleQueryChange({ raridadeMinima: e.target.value });
+    });
+
+    // Ordenação (restaurada do localStorage)
+    ui.renderQueryControls(query.getQuery(), query.getFiltrosAtivos());
+
+    document.getElementById('sort-campo')?.addEventListener('change', (e) => {
+        handleOrdenacaoChange({ campo: e.target.value });
+    });
+
+    document.getElementById('sort-desempate')?.addEventListener('change', (e) => {
+        handleOrdenacaoChange({ desempate: e.target.value });
+    });
+
+    document.getElementById('btn-sort-direcao')?.addEventListener('click', () => {
+        const { direcao } = query.getQuery().ordenacao;
+        handleOrdenacaoChange({ direcao: direcao === 'asc' ? 'desc' : 'asc' });
+    });
+
     // Modal stats - fechar
     document.getElementById('modal-stats-close-btn')?.addEventListener('click', () => {
-        ui.hideModal('modal-stats');
+        fecharModal('modal-stats');
     });
 
     // Modal stats - overlay
     document.querySelector('#modal-stats .modal-overlay')?.addEventListener('click', () => {
-        ui.hideModal('modal-stats');
+        fecharModal('modal-stats');
+    });
+
+    // Indicador de conexão: sem conexão, tenta reconectar na hora
+    document.getElementById('conexao-status')?.addEventListener('click', () => {
+        if (!offline.getStatus().online) offline.verificarConexao();
+    });
+
+    // Botão de configurações
+    document.getElementById('btn-config')?.addEventListener('click', () => {
+        openConfigModal();
+    });
+
+    // Formulário de configurações
+    document.getElementById('form-config')?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        await handleConfigSubmit();
+    });
+
+    document.getElementById('btn-config-test')?.addEventListener('click', () => {
+        testConfigConnection();
+    });
+
+    document.getElementById('btn-config-reset')?.addEventListener('click', () => {
+        handleConfigReset();
+    });
+
+    // Diálogo de conflito de edição: voltar mantém o formulário aberto
+    // (numa edição offline, ela continua na fila)
+    const fecharMesclagem = () => {
+        appState.conflito = null;
+        ui.hideModal('modal-conflito');
+    };
+    document.getElementById('modal-conflito-close-btn')?.addEventListener('click', fecharMesclagem);
+    document.querySelector('#modal-conflito .modal-overlay')?.addEventListener('click', fecharMesclagem);
+    document.getElementById('btn-mesclagem-cancelar')?.addEventListener('click', fecharMesclagem);
+    document.getElementById('btn-mesclagem-salvar')?.addEventListener('click', () => {
+        handleSalvarMesclagem();
+    });
+    document.getElementById('mesclagem-mostrar-iguais')?.addEventListener('change', (e) => {
+        ui.toggleMesclagemIguais(e.target.checked);
+    });
+
+    // Assistente de importação
+    document.getElementById('btn-importar')?.addEventListener('click', () => {
+        openImportar();
+    });
+    document.getElementById('modal-importar-close-btn')?.addEventListener('click', () => {
+        fecharModal('modal-importar');
+    });
+    document.querySelector('#modal-importar .modal-overlay')?.addEventListener('click', () => {
+        fecharModal('modal-importar');
+    });
+    document.getElementById('btn-importar-fechar')?.addEventListener('click', () => {
+        fecharModal('modal-importar');
+    });
+    document.getElementById('importar-arquivo')?.addEventListener('change', (e) => {
+        handleImportarArquivo(e.target.files[0]);
+    });
+
+    const dropzone = document.getElementById('importar-dropzone');
+    dropzone?.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        dropzone.classList.add('is-arrastando');
+    });
+    dropzone?.addEventListener('dragleave', () => {
+        dropzone.classList.remove('is-arrastando');
+    });
+    dropzone?.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('is-arrastando');
+        handleImportarArquivo(e.dataTransfer.files[0]);
+    });
+
+    document.querySelectorAll('[data-importar-voltar]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.importarVoltar === 'arquivo') document.getElementById('importar-arquivo').value = '';
+            ui.setImportarEtapa(btn.dataset.importarVoltar);
+        });
+    });
+    document.getElementById('btn-importar-revisar')?.addEventListener('click', () => {
+        handleImportarRevisar();
+    });
+    document.getElementById('importar-revisao')?.addEventListener('change', (e) => {
+        if (e.target.id === 'importar-marcar-todos') {
+            document.querySelectorAll('#importar-revisao .importar-incluir:not(:disabled)').forEach(checkbox => {
+                checkbox.checked = e.target.checked;
+            });
+        }
+        ui.updateImportarResumo(appState.importacao?.itens || []);
+    });
+    document.getElementById('btn-importar-confirmar')?.addEventListener('click', () => {
+        handleImportarConfirmar();
+    });
+
+    // Exportação
+    document.getElementById('btn-exportar')?.addEventListener('click', () => {
+        openExportar();
+    });
+    document.getElementById('modal-exportar-close-btn')?.addEventListener('click', () => {
+        fecharModal('modal-exportar');
+    });
+    document.querySelector('#modal-exportar .modal-overlay')?.addEventListener('click', () => {
+        fecharModal('modal-exportar');
+    });
+    document.querySelectorAll('#modal-exportar .exportar-opcao').forEach(btn => {
+        btn.addEventListener('click', () => handleExportar(btn.dataset.formato));
+    });
+    document.getElementById('btn-exportar-restaurar')?.addEventListener('click', () => {
+        // A importação substitui a rota da exportação
+        ui.hideModal('modal-exportar');
+        openImportar();
+    });
+
+    // Histórico de alterações (desfazer)
+    document.getElementById('btn-historico')?.addEventListener('click', () => {
+        openHistorico();
+    });
+    document.getElementById('modal-historico-close-btn')?.addEventListener('click', () => {
+        fecharModal('modal-historico');
+    });
+    document.querySelector('#modal-historico .modal-overlay')?.addEventListener('click', () => {
+        fecharModal('modal-historico');
+    });
+    document.getElementById('btn-desfazer-ultima')?.addEventListener('click', () => {
+        desfazerAte();
+    });
+    document.getElementById('historico-lista')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.historico-desfazer');
+        if (btn) desfazerAte(Number(btn.dataset.numero));
+    });
+
+    // Modal configurações - fechar
+    document.getElementById('modal-config-close-btn')?.addEventListener('click', () => {
+        fecharModal('modal-config');
+    });
+
+    // Modal configurações - overlay
+    document.querySelector('#modal-config .modal-overlay')?.addEventListener('click', () => {
+        fecharModal('modal-config');
     });
 
     // Modal de detalhes - fechar
     document.getElementById('modal-detalhes-close-btn')?.addEventListener('click', () => {
-        ui.hideModal('modal-detalhes');
+        fecharModal('modal-detalhes');
     });
 
     // Modal de detalhes - overlay
     document.querySelector('#modal-detalhes .modal-overlay')?.addEventListener('click', () => {
-        ui.hideModal('modal-detalhes');
+        fecharModal('modal-detalhes');
+    });
+
+    // Event delegation para abrir os detalhes ao clicar no card
+    // (o checkbox de comparação tem tratamento próprio abaixo)
+    // No modo seleção, o clique (no card ou no checkbox) marca o vinil
+    document.getElementById('vinis-grid')?.addEventListener('click', (e) => {
+        const card = e.target.closest('.vinil-card');
+        if (!card) return;
+
+        if (selection.isAtivo()) {
+            e.preventDefault();
+            handleSelecaoCard(parseInt(card.dataset.vinilId), e.shiftKey);
+        } else if (!e.target.closest('.vinil-card-compare')) {
+            showDetalhes(parseInt(card.dataset.vinilId));
+        }
+    });
+
+    // Event delegation para o checkbox de comparação dos cards
+    document.getElementById('vinis-grid')?.addEventListener('change', (e) => {
+        if (e.target.classList.contains('compare-checkbox')) {
+            toggleComparacao(parseInt(e.target.dataset.vinilId), e.target.checked);
+        }
+    });
+
+    // Barra de comparação
+    document.getElementById('btn-comparar')?.addEventListener('click', () => {
+        compararPrensagens();
+    });
+
+    document.getElementById('btn-limpar-comparacao')?.addEventListener('click', () => {
+        limparComparacao();
+    });
+
+    // Modo seleção e operações em lote
+    document.getElementById('btn-selecionar')?.addEventListener('click', () => {
+        toggleModoSelecao();
+    });
+    document.getElementById('btn-sair-selecao')?.addEventListener('click', () => {
+        toggleModoSelecao(false);
+    });
+    document.getElementById('btn-selecionar-todos')?.addEventListener('click', () => {
+        selecionarTodosFiltrados();
+    });
+    document.getElementById('btn-limpar-selecao')?.addEventListener('click', () => {
+        selection.limpar();
+        atualizarSelecao();
+    });
+    document.getElementById('btn-lote-excluir')?.addEventListener('click', () => {
+        handleLoteExcluir();
+    });
+    document.getElementById('btn-lote-editar')?.addEventListener('click', () => {
+        ui.showLoteEditarModal(vinisSelecionados());
+    });
+    document.getElementById('btn-lote-comparar')?.addEventListener('click', () => {
+        handleLoteComparar();
+    });
+    document.getElementById('btn-lote-exportar')?.addEventListener('click', () => {
+        ui.toggleLoteExportarMenu();
+    });
+    document.getElementById('lote-exportar-menu')?.addEventListener('click', (e) => {
+        const opcao = e.target.closest('[data-formato]');
+        if (!opcao) return;
+        ui.toggleLoteExportarMenu(false);
+        handleLoteExportar(opcao.dataset.formato);
+    });
+
+    // Edição em lote
+    const formLote = document.getElementById('form-lote-editar');
+    formLote?.addEventListener('change', (e) => {
+        if (e.target.dataset.alterar) ui.toggleLoteCampo(e.target);
+    });
+    formLote?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        handleLoteEditarSubmit();
+    });
+    document.getElementById('btn-lote-editar-cancelar')?.addEventListener('click', () => {
+        ui.hideModal('modal-lote-editar');
+    });
+    document.getElementById('modal-lote-editar-close-btn')?.addEventListener('click', () => {
+        ui.hideModal('modal-lote-editar');
+    });
+    document.querySelector('#modal-lote-editar .modal-overlay')?.addEventListener('click', () => {
+        ui.hideModal('modal-lote-editar');
+    });
+
+    // Progresso do lote: interromper para após o item em andamento
+    document.getElementById('btn-lote-interromper')?.addEventListener('click', (e) => {
+        if (appState.lote) appState.lote.interrompido = true;
+        e.currentTarget.disabled = true;
+    });
+    document.getElementById('btn-lote-fechar')?.addEventListener('click', () => {
+        ui.hideModal('modal-lote');
+    });
+
+    // Modal comparação - fechar
+    document.getElementById('modal-comparar-close-btn')?.addEventListener('click', () => {
+        fecharModal('modal-comparar');
+    });
+
+    // Modal comparação - overlay
+    document.querySelector('#modal-comparar .modal-overlay')?.addEventListener('click', () => {
+        fecharModal('modal-comparar');
     });
 
     // Event delegation para botão deletar (criado dinamicamente)
@@ -502,6 +2798,33 @@ function setupEventListeners() {
             }
         }
         
+        // Event delegation para botão de destaque (modal de detalhes)
+        if (e.target.closest('.btn-rare-item')) {
+            const btn = e.target.closest('.btn-rare-item');
+            const vinilId = parseInt(btn.dataset.vinilId);
+            if (vinilId) {
+                await handleToggleDestaque(vinilId);
+            }
+        }
+
+        // Event delegation para comparar prensagens do álbum (modal de detalhes)
+        if (e.target.closest('.btn-compare-album')) {
+            const btn = e.target.closest('.btn-compare-album');
+            await compararAlbum(decodeURIComponent(btn.dataset.artista), decodeURIComponent(btn.dataset.album));
+        }
+
+        // Event delegation para ampliar a capa e a galeria (modal de detalhes)
+        if (e.target.closest('.detalhes-galeria-abrir')) {
+            const btn = e.target.closest('.detalhes-galeria-abrir');
+            await abrirGaleria(parseInt(btn.dataset.vinilId), parseInt(btn.dataset.galeriaIndice));
+        }
+
+        // Event delegation para copiar o link do vinil (modal de detalhes)
+        if (e.target.closest('.btn-copiar-link')) {
+            const btn = e.target.closest('.btn-copiar-link');
+            await copiarLink(router.urlDaView({ nome: 'vinil', id: parseInt(btn.dataset.vinilId) }));
+        }
+
         // Event delegation para botão editar (criado dinamicamente)
         if (e.target.closest('.btn-edit-vinil')) {
             const btn = e.target.closest('.btn-edit-vinil');
@@ -515,9 +2838,25 @@ function setupEventListeners() {
     // Tecla ESC para fechar modais
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
-            ui.hideModal('modal-detalhes');
-            ui.hideModal('modal-stats');
-            ui.hideModal('modal-form');
+            ui.toggleBuscaAjuda(false);
+            // O lightbox fica sobre os detalhes: ESC fecha só ele
+            if (gallery.isLightboxAberto()) {
+                gallery.fecharLightbox();
+                return;
+            }
+            // O diálogo de conflito fica sobre o formulário: ESC fecha só ele
+            if (document.getElementById('modal-conflito')?.classList.contains('active')) {
+                fecharMesclagem();
+                return;
+            }
+            // O progresso do lote só fecha ao terminar
+            if (appState.lote) return;
+            // Sem modal aberto, ESC sai do modo seleção
+            if (!document.querySelector('.modal.active') && selection.isAtivo()) {
+                toggleModoSelecao(false);
+                return;
+            }
+            document.querySelectorAll('.modal.active').forEach(modal => fecharModal(modal.id));
         }
     });
 }
@@ -528,54 +2867,148 @@ function setupEventListeners() {
 async function populateColorFilter() {
     try {
         const stats = await api.getStatsCores();
-        const select = document.getElementById('filter-cor');
-        
-        if (stats.por_cor && select) {
-            stats.por_cor.forEach(item => {
-                const option = document.createElement('option');
-                option.value = item.cor_prensagem;
-                option.textContent = `${item.cor_prensagem} (${item.quantidade})`;
-                select.appendChild(option);
-            });
-        }
+        if (stats.por_cor) preencherFiltroCores(stats.por_cor);
     } catch (error) {
         console.error('Erro ao carregar cores:', error);
     }
 }
 
 /**
- * Aplica filtros combinados
+ * Acrescenta as cores ao select de filtro
+ * @param {Array<Object>} porCor - [{ cor_prensagem, quantidade }]
  */
-async function applyFilters() {
-    const cor = document.getElementById('filter-cor')?.value;
-    const midia = document.getElementById('filter-midia')?.value;
-    
+function preencherFiltroCores(porCor) {
+    const select = document.getElementById('filter-cor');
+    if (!select) return;
+
+    porCor.forEach(item => {
+        const option = document.createElement('option');
+        option.value = item.cor_prensagem;
+        option.textContent = `${item.cor_prensagem} (${item.quantidade})`;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Salva a nova ordenação e reordena a grid
+ * @param {Object} values - Alteração parcial ({ campo }, { direcao } ou { desempate })
+ */
+function handleOrdenacaoChange(values) {
+    handleQueryChange({ ordenacao: values });
+}
+
+/**
+ * Reavalia a consulta inteira (busca, filtros e ordenação) e renderiza a grid
+ * A busca vai ao servidor só quando o termo muda; os filtros e a ordenação
+ * são aplicados no cliente sobre o resultado da busca ou sobre a coleção.
+ * Cláusulas da busca avançada que o backend não suporta (ano, selo, cor,
+ * mídia, dados da prensagem, exclusões) também são conferidas no cliente (ver search.js).
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.manterScroll=false] - Mantém a rolagem da grid
+ */
+async function applyFilters({ manterScroll = false } = {}) {
+    const termo = query.getTextoBusca();
+    ui.renderQueryControls(query.getQuery(), query.getFiltrosAtivos());
+
     try {
-        ui.showLoading();
-        let vinis = appState.currentVinis;
-        
-        // Se não temos vinis carregados, carrega todos
-        if (!vinis || vinis.length === 0) {
-            vinis = await api.getVinis();
-            appState.currentVinis = vinis;
-        }
-        
-        // Aplica filtros
-        let filtered = vinis;
-        
-        if (cor) {
-            filtered = filtered.filter(v => v.cor_prensagem === cor);
-        }
-        
-        if (midia) {
-            filtered = filtered.filter(v => v.midia === midia);
+        let base;
+
+        if (termo) {
+            if (appState.busca?.termo !== termo) {
+                // Com a prévia na tela, não troca a grid pelo indicador de carregamento
+                if (!ui.isBuscaPendente()) ui.showLoading();
+                const vinis = await executarBusca(termo);
+                // O termo mudou enquanto a busca carregava: a busca mais nova renderiza
+                if (query.getTextoBusca() !== termo) return;
+                appState.busca = { termo, vinis };
+            }
+            base = appState.busca.vinis;
+            ui.setTermosBusca(search.termosLivres(search.parseBusca(termo)));
+        } else {
+            // Filtros e ordenação valem para a coleção inteira, não só as páginas carregadas
+            if (query.precisaColecaoCompleta() && appState.paginacao.hasMore) {
+                ui.showLoading();
+                await loadAllVinis();
+            }
+            base = appState.currentVinis;
+            ui.renderBuscaErros([]);
+            ui.setTermosBusca([]);
         }
-        
-        ui.renderVinisGrid(filtered);
+
+        ui.setBuscaPendente(false);
+
+        const paginado = !termo && !query.precisaColecaoCompleta();
+        renderGrid(query.avaliarQuery(base), { total: paginado ? appState.paginacao.total : undefined, manterScroll });
+        ui.updateSugestoes(appState.currentVinis);
+        if (paginado) await loadMoreIfVisible();
     } catch (error) {
         console.error('Erro ao aplicar filtros:', error);
-        ui.showError('Erro ao aplicar filtros.');
+        ui.setBuscaPendente(false);
+        ui.hideLoading();
+        ui.showError(termo ? `Erro ao realizar a busca: ${error.message}` : 'Erro ao aplicar filtros.');
+    }
+}
+
+/**
+ * Executa uma busca (simples ou avançada)
+ * A cláusula mais restritiva suportada pelo backend vai ao servidor; sem
+ * nenhuma (ex: "ano:1970..1979 -cor:Preto"), a coleção inteira é filtrada.
+ * O resultado do servidor é somado ao do índice local, que encontra o que
+ * a busca exata do backend perde (acentos, erros de digitação), e ordenado
+ * por relevância quando há texto livre.
+ * @param {string} termo - Texto do campo de busca
+ * @returns {Promise<Array>} Vinis que atendem a todas as cláusulas
+ */
+async function executarBusca(termo) {
+    const busca = search.parseBusca(termo);
+    ui.renderBuscaErros(busca.erros);
+
+    const consulta = search.consultaServidor(busca);
+    let candidatos = [];
+
+    if (consulta && offline.getStatus().online) {
+        try {
+            candidatos = await api.buscarNoServidor(consulta);
+        } catch (error) {
+            // Sem conexão, fica só o resultado local
+            if (!api.isErroDeConexao(error)) throw error;
+            offline.setOnline(false);
+        }
+    } else if (!consulta) {
+        await loadAllVinis();
     }
+
+    // Locais primeiro: o servidor só acrescenta o que ainda não foi carregado
+    const vinis = buscarLocal(busca);
+    const ids = new Set(vinis.map(vinil => vinil.id));
+    candidatos
+        .filter(vinil => !ids.has(vinil.id) && search.correspondeBusca(vinil, busca))
+        .forEach(vinil => vinis.push(vinil));
+
+    return searchIndex.ranquearVinis(vinis, search.termosLivres(busca));
+}
+
+/**
+ * Busca nos vinis já carregados, sem ir ao servidor
+ * @param {Object} busca - Resultado de search.parseBusca
+ * @returns {Array<Object>} Vinis que atendem a todas as cláusulas, por relevância
+ */
+function buscarLocal(busca) {
+    const termos = search.termosLivres(busca);
+    const candidatos = termos.length > 0
+        ? searchIndex.buscarNoIndice(termos).map(resultado => resultado.vinil)
+        : appState.currentVinis;
+
+    return candidatos.filter(vinil => search.correspondeBusca(vinil, busca));
+}
+
+/**
+ * Vinis já carregados com um ID (coleção e resultado da busca)
+ * @param {number} id - ID do vinil
+ * @returns {Array<Object>} Objetos encontrados (podem ser cópias distintas)
+ */
+function findVinisCarregados(id) {
+    return [...appState.currentVinis, ...(appState.busca?.vinis || [])].filter(v => v.id === id);
 }
 
 /**
@@ -599,10 +3032,15 @@ if (document.readyState === 'loading') {
 // Exporta funções úteis para debugging no console
 window.VinilApp = {
     loadVinis,
+    loadMoreVinis,
     loadStats,
     buscarVinis,
     compararPrensagens,
+    compararAlbum,
     api,
     ui,
+    config,
+    query,
+    offline,
     state: appState
 };
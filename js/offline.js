@@ -0,0 +1,514 @@
+/**
+ * offline.js - Modo offline: cópia local da coleção e fila de alterações
+ *
+ * A última coleção conhecida fica no IndexedDB deste navegador, para a grid,
+ * a busca, os filtros e as estatísticas continuarem funcionando sem a API.
+ * Inclusões, edições e exclusões feitas sem conexão entram em uma fila
+ * (outbox) e são reenviadas na ordem, pelas mesmas funções de api.js,
+ * quando a API volta a responder.
+ *
+ * Vinis criados offline recebem um ID provisório negativo, trocado pelo ID
+ * do backend na sincronização.
+ */
+
+import { adicionarVinil, atualizarVinil, deletarVinil, checkAPIHealth, isErroDeConexao, isErroDeConflito } from './api.js';
+
+const DB_NOME = 'vinyl-collection';
+const DB_VERSAO = 1;
+const STORE_VINIS = 'vinis';
+const STORE_OUTBOX = 'outbox';
+const STORE_META = 'meta';
+
+// Intervalo (ms) entre as tentativas de reconexão
+const INTERVALO_RECONEXAO = 15000;
+
+// Idade máxima (ms) da última cópia completa antes de baixar a coleção de novo
+const VALIDADE_COPIA_COMPLETA = 60 * 60 * 1000;
+
+let dbPromise = null;
+let timerReconexao = null;
+let ultimoIdProvisorio = 0;
+
+// Estado da conexão exibido no cabeçalho
+const status = {
+    online: true,
+    sincronizando: false,
+    pendentes: 0
+};
+
+const statusListeners = new Set();
+const reconexaoListeners = new Set();
+
+/**
+ * Lê a fila salva e passa a acompanhar os eventos de rede do navegador
+ * @returns {Promise<Object>} Estado inicial ({ online, sincronizando, pendentes })
+ */
+export async function iniciar() {
+    window.addEventListener('offline', () => setOnline(false));
+    window.addEventListener('online', () => verificarConexao());
+
+    try {
+        status.pendentes = (await getPendentes()).length;
+    } catch (error) {
+        console.warn('⚠️ IndexedDB indisponível, modo offline desativado:', error);
+    }
+
+    notificarStatus();
+    return getStatus();
+}
+
+/**
+ * Retorna uma cópia do estado da conexão
+ * @returns {{ online: boolean, sincronizando: boolean, pendentes: number }}
+ */
+export function getStatus() {
+    return { ...status };
+}
+
+/**
+ * Registra um handler chamado sempre que o estado da conexão muda
+ * @param {Function} handler - (status) => void
+ */
+export function onStatusChange(handler) {
+    statusListeners.add(handler);
+}
+
+/**
+ * Registra um handler chamado quando a API volta a responder
+ * @param {Function} handler - () => void
+ */
+export function onReconectar(handler) {
+    reconexaoListeners.add(handler);
+}
+
+/**
+ * Marca a API como acessível ou não
+ * Sem conexão, tenta de novo a cada INTERVALO_RECONEXAO com checkAPIHealth.
+ * @param {boolean} online - true se a API respondeu
+ */
+export function setOnline(online) {
+    if (status.online === online) return;
+
+    status.online = online;
+    notificarStatus();
+
+    if (online) {
+        clearInterval(timerReconexao);
+        timerReconexao = null;
+        reconexaoListeners.forEach(handler => handler());
+    } else if (!timerReconexao) {
+        timerReconexao = setInterval(verificarConexao, INTERVALO_RECONEXAO);
+    }
+}
+
+/**
+ * Testa agora se a API responde e atualiza o estado
+ * @returns {Promise<boolean>} true se a API estiver acessível
+ */
+export async function verificarConexao() {
+    const online = await checkAPIHealth();
+    setOnline(online);
+    return online;
+}
+
+/**
+ * Indica se um ID é provisório (vinil criado offline, ainda não enviado)
+ * @param {number} id - ID do vinil
+ * @returns {boolean} true se o ID ainda não existe no backend
+ */
+export function isIdProvisorio(id) {
+    return Number(id) < 0;
+}
+
+/**
+ * Guarda a coleção vinda da API como cópia offline
+ * Alterações ainda na fila são reaplicadas por cima, para a cópia refletir
+ * o que o usuário vê. Só com a coleção completa a cópia é substituída; as
+ * páginas carregadas até agora são somadas ao que já estava salvo.
+ * @param {Array<Object>} vinis - Vinis vindos da API
+ * @param {Object} [options]
+ * @param {boolean} [options.completa=true] - false se ainda há páginas por carregar
+ */
+export async function salvarColecao(vinis, { completa = true } = {}) {
+    const pendentes = await getPendentes();
+    const colecao = pendentes.reduce(aplicarOperacao, vinis);
+
+    await transacao([STORE_VINIS, STORE_META], 'readwrite', tx => {
+        const store = tx.objectStore(STORE_VINIS);
+        const meta = tx.objectStore(STORE_META);
+        if (completa) store.clear();
+        colecao.forEach(vinil => store.put(vinil));
+        meta.put(Date.now(), 'salvoEm');
+        if (completa) meta.put(Date.now(), 'completaEm');
+    });
+}
+
+/**
+ * Indica se a cópia offline precisa ser refeita com a coleção completa
+ * (nunca foi, ou a última vez foi há mais de VALIDADE_COPIA_COMPLETA)
+ * @returns {Promise<boolean>} true se vale baixar a coleção inteira
+ */
+export async function precisaCopiaCompleta() {
+    const completaEm = await transacao([STORE_META], 'readonly', tx => requisicao(tx.objectStore(STORE_META).get('completaEm')));
+    return !completaEm || Date.now() - completaEm > VALIDADE_COPIA_COMPLETA;
+}
+
+/**
+ * Aplica uma alteração ao vinil afetado na cópia offline
+ * Usada com as alterações da fila e com as já aceitas pela API (sem isso, a
+ * cópia só veria essas na próxima cópia completa).
+ * @param {Object} operacao - { tipo, id, dados }
+ */
+export async function atualizarCopia(operacao) {
+    await transacao([STORE_VINIS], 'readwrite', async tx => {
+        const store = tx.objectStore(STORE_VINIS);
+        const atual = await requisicao(store.get(operacao.id));
+        const vinil = aplicarOperacao(atual ? [atual] : [], operacao).find(v => v.id === operacao.id);
+        if (vinil) {
+            store.put(vinil);
+        } else {
+            store.delete(operacao.id);
+        }
+    });
+}
+
+/**
+ * Lê a cópia offline da coleção
+ * @returns {Promise<{ vinis: Array<Object>, salvoEm: number }|null>} null se nunca foi salva
+ */
+export async function getColecaoSalva() {
+    try {
+        const [vinis, salvoEm] = await transacao([STORE_VINIS, STORE_META], 'readonly', tx => Promise.all([
+            requisicao(tx.objectStore(STORE_VINIS).getAll()),
+            requisicao(tx.objectStore(STORE_META).get('salvoEm'))
+        ]));
+        return salvoEm ? { vinis, salvoEm } : null;
+    } catch (error) {
+        console.warn('⚠️ Não foi possível ler a coleção offline:', error);
+        return null;
+    }
+}
+
+/**
+ * Envia uma alteração à API
+ * @param {Object} operacao - { tipo: 'adicionar' | 'atualizar' | 'deletar', id?, dados?, original? }
+ *   (original: vinil antes da edição, precondição contra edições simultâneas)
+ * @returns {Promise<Object>} Resposta da API
+ */
+export async function executarOperacao({ tipo, id, dados, original }) {
+    switch (tipo) {
+        case 'adicionar':
+            return adicionarVinil(dados);
+        case 'atualizar':
+            return atualizarVinil(id, dados, { original });
+        case 'deletar':
+            return deletarVinil(id);
+        default:
+            throw new Error(`Operação desconhecida: ${tipo}`);
+    }
+}
+
+/**
+ * Guarda uma alteração feita sem conexão e a aplica na cópia offline
+ * @param {Object} operacao - { tipo: 'adicionar' | 'atualizar' | 'deletar', id?, dados? }
+ * @returns {Promise<Object>} Vinil como ficou localmente (em 'adicionar', com ID provisório)
+ */
+export async function registrarOperacao(operacao) {
+    const registro = { ...operacao, criadoEm: Date.now() };
+    if (registro.tipo === 'adicionar') {
+        // Negativo e único mesmo com várias inclusões no mesmo milissegundo
+        ultimoIdProvisorio = Math.min(-Date.now(), ultimoIdProvisorio - 1);
+        registro.id = ultimoIdProvisorio;
+    }
+
+    const [salva] = await Promise.all([getColecaoSalva(), descartarDoProvisorio(registro)]);
+
+    // Excluir um vinil que nem chegou ao backend só o tira da fila
+    if (!(registro.tipo === 'deletar' && isIdProvisorio(registro.id))) {
+        await transacao([STORE_OUTBOX], 'readwrite', tx => {
+            tx.objectStore(STORE_OUTBOX).add(registro);
+        });
+    }
+
+    if (salva) await atualizarCopia(registro);
+
+    status.pendentes = (await getPendentes()).length;
+    notificarStatus();
+
+    return { ...operacao.dados, id: registro.id };
+}
+
+/**
+ * Aplica uma alteração a uma lista de vinis, sem alterar a original
+ * @param {Array<Object>} vinis - Lista de vinis
+ * @param {Object} operacao - { tipo, id, dados }
+ * @returns {Array<Object>} Nova lista
+ */
+export function aplicarOperacao(vinis, { tipo, id, dados }) {
+    switch (tipo) {
+        case 'adicionar':
+            return [...vinis, { ...dados, id }];
+        case 'atualizar':
+            return vinis.map(vinil => (vinil.id === id ? { ...vinil, ...dados, id } : vinil));
+        case 'deletar':
+            return vinis.filter(vinil => vinil.id !== id);
+        default:
+            return vinis;
+    }
+}
+
+/**
+ * Reenvia a fila de alterações, na ordem em que foram feitas
+ * Para na primeira falha de conexão (o restante espera a próxima tentativa).
+ * Uma alteração recusada pela API sai da fila e é informada em falhas. Uma
+ * edição em conflito (o vinil mudou no servidor) fica na fila, junto com as
+ * alterações seguintes do mesmo vinil, até o usuário escolher a mesclagem.
+ * @returns {Promise<{ enviadas: number, falhas: Array<{ operacao: Object, erro: Error }>, conflitos: Array<{ operacao: Object, atual: Object }>, idsReais: Map }>}
+ *   conflitos: edições na fila e o vinil como está no servidor;
+ *   idsReais: ID provisório → ID do backend (null se o vinil não pôde ser criado)
+ */
+export async function sincronizar() {
+    const idsReais = new Map();
+    const resultado = { enviadas: 0, falhas: [], conflitos: [], idsReais };
+    // Vinis com uma edição em conflito: o restante da fila deles espera
+    const emConflito = new Set();
+    if (status.sincronizando || !status.online) return resultado;
+
+    status.sincronizando = true;
+    notificarStatus();
+
+    try {
+        for (const operacao of await getPendentes()) {
+            const id = idsReais.has(operacao.id) ? idsReais.get(operacao.id) : operacao.id;
+            if (emConflito.has(id)) continue;
+
+            try {
+                if (id === null) {
+                    throw new Error('O vinil criado offline não pôde ser enviado.');
+                }
+
+                // Vinil criado offline: ninguém mais pode tê-lo editado, sem precondição
+                const original = isIdProvisorio(operacao.id) ? undefined : operacao.original;
+                const resposta = await executarOperacao({ tipo: operacao.tipo, id, dados: operacao.dados, original });
+                if (operacao.tipo === 'adicionar') {
+                    idsReais.set(operacao.id, resposta.id);
+                    // Antes de a inclusão sair da fila: se a sincronização parar
+                    // aqui, as próximas já levam o ID do backend
+                    await trocarIdProvisorio(operacao.id, resposta.id);
+                }
+                resultado.enviadas++;
+            } catch (erro) {
+                if (isErroDeConexao(erro)) {
+                    setOnline(false);
+                    break;
+                }
+                if (isErroDeConflito(erro)) {
+                    resultado.conflitos.push({ operacao: { ...operacao, id }, atual: erro.atual });
+                    emConflito.add(id);
+                    continue;
+                }
+                if (operacao.tipo === 'adicionar') idsReais.set(operacao.id, null);
+                resultado.falhas.push({ operacao, erro });
+            }
+
+            await removerPendente(operacao.chave);
+            status.pendentes--;
+            notificarStatus();
+        }
+    } finally {
+        status.sincronizando = false;
+        status.pendentes = (await getPendentes().catch(() => [])).length;
+        notificarStatus();
+    }
+
+    return resultado;
+}
+
+/**
+ * Tira da fila uma alteração resolvida fora da sincronização
+ * (ex: edição em conflito salva pelo diálogo de mesclagem)
+ * @param {number} chave - Chave da operação na fila (campo `chave` das operações)
+ */
+export async function descartarPendente(chave) {
+    await removerPendente(chave);
+    status.pendentes = (await getPendentes()).length;
+    notificarStatus();
+}
+
+/**
+ * Calcula as estatísticas a partir da coleção local
+ * (mesmo formato de GET /stats/, usado sem conexão)
+ * @param {Array<Object>} vinis - Coleção
+ * @returns {Object} { total_vinis, por_cor, por_artista }
+ */
+export function calcularStats(vinis) {
+    const contar = campo => {
+        const contagem = new Map();
+        vinis.forEach(vinil => {
+            const valor = vinil[campo];
+            if (valor) contagem.set(valor, (contagem.get(valor) || 0) + 1);
+        });
+        return [...contagem]
+            .map(([valor, quantidade]) => ({ [campo]: valor, quantidade }))
+            .sort((a, b) => b.quantidade - a.quantidade);
+    };
+
+    return {
+        total_vinis: vinis.length,
+        por_cor: contar('cor_prensagem'),
+        por_artista: contar('artista')
+    };
+}
+
+/**
+ * Lista as alterações na fila, da mais antiga para a mais nova
+ * @returns {Promise<Array<Object>>} Operações com a chave da fila em `chave`
+ */
+async function getPendentes() {
+    return transacao([STORE_OUTBOX], 'readonly', tx => new Promise((resolve, reject) => {
+        const operacoes = [];
+        const cursor = tx.objectStore(STORE_OUTBOX).openCursor();
+        cursor.onsuccess = () => {
+            const atual = cursor.result;
+            if (!atual) {
+                resolve(operacoes);
+                return;
+            }
+            operacoes.push({ ...atual.value, chave: atual.key });
+            atual.continue();
+        };
+        cursor.onerror = () => reject(cursor.error);
+    }));
+}
+
+/**
+ * Remove uma alteração da fila
+ * @param {number} chave - Chave da operação na fila
+ */
+async function removerPendente(chave) {
+    await transacao([STORE_OUTBOX], 'readwrite', tx => {
+        tx.objectStore(STORE_OUTBOX).delete(chave);
+    });
+}
+
+/**
+ * Troca o ID provisório pelo do backend nas alterações ainda na fila e na
+ * cópia offline
+ * @param {number} provisorio - ID provisório (negativo)
+ * @param {number} real - ID atribuído pelo backend
+ */
+async function trocarIdProvisorio(provisorio, real) {
+    await transacao([STORE_OUTBOX, STORE_VINIS], 'readwrite', tx => new Promise((resolve, reject) => {
+        const vinis = tx.objectStore(STORE_VINIS);
+        const pedidoVinil = vinis.get(provisorio);
+        pedidoVinil.onsuccess = () => {
+            if (!pedidoVinil.result) return;
+            vinis.delete(provisorio);
+            vinis.put({ ...pedidoVinil.result, id: real });
+        };
+
+        const cursor = tx.objectStore(STORE_OUTBOX).openCursor();
+        cursor.onsuccess = () => {
+            const atual = cursor.result;
+            if (!atual) {
+                resolve();
+                return;
+            }
+            if (atual.value.id === provisorio) {
+                // Sem precondição, como no envio de um vinil criado offline
+                const { original, ...operacao } = atual.value;
+                atual.update({ ...operacao, id: real });
+            }
+            atual.continue();
+        };
+        cursor.onerror = () => reject(cursor.error);
+    }));
+}
+
+/**
+ * Ao excluir um vinil criado offline, tira da fila a criação e as edições dele
+ * @param {Object} operacao - Operação sendo registrada
+ */
+async function descartarDoProvisorio(operacao) {
+    if (operacao.tipo !== 'deletar' || !isIdProvisorio(operacao.id)) return;
+
+    const pendentes = await getPendentes();
+    await Promise.all(pendentes
+        .filter(pendente => pendente.id === operacao.id)
+        .map(pendente => removerPendente(pendente.chave)));
+}
+
+/**
+ * Avisa os interessados que o estado da conexão mudou
+ */
+function notificarStatus() {
+    const atual = getStatus();
+    statusListeners.forEach(handler => handler(atual));
+}
+
+/**
+ * Abre (ou cria) o banco IndexedDB do app
+ * @returns {Promise<IDBDatabase>} Banco aberto
+ */
+function abrirDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!('indexedDB' in window)) {
+                reject(new Error('IndexedDB não suportado neste navegador.'));
+                return;
+            }
+
+            const pedido = indexedDB.open(DB_NOME, DB_VERSAO);
+            pedido.onupgradeneeded = () => {
+                const db = pedido.result;
+                db.createObjectStore(STORE_VINIS, { keyPath: 'id' });
+                db.createObjectStore(STORE_OUTBOX, { autoIncrement: true });
+                db.createObjectStore(STORE_META);
+            };
+            pedido.onsuccess = () => resolve(pedido.result);
+            pedido.onerror = () => reject(pedido.error);
+        });
+
+        // Falhou ao abrir: tenta de novo na próxima chamada
+        dbPromise.catch(() => {
+            dbPromise = null;
+        });
+    }
+    return dbPromise;
+}
+
+/**
+ * Executa uma transação e espera ela terminar
+ * @param {Array<string>} stores - Object stores envolvidas
+ * @param {string} modo - 'readonly' ou 'readwrite'
+ * @param {Function} executar - (tx) => valor ou Promise com o resultado
+ * @returns {Promise<*>} Resultado de executar, após o commit
+ */
+async function transacao(stores, modo, executar) {
+    const db = await abrirDB();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(stores, modo);
+        let resultado;
+
+        Promise.resolve(executar(tx)).then(valor => {
+            resultado = valor;
+        }, reject);
+
+        tx.oncomplete = () => resolve(resultado);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * Converte um IDBRequest em Promise
+ * @param {IDBRequest} pedido - Requisição ao IndexedDB
+ * @returns {Promise<*>} Resultado da requisição
+ */
+function requisicao(pedido) {
+    return new Promise((resolve, reject) => {
+        pedido.onsuccess = () => resolve(pedido.result);
+        pedido.onerror = () => reject(pedido.error);
+    });
+}
@@ -0,0 +1,227 @@
+/**
+ * query.js - Estado único da consulta à coleção
+ *
+ * Texto da busca, filtros (cor, mídia, ano, selo, tamanho, rotação, país,
+ * raridade, favoritos) e ordenação ficam em um só modelo, reavaliado por
+ * inteiro a cada mudança.
+ * Assim nenhum filtro "some" quando outro muda. A ordenação continua
+ * guardada em sort.js (persistida), este módulo apenas a expõe junto.
+ */
+
+import { normalizeText, valoresIguais } from './utils.js';
+import { calcularRaridade } from './rarity.js';
+import { isDestaque } from './favorites.js';
+import { TAMANHOS, RPMS } from './validation.js';
+import { getOrdenacao, saveOrdenacao, resetOrdenacao, ordenacaoAtiva, ordenarVinis } from './sort.js';
+
+// Tamanho mínimo do texto para disparar a busca
+export const MIN_TEXTO_BUSCA = 2;
+
+const QUERY_VAZIA = {
+    texto: '',
+    cor: '',
+    midia: '',
+    selo: '',
+    anoMin: null,
+    anoMax: null,
+    tamanho: null,
+    rpm: null,
+    pais: '',
+    raridadeMinima: null,
+    somenteFavoritos: false
+};
+
+let filtros = { ...QUERY_VAZIA };
+
+/**
+ * Retorna uma cópia da consulta atual (filtros + ordenação)
+ * @returns {Object} { texto, cor, midia, selo, anoMin, anoMax, tamanho, rpm, pais, raridadeMinima, somenteFavoritos, ordenacao }
+ */
+export function getQuery() {
+    return { ...filtros, ordenacao: getOrdenacao() };
+}
+
+/**
+ * Altera parte da consulta
+ * @param {Object} values - Campos a alterar (ordenacao é repassada a sort.js)
+ * @returns {Object} Consulta após a alteração
+ */
+export function updateQuery(values) {
+    const { ordenacao, ...resto } = values;
+    filtros = normalizarFiltros({ ...filtros, ...resto });
+    if (ordenacao) saveOrdenacao(ordenacao);
+    return getQuery();
+}
+
+/**
+ * Substitui a consulta inteira (ex: estado lido da URL)
+ * Filtros ausentes voltam ao vazio.
+ * @param {Object} values - Filtros
+ * @param {Object|null} [ordenacao] - Ordenação; null volta à ordem da API, undefined mantém a atual
+ * @returns {Object} Consulta após a alteração
+ */
+export function setQuery(values, ordenacao) {
+    filtros = normalizarFiltros({ ...QUERY_VAZIA, ...values });
+    if (ordenacao === null) {
+        resetOrdenacao();
+    } else if (ordenacao) {
+        saveOrdenacao(ordenacao);
+    }
+    return getQuery();
+}
+
+/**
+ * Volta ao estado inicial: sem busca, sem filtros e na ordem da coleção
+ * @returns {Object} Consulta vazia
+ */
+export function resetQuery() {
+    filtros = { ...QUERY_VAZIA };
+    resetOrdenacao();
+    return getQuery();
+}
+
+/**
+ * Texto de busca efetivo (vazio se for curto demais para buscar)
+ * @returns {string} Termo de busca
+ */
+export function getTextoBusca() {
+    return filtros.texto.length >= MIN_TEXTO_BUSCA ? filtros.texto : '';
+}
+
+/**
+ * Indica se há algum filtro ativo além do texto
+ * @returns {boolean} true se algum filtro restringe a coleção
+ */
+export function filtrosAtivos() {
+    return getFiltrosAtivos().some(filtro => filtro.chave !== 'texto');
+}
+
+/**
+ * Indica se a grid depende da coleção completa (filtro ou ordenação ativos)
+ * @returns {boolean} true se a paginação não pode ser usada
+ */
+export function precisaColecaoCompleta() {
+    return filtrosAtivos() || ordenacaoAtiva();
+}
+
+/**
+ * Aplica os filtros e a ordenação a uma lista de vinis
+ * O texto não é filtrado aqui: a lista recebida já é o resultado da busca.
+ * @param {Array<Object>} vinis - Vinis de base
+ * @returns {Array<Object>} Vinis filtrados e ordenados
+ */
+export function avaliarQuery(vinis) {
+    const { cor, midia, selo, anoMin, anoMax, tamanho, rpm, pais, raridadeMinima, somenteFavoritos } = filtros;
+    const seloBusca = normalizeText(selo);
+    const paisBusca = normalizeText(pais);
+
+    const filtrados = vinis.filter(vinil => {
+        if (cor && !valoresIguais(vinil.cor_prensagem, cor)) return false;
+        if (midia && !valoresIguais(vinil.midia, midia)) return false;
+        if (seloBusca && !normalizeText(vinil.selo).includes(seloBusca)) return false;
+        if (anoMin !== null && !(vinil.ano >= anoMin)) return false;
+        if (anoMax !== null && !(vinil.ano <= anoMax)) return false;
+        if (tamanho !== null && Number(vinil.tamanho) !== tamanho) return false;
+        if (rpm !== null && Number(vinil.rpm) !== rpm) return false;
+        if (paisBusca && !normalizeText(vinil.pais).includes(paisBusca)) return false;
+        if (somenteFavoritos && !isDestaque(vinil)) return false;
+        if (raridadeMinima && calcularRaridade(vinil).estrelas < raridadeMinima) return false;
+        return true;
+    });
+
+    return ordenarVinis(filtrados);
+}
+
+/**
+ * Lista os filtros ativos, para exibir como chips removíveis
+ * @returns {Array<{ chave: string, label: string }>} Filtros ativos
+ */
+export function getFiltrosAtivos() {
+    const { cor, midia, selo, anoMin, anoMax, tamanho, rpm, pais, raridadeMinima, somenteFavoritos } = filtros;
+    const ativos = [];
+    const texto = getTextoBusca();
+
+    if (texto) ativos.push({ chave: 'texto', label: `Busca: "${texto}"` });
+    if (cor) ativos.push({ chave: 'cor', label: `Cor: ${cor}` });
+    if (midia) ativos.push({ chave: 'midia', label: `Mídia: ${midia}` });
+    if (selo) ativos.push({ chave: 'selo', label: `Selo: ${selo}` });
+
+    if (anoMin !== null || anoMax !== null) {
+        let label;
+        if (anoMin !== null && anoMax !== null) {
+            label = anoMin === anoMax ? `Ano: ${anoMin}` : `Ano: ${anoMin}–${anoMax}`;
+        } else {
+            label = anoMin !== null ? `Ano: a partir de ${anoMin}` : `Ano: até ${anoMax}`;
+        }
+        ativos.push({ chave: 'ano', label });
+    }
+
+    if (tamanho !== null) ativos.push({ chave: 'tamanho', label: `Tamanho: ${tamanho}"` });
+    if (rpm !== null) ativos.push({ chave: 'rpm', label: `Rotação: ${rpm} RPM` });
+    if (pais) ativos.push({ chave: 'pais', label: `País: ${pais}` });
+
+    if (raridadeMinima) ativos.push({ chave: 'raridade', label: `${'⭐'.repeat(raridadeMinima)} ou mais` });
+    if (somenteFavoritos) ativos.push({ chave: 'favoritos', label: 'Favoritos' });
+
+    return ativos;
+}
+
+/**
+ * Remove um filtro pela chave usada nos chips
+ * @param {string} chave - 'texto', 'cor', 'midia', 'selo', 'ano', 'tamanho', 'rpm', 'pais',
+ *   'raridade' ou 'favoritos'
+ * @returns {Object} Consulta após a remoção
+ */
+export function removeFiltro(chave) {
+    const limpar = {
+        texto: { texto: '' },
+        cor: { cor: '' },
+        midia: { midia: '' },
+        selo: { selo: '' },
+        ano: { anoMin: null, anoMax: null },
+        tamanho: { tamanho: null },
+        rpm: { rpm: null },
+        pais: { pais: '' },
+        raridade: { raridadeMinima: null },
+        favoritos: { somenteFavoritos: false }
+    };
+    return updateQuery(limpar[chave] || {});
+}
+
+/**
+ * Valida e normaliza os tipos dos filtros
+ * @param {Object} values - Filtros informados
+ * @returns {Object} Filtros completos
+ */
+function normalizarFiltros(values) {
+    const texto = campo => String(values[campo] ?? '').trim();
+    const numero = campo => {
+        const valor = parseInt(values[campo]);
+        return Number.isFinite(valor) ? valor : null;
+    };
+
+    let anoMin = numero('anoMin');
+    let anoMax = numero('anoMax');
+    // Intervalo invertido: troca em vez de não retornar nada
+    if (anoMin !== null && anoMax !== null && anoMin > anoMax) {
+        [anoMin, anoMax] = [anoMax, anoMin];
+    }
+
+    const raridadeMinima = numero('raridadeMinima');
+    const tamanho = numero('tamanho');
+    const rpm = numero('rpm');
+
+    return {
+        texto: texto('texto'),
+        cor: texto('cor'),
+        midia: texto('midia'),
+        selo: texto('selo'),
+        anoMin,
+        anoMax,
+        tamanho: TAMANHOS.includes(tamanho) ? tamanho : null,
+        rpm: RPMS.includes(rpm) ? rpm : null,
+        pais: texto('pais'),
+        raridadeMinima: raridadeMinima >= 1 && raridadeMinima <= 5 ? raridadeMinima : null,
+        somenteFavoritos: Boolean(values.somenteFavoritos)
+    };
+}
@@ -0,0 +1,239 @@
+/**
+ * rarity.js - Motor de pontuação de raridade
+ *
+ * Fonte única de verdade sobre raridade: as estrelas do modal de detalhes,
+ * o mini-stat "Raridades", o filtro de raridade e a comparação de prensagens
+ * usam todos este módulo.
+ *
+ * Cada critério gera um fator entre 0 e 1, multiplicado pelo seu peso.
+ * A pontuação final (0 a 100) é a soma ponderada normalizada pelos pesos,
+ * e as estrelas (1 a 5) são faixas de 20 pontos.
+ */
+
+import { normalizeText } from './utils.js';
+
+const STORAGE_KEY = 'vinyl-collection:raridade';
+
+// Pesos e parâmetros padrão (ajustáveis no painel de configurações)
+const DEFAULT_CONFIG = {
+    pesos: {
+        cor: 30,
+        ano: 20,
+        midia: 10,
+        selo: 10,
+        edicaoLimitada: 20,
+        copiaNumerada: 10,
+        prensagens: 10
+    },
+    // Selos considerados raros (comparação sem acento/maiúsculas)
+    selosRaros: [],
+    // Estrelas mínimas para contar como "raridade" no mini-stat
+    limiarEstrelas: 3
+};
+
+// Rótulos dos critérios, usados no painel e no detalhamento da pontuação
+export const CRITERIOS = {
+    cor: 'Cor da prensagem',
+    ano: 'Idade do disco',
+    midia: 'Tipo de mídia',
+    selo: 'Selo raro',
+    edicaoLimitada: 'Edição limitada',
+    copiaNumerada: 'Cópia numerada',
+    prensagens: 'Prensagens do mesmo álbum'
+};
+
+// Fator de cada cor (cores fora da lista contam como prensagem especial)
+const FATOR_COR = {
+    'preto': 0,
+    'transparente': 0.5,
+    'roxo': 0.75,
+    'colorido': 1
+};
+const FATOR_COR_DESCONHECIDA = 0.6;
+
+// Fator de cada tipo de mídia
+const FATOR_MIDIA = {
+    'lp': 0,
+    'compacto': 0.4,
+    'ep': 0.6
+};
+
+// Idade (em anos) a partir da qual o fator de idade é máximo
+const IDADE_MAXIMA = 50;
+
+let config = loadStoredConfig();
+
+// Quantidade de prensagens por álbum na coleção (chave: artista|álbum)
+let prensagensPorAlbum = new Map();
+
+/**
+ * Atualiza a coleção usada como contexto (contagem de prensagens por álbum)
+ * Deve ser chamada sempre que a coleção completa é carregada.
+ * @param {Array<Object>} vinis - Coleção completa
+ */
+export function setColecao(vinis) {
+    prensagensPorAlbum = new Map();
+    (vinis || []).forEach(vinil => {
+        const chave = chaveAlbum(vinil);
+        prensagensPorAlbum.set(chave, (prensagensPorAlbum.get(chave) || 0) + 1);
+    });
+}
+
+/**
+ * Calcula a raridade de um vinil
+ * @param {Object} vinil - Dados do vinil
+ * @returns {{ pontuacao: number, estrelas: number, fatores: Object }}
+ *   Pontuação 0-100, estrelas 1-5 e o fator (0-1) de cada critério
+ */
+export function calcularRaridade(vinil) {
+    const fatores = {
+        cor: fatorCor(vinil.cor_prensagem),
+        ano: fatorAno(vinil.ano),
+        midia: FATOR_MIDIA[normalizeText(vinil.midia)] ?? 0,
+        selo: fatorSelo(vinil.selo),
+        edicaoLimitada: vinil.edicao_limitada ? 1 : 0,
+        copiaNumerada: vinil.numero_copia ? 1 : 0,
+        prensagens: fatorPrensagens(vinil)
+    };
+
+    const pesos = config.pesos;
+    const somaPesos = Object.keys(CRITERIOS).reduce((total, criterio) => total + (pesos[criterio] || 0), 0);
+    const somaPontos = Object.keys(CRITERIOS).reduce(
+        (total, criterio) => total + (pesos[criterio] || 0) * fatores[criterio], 0
+    );
+
+    const pontuacao = somaPesos > 0 ? Math.round((somaPontos / somaPesos) * 100) : 0;
+    const estrelas = Math.min(5, 1 + Math.floor(pontuacao / 20));
+
+    return { pontuacao, estrelas, fatores };
+}
+
+/**
+ * Indica se o vinil conta como "raridade" (estrelas >= limiar configurado)
+ * @param {Object} vinil - Dados do vinil
+ * @returns {boolean} true se for raro
+ */
+export function ehRaro(vinil) {
+    return calcularRaridade(vinil).estrelas >= config.limiarEstrelas;
+}
+
+/**
+ * Retorna uma cópia da configuração de raridade ativa
+ * @returns {Object} { pesos, selosRaros, limiarEstrelas }
+ */
+export function getRaridadeConfig() {
+    return {
+        pesos: { ...config.pesos },
+        selosRaros: [...config.selosRaros],
+        limiarEstrelas: config.limiarEstrelas
+    };
+}
+
+/**
+ * Salva uma nova configuração de raridade no localStorage
+ * @param {Object} values - { pesos, selosRaros, limiarEstrelas } (parcial)
+ * @returns {Object} Configuração ativa após a alteração
+ */
+export function saveRaridadeConfig(values) {
+    config = mergeConfig({ ...getRaridadeConfig(), ...values });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+    return getRaridadeConfig();
+}
+
+/**
+ * Restaura os pesos padrão
+ * @returns {Object} Configuração padrão
+ */
+export function resetRaridadeConfig() {
+    localStorage.removeItem(STORAGE_KEY);
+    config = mergeConfig({});
+    return getRaridadeConfig();
+}
+
+/**
+ * Fator da cor da prensagem
+ * @param {string} cor - Cor da prensagem
+ * @returns {number} Fator entre 0 e 1
+ */
+function fatorCor(cor) {
+    const chave = normalizeText(cor);
+    if (!chave) return 0;
+    return FATOR_COR[chave] ?? FATOR_COR_DESCONHECIDA;
+}
+
+/**
+ * Fator de idade: cresce linearmente até IDADE_MAXIMA anos
+ * @param {number} ano - Ano do disco
+ * @returns {number} Fator entre 0 e 1
+ */
+function fatorAno(ano) {
+    if (!ano) return 0;
+    const idade = new Date().getFullYear() - ano;
+    return Math.max(0, Math.min(1, idade / IDADE_MAXIMA));
+}
+
+/**
+ * Fator do selo: 1 se estiver na lista de selos raros
+ * @param {string} selo - Selo/gravadora
+ * @returns {number} 0 ou 1
+ */
+function fatorSelo(selo) {
+    const chave = normalizeText(selo);
+    if (!chave) return 0;
+    return config.selosRaros.some(raro => normalizeText(raro) === chave) ? 1 : 0;
+}
+
+/**
+ * Fator de prensagens: quanto mais variantes do mesmo álbum na coleção,
+ * mais específica (e disputada) é cada uma. Máximo a partir de 4 prensagens.
+ * @param {Object} vinil - Dados do vinil
+ * @returns {number} Fator entre 0 e 1
+ */
+function fatorPrensagens(vinil) {
+    const quantidade = prensagensPorAlbum.get(chaveAlbum(vinil)) || 1;
+    return Math.min(1, (quantidade - 1) / 3);
+}
+
+/**
+ * Chave de agrupamento por álbum (artista + álbum normalizados)
+ * @param {Object} vinil - Dados do vinil
+ * @returns {string} Chave
+ */
+function chaveAlbum(vinil) {
+    return `${normalizeText(vinil.artista)}|${normalizeText(vinil.album)}`;
+}
+
+/**
+ * Lê a configuração salva no localStorage
+ * @returns {Object} Configuração (padrão se não houver)
+ */
+function loadStoredConfig() {
+    try {
+        return mergeConfig(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch {
+        return mergeConfig({});
+    }
+}
+
+/**
+ * Combina valores informados com os padrões, validando tipos
+ * @param {Object} values - Valores parciais
+ * @returns {Object} Configuração completa
+ */
+function mergeConfig(values) {
+    const pesos = { ...DEFAULT_CONFIG.pesos };
+    Object.keys(pesos).forEach(criterio => {
+        const peso = Number(values.pesos?.[criterio]);
+        if (Number.isFinite(peso) && peso >= 0) pesos[criterio] = peso;
+    });
+
+    const limiar = Number(values.limiarEstrelas);
+
+    return {
+        pesos,
+        selosRaros: Array.isArray(values.selosRaros)
+            ? values.selosRaros.map(s => String(s).trim()).filter(Boolean)
+            : [...DEFAULT_CONFIG.selosRaros],
+        limiarEstrelas: limiar >= 1 && limiar <= 5 ? limiar : DEFAULT_CONFIG.limiarEstrelas
+    };
+}
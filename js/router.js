@@ -0,0 +1,233 @@
+/**
+ * router.js - Rotas e histórico do navegador
+ *
+ * A URL guarda o estado da tela para que possa ser compartilhada:
+ * - a consulta (busca, filtros, ordenação) fica na query string:
+ *   ?q=floyd&cor=Roxo&midia=LP&ano=1970..1979
+ * - o modal aberto fica no hash: #/vinil/42, #/stats, #/comparar/3,7
+ *
+ * Mudanças de filtro e aberturas de modal entram no histórico (History API),
+ * então o botão voltar fecha o modal ou desfaz o último filtro.
+ */
+
+// Views que têm rota própria (cada uma corresponde a um modal)
+// IDs negativos são de vinis criados offline, ainda não sincronizados
+const ROTAS = [
+    { nome: 'vinil', padrao: /^\/vinil\/(-?\d+)$/ },
+    { nome: 'editar', padrao: /^\/vinil\/(-?\d+)\/editar$/ },
+    { nome: 'novo', padrao: /^\/novo$/ },
+    { nome: 'stats', padrao: /^\/stats$/ },
+    { nome: 'vitrine', padrao: /^\/vitrine$/ },
+    { nome: 'comparar', padrao: /^\/comparar\/(\d+(?:,\d+)+)$/ },
+    { nome: 'config', padrao: /^\/config$/ },
+    { nome: 'historico', padrao: /^\/historico$/ },
+    { nome: 'importar', padrao: /^\/importar$/ },
+    { nome: 'exportar', padrao: /^\/exportar$/ }
+];
+
+// Parâmetros da query string usados pela consulta (os demais, como ?api=, são preservados)
+const PARAMS_CONSULTA = ['q', 'cor', 'midia', 'selo', 'ano', 'tamanho', 'rpm', 'pais', 'raridade', 'favoritos', 'ordem', 'dir', 'desempate'];
+
+/**
+ * Lê a rota atual da URL
+ * @returns {{ view: Object|null, filtros: Object, ordenacao: Object|null }}
+ *   view: { nome, id?, ids? } ou null; ordenacao: null se a URL não define
+ */
+export function getRota() {
+    return {
+        view: parseHash(window.location.hash),
+        ...paramsParaQuery(new URLSearchParams(window.location.search))
+    };
+}
+
+/**
+ * Abre uma view (modal) na URL
+ * Se já há um modal na URL, ele é substituído: o voltar retorna à grid.
+ * @param {Object} view - { nome, id?, ids? }
+ */
+export function navegarPara(view) {
+    const hash = hashDaView(view);
+    if (window.location.hash === hash) return;
+
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    if (parseHash(window.location.hash)) {
+        history.replaceState(history.state, '', url);
+    } else {
+        history.pushState({ view: true }, '', url);
+    }
+}
+
+/**
+ * Fecha a view atual na URL
+ * Volta no histórico se a view foi aberta pelo app; senão (link colado)
+ * apenas remove o hash, para não sair da página.
+ */
+export function fecharView() {
+    if (!parseHash(window.location.hash)) return;
+
+    if (history.state?.view) {
+        history.back();
+    } else {
+        history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+    }
+}
+
+/**
+ * Grava a consulta na query string
+ * Edições seguidas do texto da busca substituem a mesma entrada do
+ * histórico, para o voltar não refazer a busca letra por letra.
+ * @param {Object} query - Consulta (ver query.js getQuery)
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.replace=false] - Substitui a entrada atual em vez de criar outra
+ */
+export function syncQuery(query, { replace = false } = {}) {
+    const search = queryParaSearch(query);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    const apenasTexto = mesmosFiltrosExcetoTexto(search, window.location.search);
+
+    if (replace || (apenasTexto && history.state?.texto)) {
+        history.replaceState({ ...history.state, texto: apenasTexto }, '', url);
+    } else {
+        history.pushState({ texto: apenasTexto }, '', url);
+    }
+}
+
+/**
+ * Monta a query string de uma consulta, preservando parâmetros alheios
+ * @param {Object} query - Consulta (ver query.js getQuery)
+ * @returns {string} Query string ('' ou '?...')
+ */
+export function queryParaSearch(query) {
+    const params = new URLSearchParams(window.location.search);
+    PARAMS_CONSULTA.forEach(param => params.delete(param));
+
+    if (query.texto) params.set('q', query.texto);
+    if (query.cor) params.set('cor', query.cor);
+    if (query.midia) params.set('midia', query.midia);
+    if (query.selo) params.set('selo', query.selo);
+    if (query.anoMin !== null || query.anoMax !== null) {
+        params.set('ano', `${query.anoMin ?? ''}..${query.anoMax ?? ''}`);
+    }
+    if (query.tamanho) params.set('tamanho', query.tamanho);
+    if (query.rpm) params.set('rpm', query.rpm);
+    if (query.pais) params.set('pais', query.pais);
+    if (query.raridadeMinima) params.set('raridade', query.raridadeMinima);
+    if (query.somenteFavoritos) params.set('favoritos', '1');
+
+    const { campo, direcao, desempate } = query.ordenacao || {};
+    if (campo) {
+        params.set('ordem', campo);
+        if (direcao === 'desc') params.set('dir', 'desc');
+        if (desempate) params.set('desempate', desempate);
+    }
+
+    const search = params.toString();
+    return search ? `?${search}` : '';
+}
+
+/**
+ * Monta a URL completa de uma view, para copiar e compartilhar
+ * @param {Object} view - { nome, id?, ids? }
+ * @returns {string} URL absoluta
+ */
+export function urlDaView(view) {
+    return `${window.location.origin}${window.location.pathname}${window.location.search}${hashDaView(view)}`;
+}
+
+/**
+ * Registra o handler chamado quando o usuário navega (voltar/avançar,
+ * link com hash colado na barra de endereço)
+ * @param {Function} handler - (rota) => void
+ */
+export function onRotaChange(handler) {
+    window.addEventListener('popstate', () => handler(getRota()));
+}
+
+/**
+ * Interpreta o hash da URL
+ * @param {string} hash - Ex: '#/vinil/42'
+ * @returns {Object|null} View ou null se não houver rota
+ */
+function parseHash(hash) {
+    const caminho = decodeURIComponent(hash.replace(/^#/, ''));
+
+    for (const rota of ROTAS) {
+        const match = caminho.match(rota.padrao);
+        if (!match) continue;
+
+        const view = { nome: rota.nome };
+        if (rota.nome === 'comparar') {
+            view.ids = match[1].split(',').map(Number);
+        } else if (match[1]) {
+            view.id = Number(match[1]);
+        }
+        return view;
+    }
+
+    return null;
+}
+
+/**
+ * Monta o hash de uma view
+ * @param {Object} view - { nome, id?, ids? }
+ * @returns {string} Hash (ex: '#/vinil/42')
+ */
+function hashDaView(view) {
+    switch (view.nome) {
+        case 'vinil':
+            return `#/vinil/${view.id}`;
+        case 'editar':
+            return `#/vinil/${view.id}/editar`;
+        case 'comparar':
+            return `#/comparar/${view.ids.join(',')}`;
+        default:
+            return `#/${view.nome}`;
+    }
+}
+
+/**
+ * Converte a query string em filtros e ordenação
+ * @param {URLSearchParams} params - Parâmetros da URL
+ * @returns {{ filtros: Object, ordenacao: Object|null }}
+ */
+function paramsParaQuery(params) {
+    const [anoMin = '', anoMax = ''] = (params.get('ano') || '').split('..');
+
+    const filtros = {
+        texto: params.get('q') || '',
+        cor: params.get('cor') || '',
+        midia: params.get('midia') || '',
+        selo: params.get('selo') || '',
+        // "ano=1975" equivale a "ano=1975..1975"
+        anoMin: anoMin || null,
+        anoMax: params.get('ano')?.includes('..') ? anoMax || null : anoMin || null,
+        tamanho: params.get('tamanho'),
+        rpm: params.get('rpm'),
+        pais: params.get('pais') || '',
+        raridadeMinima: params.get('raridade'),
+        somenteFavoritos: params.get('favoritos') === '1'
+    };
+
+    const ordenacao = params.has('ordem')
+        ? { campo: params.get('ordem'), direcao: params.get('dir') || 'asc', desempate: params.get('desempate') || '' }
+        : null;
+
+    return { filtros, ordenacao };
+}
+
+/**
+ * Indica se duas query strings diferem apenas no texto da busca
+ * @param {string} a - Query string
+ * @param {string} b - Query string
+ * @returns {boolean} true se só o parâmetro q mudou
+ */
+function mesmosFiltrosExcetoTexto(a, b) {
+    const semTexto = search => {
+        const params = new URLSearchParams(search);
+        params.delete('q');
+        return params.toString();
+    };
+    return semTexto(a) === semTexto(b);
+}
@@ -0,0 +1,241 @@
+/**
+ * search-index.js - Índice de busca no navegador (aproximada)
+ *
+ * Índice invertido dos artistas e álbuns carregados: cada palavra
+ * normalizada (sem acento, minúscula) aponta para os vinis que a contêm.
+ * Um termo digitado casa com as palavras do vocabulário por:
+ *   igualdade > prefixo > erro de digitação (distância de edição) > trecho
+ * e os vinis são ranqueados pela soma das pontuações dos termos.
+ *
+ * "tropicalia", "Tropicália" e "tropicalya" encontram "Tropicália".
+ */
+
+import { normalizeText } from './utils.js';
+
+// Pontuação de cada tipo de correspondência
+const PONTOS = {
+    exato: 10,
+    prefixo: 6,
+    typo1: 5,
+    typo2: 3,
+    trecho: 2
+};
+
+// Tamanho mínimo do termo para tolerar 1 ou 2 erros de digitação
+const MIN_TYPO_1 = 4;
+const MIN_TYPO_2 = 8;
+
+// Tamanho mínimo do termo para casar no meio de uma palavra
+const MIN_TRECHO = 3;
+
+// Tamanho mínimo do termo para tolerar erro em um prefixo ("caetnao" → "caetano veloso")
+const MIN_TYPO_PREFIXO = 5;
+
+let colecao = [];
+let indice = null;
+
+/**
+ * Define a coleção indexada (o índice é reconstruído na próxima busca)
+ * @param {Array<Object>} vinis - Vinis carregados
+ */
+export function setColecao(vinis) {
+    colecao = vinis || [];
+    indice = null;
+}
+
+/**
+ * Quebra um texto em palavras normalizadas
+ * @param {string} texto - Texto
+ * @returns {Array<string>} Palavras sem acento e em minúsculas
+ */
+export function tokenizar(texto) {
+    return normalizeText(texto).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Busca na coleção indexada; todos os termos precisam casar com artista ou álbum
+ * @param {Array<string>} termos - Termos digitados (texto livre)
+ * @returns {Array<{ vinil: Object, pontuacao: number }>} Resultados do mais ao menos relevante
+ */
+export function buscarNoIndice(termos) {
+    const palavras = termos.flatMap(tokenizar);
+    if (palavras.length === 0) return [];
+
+    const { vocabulario } = getIndice();
+    let pontuacoes = null;
+
+    for (const palavra of palavras) {
+        // Melhor pontuação deste termo em cada vinil
+        const doTermo = new Map();
+
+        vocabulario.forEach((vinis, token) => {
+            const pontos = pontuarToken(palavra, token);
+            if (!pontos) return;
+            vinis.forEach(vinil => {
+                if (pontos > (doTermo.get(vinil) || 0)) doTermo.set(vinil, pontos);
+            });
+        });
+
+        // Interseção com os termos anteriores (E lógico)
+        if (pontuacoes === null) {
+            pontuacoes = doTermo;
+        } else {
+            const intersecao = new Map();
+            pontuacoes.forEach((total, vinil) => {
+                if (doTermo.has(vinil)) intersecao.set(vinil, total + doTermo.get(vinil));
+            });
+            pontuacoes = intersecao;
+        }
+
+        if (pontuacoes.size === 0) break;
+    }
+
+    return [...pontuacoes]
+        .map(([vinil, pontuacao]) => ({ vinil, pontuacao }))
+        .sort((a, b) => b.pontuacao - a.pontuacao);
+}
+
+/**
+ * Pontua um vinil qualquer (indexado ou não) contra os termos
+ * @param {Object} vinil - Dados do vinil
+ * @param {Array<string>} termos - Termos digitados
+ * @returns {number} Pontuação (0 se algum termo não casar)
+ */
+export function pontuarVinil(vinil, termos) {
+    const tokens = [...tokenizar(vinil.artista), ...tokenizar(vinil.album)];
+    let total = 0;
+
+    for (const palavra of termos.flatMap(tokenizar)) {
+        const melhor = Math.max(0, ...tokens.map(token => pontuarToken(palavra, token)));
+        if (melhor === 0) return 0;
+        total += melhor;
+    }
+
+    return total;
+}
+
+/**
+ * Ordena vinis pela relevância em relação aos termos (mais relevantes primeiro)
+ * Empates mantêm a ordem recebida.
+ * @param {Array<Object>} vinis - Vinis a ordenar
+ * @param {Array<string>} termos - Termos digitados
+ * @returns {Array<Object>} Nova lista ordenada
+ */
+export function ranquearVinis(vinis, termos) {
+    if (termos.flatMap(tokenizar).length === 0) return [...vinis];
+
+    return vinis
+        .map(vinil => ({ vinil, pontuacao: pontuarVinil(vinil, termos) }))
+        .sort((a, b) => b.pontuacao - a.pontuacao)
+        .map(({ vinil }) => vinil);
+}
+
+/**
+ * Divide um texto em trechos, marcando as palavras que casam com os termos
+ * (usado para destacar a busca no título e no artista dos cards)
+ * @param {string} texto - Texto original (com acentos)
+ * @param {Array<string>} termos - Termos digitados
+ * @returns {Array<{ texto: string, destaque: boolean }>} Trechos na ordem do texto
+ */
+export function destacarTermos(texto, termos) {
+    const original = String(texto ?? '');
+    const palavras = termos.flatMap(tokenizar);
+    if (palavras.length === 0) return [{ texto: original, destaque: false }];
+
+    const trechos = [];
+    let ultimo = 0;
+
+    for (const match of original.matchAll(/[\p{L}\p{N}\p{M}]+/gu)) {
+        const token = normalizeText(match[0]);
+        if (!palavras.some(palavra => pontuarToken(palavra, token) > 0)) continue;
+
+        if (match.index > ultimo) trechos.push({ texto: original.slice(ultimo, match.index), destaque: false });
+        trechos.push({ texto: match[0], destaque: true });
+        ultimo = match.index + match[0].length;
+    }
+
+    if (ultimo < original.length) trechos.push({ texto: original.slice(ultimo), destaque: false });
+    return trechos;
+}
+
+/**
+ * Pontua a correspondência de uma palavra digitada com uma palavra do índice
+ * @param {string} palavra - Palavra digitada (normalizada)
+ * @param {string} token - Palavra do vocabulário
+ * @returns {number} Pontos (0 = não casa)
+ */
+function pontuarToken(palavra, token) {
+    if (token === palavra) return PONTOS.exato;
+    if (token.startsWith(palavra)) return PONTOS.prefixo;
+
+    if (palavra.length >= MIN_TYPO_1) {
+        const limite = palavra.length >= MIN_TYPO_2 ? 2 : 1;
+        let distancia = distanciaEdicao(palavra, token, limite);
+
+        // Erro enquanto ainda digita: compara com o início do token
+        if (distancia > limite && palavra.length >= MIN_TYPO_PREFIXO && token.length > palavra.length) {
+            distancia = distanciaEdicao(palavra, token.slice(0, palavra.length), limite);
+        }
+
+        if (distancia === 1) return PONTOS.typo1;
+        if (distancia === 2 && limite === 2) return PONTOS.typo2;
+    }
+
+    if (palavra.length >= MIN_TRECHO && token.includes(palavra)) return PONTOS.trecho;
+
+    return 0;
+}
+
+/**
+ * Distância de edição com transposição (Damerau, alinhamento ótimo)
+ * Para cedo quando passa do limite.
+ * @param {string} a - Primeira palavra
+ * @param {string} b - Segunda palavra
+ * @param {number} limite - Distância máxima de interesse
+ * @returns {number} Distância (limite + 1 se passar do limite)
+ */
+function distanciaEdicao(a, b, limite) {
+    if (Math.abs(a.length - b.length) > limite) return limite + 1;
+
+    let anterior2 = null;
+    let anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const atual = [i];
+        let menorDaLinha = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const custo = a[i - 1] === b[j - 1] ? 0 : 1;
+            atual[j] = Math.min(anterior[j] + 1, atual[j - 1] + 1, anterior[j - 1] + custo);
+
+            if (anterior2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                atual[j] = Math.min(atual[j], anterior2[j - 2] + 1);
+            }
+            menorDaLinha = Math.min(menorDaLinha, atual[j]);
+        }
+
+        if (menorDaLinha > limite) return limite + 1;
+        anterior2 = anterior;
+        anterior = atual;
+    }
+
+    return anterior[b.length];
+}
+
+/**
+ * Retorna o índice da coleção atual, construindo-o se necessário
+ * @returns {{ vocabulario: Map<string, Set<Object>> }} Palavra → vinis que a contêm
+ */
+function getIndice() {
+    if (!indice) {
+        const vocabulario = new Map();
+        colecao.forEach(vinil => {
+            [...tokenizar(vinil.artista), ...tokenizar(vinil.album)].forEach(token => {
+                if (!vocabulario.has(token)) vocabulario.set(token, new Set());
+                vocabulario.get(token).add(vinil);
+            });
+        });
+        indice = { vocabulario };
+    }
+    return indice;
+}
@@ -0,0 +1,240 @@
+/**
+ * search.js - Sintaxe de busca avançada do campo de busca
+ *
+ * Entende expressões como:
+ *   artista:"Pink Floyd" ano:1970..1979 selo:Harvest -cor:Preto midia:LP
+ *   catalogo:"SHVL 804" matriz:YEX pais:UK tamanho:7 rpm:45 estado:NM
+ *
+ * - campo:valor restringe a um campo (aspas para valores com espaço)
+ * - -campo:valor (ou -palavra) exclui
+ * - ano aceita um ano (1975) ou intervalo (1970..1979, 1970.., ..1979)
+ * - catálogo, código de barras e matriz ignoram espaços, hífens e pontos;
+ *   matriz procura em todos os lados
+ * - tamanho, rpm e estado comparam o valor exato (7, 45, VG+)
+ * - palavras soltas buscam em artista e álbum, tolerando acentos e erros
+ *   de digitação (ver search-index.js)
+ *
+ * O backend só busca por artista ou álbum (substring). A cláusula mais
+ * restritiva vai ao servidor e todas as cláusulas são conferidas no cliente.
+ */
+
+import { normalizeText } from './utils.js';
+import { pontuarVinil } from './search-index.js';
+
+// Nome digitado (sem acento) → campo do vinil
+const CAMPOS_BUSCA = {
+    artista: 'artista',
+    artist: 'artista',
+    album: 'album',
+    selo: 'selo',
+    gravadora: 'selo',
+    label: 'selo',
+    cor: 'cor_prensagem',
+    color: 'cor_prensagem',
+    midia: 'midia',
+    tipo: 'midia',
+    ano: 'ano',
+    year: 'ano',
+    catalogo: 'numero_catalogo',
+    cat: 'numero_catalogo',
+    catno: 'numero_catalogo',
+    barras: 'codigo_barras',
+    ean: 'codigo_barras',
+    upc: 'codigo_barras',
+    barcode: 'codigo_barras',
+    matriz: 'matriz',
+    runout: 'matriz',
+    matrix: 'matriz',
+    pais: 'pais',
+    country: 'pais',
+    fabrica: 'fabrica',
+    plant: 'fabrica',
+    edicao: 'notas_edicao',
+    notas: 'notas_edicao',
+    tamanho: 'tamanho',
+    size: 'tamanho',
+    rpm: 'rpm',
+    estado: 'condicao_disco',
+    condicao: 'condicao_disco',
+    condition: 'condicao_disco',
+    capa: 'condicao_capa',
+    sleeve: 'condicao_capa'
+};
+
+// Campos de código (catálogo, barras, matriz): pontuação e espaços não contam
+const CAMPOS_CODIGO = ['numero_catalogo', 'codigo_barras', 'matriz'];
+
+// Campos comparados pelo valor exato
+const CAMPOS_EXATOS = ['tamanho', 'rpm', 'condicao_disco', 'condicao_capa'];
+
+// Lados com matriz gravada (matriz:valor procura em todos)
+const CAMPOS_MATRIZ = ['matriz_a', 'matriz_b', 'matriz_c', 'matriz_d'];
+
+// Exemplos exibidos no popover de ajuda
+export const EXEMPLOS_BUSCA = [
+    { expressao: 'artista:"Pink Floyd"', descricao: 'Artista (use aspas para nomes com espaço)' },
+    { expressao: 'album:wall', descricao: 'Álbum contendo "wall"' },
+    { expressao: 'ano:1970..1979', descricao: 'Intervalo de anos (também ano:1975, ano:1990.., ano:..1969)' },
+    { expressao: 'selo:Harvest', descricao: 'Selo/gravadora' },
+    { expressao: 'midia:LP', descricao: 'Tipo de mídia (LP, EP, Compacto)' },
+    { expressao: 'catalogo:"SHVL 804"', descricao: 'Número de catálogo (também matriz:, barras:, pais:, fabrica:)' },
+    { expressao: 'tamanho:7 rpm:45', descricao: 'Tamanho em polegadas (7, 10, 12) e rotação (33, 45, 78)' },
+    { expressao: 'estado:NM', descricao: 'Estado do disco na escala Goldmine (capa:VG+ para a capa)' },
+    { expressao: '-cor:Preto', descricao: 'O sinal de menos exclui (vale para qualquer cláusula)' },
+    { expressao: 'floyd', descricao: 'Palavras soltas buscam em artista e álbum' }
+];
+
+// Token: [-][campo:](valor | "valor com espaços")
+const TOKEN_REGEX = /(-?)(?:([\p{L}_]+):)?(?:"([^"]*)"?|(\S+))/gu;
+
+/**
+ * Interpreta o texto digitado no campo de busca
+ * @param {string} texto - Texto da busca
+ * @returns {{ clausulas: Array<Object>, erros: Array<string> }}
+ *   Cláusula: { campo: string|null, valor: string, negada: boolean, intervalo?: { min, max } }
+ *   (campo null = texto livre, buscado em artista e álbum)
+ */
+export function parseBusca(texto) {
+    const clausulas = [];
+    const erros = [];
+
+    for (const [token, menos, nomeCampo, valorAspas, valorSimples] of String(texto || '').matchAll(TOKEN_REGEX)) {
+        const valor = (valorAspas ?? valorSimples ?? '').trim();
+        const negada = menos === '-';
+
+        // Campo desconhecido: a expressão inteira vira texto livre
+        const campo = nomeCampo ? CAMPOS_BUSCA[normalizeText(nomeCampo)] : null;
+        if (nomeCampo && !campo) {
+            clausulas.push({ campo: null, valor: token.replace(/^-/, '').replace(/"/g, ''), negada });
+            continue;
+        }
+
+        // Campo ainda sem valor (ex: "artista:" enquanto digita): ignora
+        const semValor = valor.match(/^([\p{L}_]+):$/u);
+        if (!valor || (!nomeCampo && semValor && CAMPOS_BUSCA[normalizeText(semValor[1])])) {
+            continue;
+        }
+
+        if (campo === 'ano') {
+            const intervalo = parseIntervaloAno(valor);
+            if (!intervalo) {
+                erros.push(`Ano inválido: "${valor}". Use ano:1975 ou ano:1970..1979.`);
+                continue;
+            }
+            clausulas.push({ campo, valor, negada, intervalo });
+            continue;
+        }
+
+        clausulas.push({ campo, valor, negada });
+    }
+
+    return { clausulas, erros };
+}
+
+/**
+ * Escolhe a parte da busca que o backend consegue executar
+ * Prioridade: artista, depois álbum, depois o termo livre mais longo
+ * (artista OU álbum); os demais termos são conferidos no cliente.
+ * @param {Object} busca - Resultado de parseBusca
+ * @returns {{ campo: string, valor: string }|null} Consulta ao servidor, ou null
+ *   se nenhuma cláusula positiva pode ir ao servidor (filtrar a coleção inteira)
+ */
+export function consultaServidor(busca) {
+    const positivas = busca.clausulas.filter(c => !c.negada);
+
+    for (const campo of ['artista', 'album']) {
+        const clausula = positivas.find(c => c.campo === campo);
+        if (clausula) return { campo, valor: clausula.valor };
+    }
+
+    const [livre] = termosLivres(busca).sort((a, b) => b.length - a.length);
+    return livre ? { campo: 'texto', valor: livre } : null;
+}
+
+/**
+ * Termos de texto livre (positivos) da busca, usados no ranqueamento e no destaque
+ * @param {Object} busca - Resultado de parseBusca
+ * @returns {Array<string>} Termos
+ */
+export function termosLivres(busca) {
+    return busca.clausulas.filter(c => c.campo === null && !c.negada).map(c => c.valor);
+}
+
+/**
+ * Confere se um vinil atende a todas as cláusulas da busca
+ * Comparação sem acento e sem diferenciar maiúsculas.
+ * @param {Object} vinil - Dados do vinil
+ * @param {Object} busca - Resultado de parseBusca
+ * @returns {boolean} true se o vinil corresponde
+ */
+export function correspondeBusca(vinil, busca) {
+    return busca.clausulas.every(clausula => correspondeClausula(vinil, clausula) !== clausula.negada);
+}
+
+/**
+ * Confere uma cláusula (ignorando a negação)
+ * @param {Object} vinil - Dados do vinil
+ * @param {Object} clausula - Cláusula da busca
+ * @returns {boolean} true se o vinil atende à cláusula
+ */
+function correspondeClausula(vinil, clausula) {
+    if (clausula.campo === 'ano') {
+        const { min, max } = clausula.intervalo;
+        const ano = Number(vinil.ano);
+        return Boolean(ano) && (min === null || ano >= min) && (max === null || ano <= max);
+    }
+
+    const valor = normalizeText(clausula.valor);
+
+    if (CAMPOS_EXATOS.includes(clausula.campo)) {
+        // 7" e 45rpm também valem
+        const esperado = ['tamanho', 'rpm'].includes(clausula.campo) ? String(parseInt(valor)) : valor;
+        return normalizeText(vinil[clausula.campo]) === esperado;
+    }
+
+    if (CAMPOS_CODIGO.includes(clausula.campo)) {
+        const campos = clausula.campo === 'matriz' ? CAMPOS_MATRIZ : [clausula.campo];
+        return campos.some(campo => compactar(vinil[campo]).includes(compactar(valor)));
+    }
+
+    if (clausula.campo === null) {
+        // Exclusão é literal; inclusão aceita correspondência aproximada
+        if (clausula.negada) {
+            return normalizeText(vinil.artista).includes(valor) || normalizeText(vinil.album).includes(valor);
+        }
+        return pontuarVinil(vinil, [clausula.valor]) > 0;
+    }
+
+    return normalizeText(vinil[clausula.campo]).includes(valor);
+}
+
+/**
+ * Normaliza um código para comparação, sem espaços, hífens, pontos e barras
+ * Ex: 'SHVL-804' e 'shvl 804' viram 'shvl804'.
+ * @param {*} texto - Código
+ * @returns {string} Código compactado
+ */
+function compactar(texto) {
+    return normalizeText(texto).replace(/[\s.\-/]/g, '');
+}
+
+/**
+ * Interpreta o valor de ano:
+ * "1975", "1970..1979", "1970.." ou "..1979"
+ * @param {string} valor - Valor digitado
+ * @returns {{ min: number|null, max: number|null }|null} Intervalo ou null se inválido
+ */
+function parseIntervaloAno(valor) {
+    const match = valor.match(/^(\d{4})?(\.\.)?(\d{4})?$/);
+    if (!match) return null;
+
+    const [, inicio, pontos, fim] = match;
+    if (!pontos) {
+        return inicio && !fim ? { min: Number(inicio), max: Number(inicio) } : null;
+    }
+    if (!inicio && !fim) return null;
+
+    const min = inicio ? Number(inicio) : null;
+    const max = fim ? Number(fim) : null;
+    return min !== null && max !== null && min > max ? { min: max, max: min } : { min, max };
+}
@@ -0,0 +1,108 @@
+/**
+ * selection.js - Seleção múltipla de vinis na grid (modo seleção)
+ *
+ * Guarda quais vinis estão selecionados para as operações em lote e o
+ * último card clicado, âncora do shift+clique (seleção de intervalo).
+ * A ordem do intervalo é a da lista exibida, passada por quem chama.
+ */
+
+let ativo = false;
+let selecionados = new Set();
+let ancora = null;
+
+/**
+ * Indica se o modo seleção está ligado
+ * @returns {boolean} true se os cards estão em modo seleção
+ */
+export function isAtivo() {
+    return ativo;
+}
+
+/**
+ * Liga ou desliga o modo seleção (desligar limpa a seleção)
+ * @param {boolean} valor - Novo estado
+ */
+export function setAtivo(valor) {
+    ativo = Boolean(valor);
+    if (!ativo) limpar();
+}
+
+/**
+ * IDs selecionados, na ordem em que foram marcados
+ * @returns {Array<number>} IDs
+ */
+export function getSelecionados() {
+    return [...selecionados];
+}
+
+/**
+ * Indica se um vinil está selecionado
+ * @param {number} id - ID do vinil
+ * @returns {boolean} true se selecionado
+ */
+export function isSelecionado(id) {
+    return selecionados.has(id);
+}
+
+/**
+ * Marca ou desmarca um vinil
+ * Com `intervalo`, marca (ou desmarca) todos entre a âncora e o vinil,
+ * seguindo a ordem de `ordem`.
+ * @param {number} id - ID do vinil clicado
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.intervalo=false] - Shift+clique
+ * @param {Array<number>} [options.ordem=[]] - IDs na ordem exibida
+ * @returns {Array<number>} IDs selecionados
+ */
+export function alternar(id, { intervalo = false, ordem = [] } = {}) {
+    const marcar = !selecionados.has(id);
+    const de = ordem.indexOf(ancora);
+    const ate = ordem.indexOf(id);
+
+    if (intervalo && de !== -1 && ate !== -1) {
+        ordem.slice(Math.min(de, ate), Math.max(de, ate) + 1).forEach(item => {
+            if (marcar) {
+                selecionados.add(item);
+            } else {
+                selecionados.delete(item);
+            }
+        });
+    } else if (marcar) {
+        selecionados.add(id);
+    } else {
+        selecionados.delete(id);
+    }
+
+    ancora = id;
+    return getSelecionados();
+}
+
+/**
+ * Seleciona todos os IDs informados (ex: todos os vinis filtrados)
+ * @param {Array<number>} ids - IDs a marcar
+ * @returns {Array<number>} IDs selecionados
+ */
+export function selecionarTodos(ids) {
+    ids.forEach(id => selecionados.add(id));
+    return getSelecionados();
+}
+
+/**
+ * Mantém só os IDs que ainda existem (ex: após exclusões em lote)
+ * @param {Array<number>} idsExistentes - IDs da coleção atual
+ * @returns {Array<number>} IDs selecionados
+ */
+export function manterApenas(idsExistentes) {
+    const existentes = new Set(idsExistentes);
+    selecionados = new Set([...selecionados].filter(id => existentes.has(id)));
+    if (!existentes.has(ancora)) ancora = null;
+    return getSelecionados();
+}
+
+/**
+ * Desmarca todos os vinis
+ */
+export function limpar() {
+    selecionados = new Set();
+    ancora = null;
+}
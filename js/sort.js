@@ -0,0 +1,161 @@
+/**
+ * sort.js - Ordenação da coleção
+ *
+ * Guarda a ordenação escolhida (campo, direção e critério de desempate) no
+ * localStorage e ordena listas de vinis no cliente. Sem campo definido, a
+ * grid mantém a ordem em que a API devolve os vinis.
+ */
+
+import { calcularRaridade } from './rarity.js';
+
+const STORAGE_KEY = 'vinyl-collection:ordenacao';
+
+// Campos disponíveis para ordenação (valor do select → rótulo)
+export const CAMPOS_ORDENACAO = {
+    artista: 'Artista',
+    album: 'Álbum',
+    ano: 'Ano',
+    data_adicao: 'Data de adição',
+    selo: 'Selo',
+    cor_prensagem: 'Cor',
+    raridade: 'Raridade'
+};
+
+const DEFAULT_ORDENACAO = {
+    campo: '', // '' = ordem da API
+    direcao: 'asc',
+    desempate: ''
+};
+
+const collator = new Intl.Collator('pt-BR', { sensitivity: 'base', numeric: true });
+
+let ordenacao = loadStoredOrdenacao();
+
+/**
+ * Retorna uma cópia da ordenação ativa
+ * @returns {{ campo: string, direcao: string, desempate: string }}
+ */
+export function getOrdenacao() {
+    return { ...ordenacao };
+}
+
+/**
+ * Salva uma nova ordenação no localStorage
+ * @param {Object} values - { campo, direcao, desempate } (parcial)
+ * @returns {Object} Ordenação ativa após a alteração
+ */
+export function saveOrdenacao(values) {
+    ordenacao = mergeOrdenacao({ ...ordenacao, ...values });
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ordenacao));
+    return getOrdenacao();
+}
+
+/**
+ * Volta à ordem da API
+ * @returns {Object} Ordenação padrão
+ */
+export function resetOrdenacao() {
+    localStorage.removeItem(STORAGE_KEY);
+    ordenacao = mergeOrdenacao({});
+    return getOrdenacao();
+}
+
+/**
+ * Indica se há uma ordenação escolhida (diferente da ordem da API)
+ * @returns {boolean} true se a lista precisa ser reordenada
+ */
+export function ordenacaoAtiva() {
+    return Boolean(ordenacao.campo);
+}
+
+/**
+ * Ordena uma lista de vinis sem alterar o array original
+ * O desempate é sempre crescente; valores vazios ficam no fim.
+ * @param {Array<Object>} vinis - Vinis a ordenar
+ * @param {Object} [criterio] - Ordenação a usar (padrão: a ativa)
+ * @returns {Array<Object>} Nova lista ordenada
+ */
+export function ordenarVinis(vinis, criterio = ordenacao) {
+    const { campo, direcao, desempate } = criterio;
+    if (!campo) return [...vinis];
+
+    const sentido = direcao === 'desc' ? -1 : 1;
+
+    return [...vinis].sort((a, b) =>
+        compararCampo(a, b, campo, sentido) ||
+        (desempate && desempate !== campo ? compararCampo(a, b, desempate, 1) : 0)
+    );
+}
+
+/**
+ * Compara dois vinis por um campo
+ * @param {Object} a - Primeiro vinil
+ * @param {Object} b - Segundo vinil
+ * @param {string} campo - Campo de ordenação
+ * @param {number} sentido - 1 (crescente) ou -1 (decrescente)
+ * @returns {number} Resultado no formato de Array.prototype.sort
+ */
+function compararCampo(a, b, campo, sentido) {
+    const valorA = valorOrdenacao(a, campo);
+    const valorB = valorOrdenacao(b, campo);
+
+    // Valores ausentes vão para o fim em qualquer direção
+    const vazioA = valorA === null || valorA === '';
+    const vazioB = valorB === null || valorB === '';
+    if (vazioA || vazioB) return vazioA === vazioB ? 0 : (vazioA ? 1 : -1);
+
+    const resultado = typeof valorA === 'number' && typeof valorB === 'number'
+        ? valorA - valorB
+        : collator.compare(String(valorA), String(valorB));
+
+    return resultado * sentido;
+}
+
+/**
+ * Valor de um vinil usado na ordenação
+ * @param {Object} vinil - Dados do vinil
+ * @param {string} campo - Campo de ordenação
+ * @returns {string|number|null} Valor comparável
+ */
+function valorOrdenacao(vinil, campo) {
+    switch (campo) {
+        case 'raridade':
+            return calcularRaridade(vinil).pontuacao;
+        case 'data_adicao': {
+            // Usa a data de criação quando o backend informa; senão o ID (autoincremento)
+            const data = Date.parse(vinil.created_at ?? vinil.data_adicao);
+            return Number.isNaN(data) ? vinil.id ?? null : data;
+        }
+        case 'ano':
+            return Number(vinil.ano) || null;
+        default:
+            return vinil[campo] ?? null;
+    }
+}
+
+/**
+ * Lê a ordenação salva no localStorage
+ * @returns {Object} Ordenação (padrão se não houver)
+ */
+function loadStoredOrdenacao() {
+    try {
+        return mergeOrdenacao(JSON.parse(localStorage.getItem(STORAGE_KEY)) || {});
+    } catch {
+        return mergeOrdenacao({});
+    }
+}
+
+/**
+ * Combina valores informados com os padrões, descartando campos desconhecidos
+ * @param {Object} values - Valores parciais
+ * @returns {Object} Ordenação completa
+ */
+function mergeOrdenacao(values) {
+    const campoValido = campo => (Object.hasOwn(CAMPOS_ORDENACAO, campo ?? '') ? campo : '');
+
+    return {
+        campo: campoValido(values.campo),
+        direcao: values.direcao === 'desc' ? 'desc' : DEFAULT_ORDENACAO.direcao,
+        desempate: campoValido(values.desempate)
+    };
+}
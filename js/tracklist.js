@@ -0,0 +1,189 @@
+/**
+ * tracklist.js - Módulo da tracklist (faixas) de cada vinil
+ *
+ * Contém o editor de faixas do formulário de adicionar/editar e as
+ * funções de agrupamento por lado e cálculo de duração usadas nos detalhes.
+ *
+ * Formato de uma faixa: { lado: 'A', numero: 'A1', titulo: 'Breathe', duracao: '2:43' }
+ */
+
+// Lados disponíveis (LP duplo vai até o lado D)
+export const LADOS = ['A', 'B', 'C', 'D'];
+
+/**
+ * Converte uma duração "m:ss" ou "h:mm:ss" em segundos
+ * @param {string} duracao - Duração em texto
+ * @returns {number|null} Segundos ou null se inválida/vazia
+ */
+export function parseDuracao(duracao) {
+    if (!duracao) return null;
+    const match = String(duracao).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const [, horas = 0, minutos, segundos] = match;
+    if (Number(segundos) > 59) return null;
+
+    return Number(horas) * 3600 + Number(minutos) * 60 + Number(segundos);
+}
+
+/**
+ * Formata segundos como "m:ss" (ou "h:mm:ss")
+ * @param {number} totalSegundos - Duração em segundos
+ * @returns {string} Duração formatada
+ */
+export function formatDuracao(totalSegundos) {
+    const horas = Math.floor(totalSegundos / 3600);
+    const minutos = Math.floor((totalSegundos % 3600) / 60);
+    const segundos = String(totalSegundos % 60).padStart(2, '0');
+
+    return horas > 0
+        ? `${horas}:${String(minutos).padStart(2, '0')}:${segundos}`
+        : `${minutos}:${segundos}`;
+}
+
+/**
+ * Agrupa as faixas por lado e calcula a duração total de cada um
+ * @param {Array<Object>} faixas - Faixas do vinil
+ * @returns {Array<Object>} [{ lado, faixas, duracaoTotal }] na ordem A, B, C, D
+ */
+export function agruparPorLado(faixas = []) {
+    return LADOS
+        .map(lado => {
+            const doLado = faixas.filter(f => f.lado === lado);
+            const duracaoTotal = doLado.reduce((total, f) => total + (parseDuracao(f.duracao) || 0), 0);
+            return { lado, faixas: doLado, duracaoTotal };
+        })
+        .filter(grupo => grupo.faixas.length > 0);
+}
+
+/**
+ * Configura os botões do editor de faixas do formulário
+ */
+export function setupTracklistEditor() {
+    const editor = document.getElementById('tracklist-editor');
+
+    document.getElementById('btn-add-faixa')?.addEventListener('click', () => {
+        // Nova faixa continua no lado da última linha
+        const linhas = editor.querySelectorAll('.tracklist-row');
+        const ultimoLado = linhas.length > 0
+            ? linhas[linhas.length - 1].querySelector('.tracklist-lado').value
+            : 'A';
+        addFaixaRow({ lado: ultimoLado });
+        editor.querySelector('.tracklist-row:last-child .tracklist-titulo')?.focus();
+    });
+
+    // Event delegation para remover faixa e renumerar ao trocar de lado
+    editor?.addEventListener('click', (e) => {
+        if (e.target.closest('.btn-remove-faixa')) {
+            e.target.closest('.tracklist-row').remove();
+            renumerarFaixas();
+        }
+    });
+
+    editor?.addEventListener('change', (e) => {
+        if (e.target.classList.contains('tracklist-lado')) {
+            renumerarFaixas();
+        }
+    });
+}
+
+/**
+ * Preenche o editor com as faixas de um vinil
+ * @param {Array<Object>} faixas - Faixas do vinil
+ */
+export function setTracklist(faixas = []) {
+    clearTracklist();
+    faixas.forEach(faixa => addFaixaRow(faixa));
+}
+
+/**
+ * Limpa todas as faixas do editor
+ */
+export function clearTracklist() {
+    const editor = document.getElementById('tracklist-editor');
+    if (editor) editor.innerHTML = '';
+    updateEmptyState();
+}
+
+/**
+ * Lê as faixas preenchidas no editor
+ * Linhas sem título são ignoradas.
+ * @returns {{ faixas: Array<Object>, erros: Array<string> }} Faixas e erros de validação
+ */
+export function getTracklist() {
+    const faixas = [];
+    const erros = [];
+
+    document.querySelectorAll('#tracklist-editor .tracklist-row').forEach(row => {
+        const titulo = row.querySelector('.tracklist-titulo').value.trim();
+        const duracao = row.querySelector('.tracklist-duracao').value.trim();
+        const numero = row.querySelector('.tracklist-numero').textContent;
+
+        if (!titulo) return;
+
+        if (duracao && parseDuracao(duracao) === null) {
+            erros.push(`Duração inválida na faixa ${numero} ("${duracao}"). Use o formato m:ss.`);
+        }
+
+        faixas.push({
+            lado: row.querySelector('.tracklist-lado').value,
+            numero,
+            titulo,
+            duracao: duracao || null
+        });
+    });
+
+    return { faixas, erros };
+}
+
+/**
+ * Adiciona uma linha de faixa ao editor
+ * @param {Object} faixa - Dados iniciais da faixa
+ */
+function addFaixaRow(faixa = {}) {
+    const editor = document.getElementById('tracklist-editor');
+    const row = document.createElement('div');
+    row.className = 'tracklist-row';
+
+    row.innerHTML = `
+        <span class="tracklist-numero"></span>
+        <select class="form-input tracklist-lado" aria-label="Lado">
+            ${LADOS.map(lado => `<option value="${lado}">Lado ${lado}</option>`).join('')}
+        </select>
+        <input type="text" class="form-input tracklist-titulo" placeholder="Título da faixa" aria-label="Título">
+        <input type="text" class="form-input tracklist-duracao" placeholder="3:45" aria-label="Duração">
+        <button type="button" class="btn-remove-faixa" title="Remover faixa">✕</button>
+    `;
+
+    // Valores atribuídos via propriedade para não precisar escapar HTML
+    row.querySelector('.tracklist-lado').value = LADOS.includes(faixa.lado) ? faixa.lado : 'A';
+    row.querySelector('.tracklist-titulo').value = faixa.titulo || '';
+    row.querySelector('.tracklist-duracao').value = faixa.duracao || '';
+
+    editor.appendChild(row);
+    renumerarFaixas();
+}
+
+/**
+ * Recalcula a numeração (A1, A2, B1...) na ordem das linhas
+ */
+function renumerarFaixas() {
+    const contadores = {};
+
+    document.querySelectorAll('#tracklist-editor .tracklist-row').forEach(row => {
+        const lado = row.querySelector('.tracklist-lado').value;
+        contadores[lado] = (contadores[lado] || 0) + 1;
+        row.querySelector('.tracklist-numero').textContent = `${lado}${contadores[lado]}`;
+    });
+
+    updateEmptyState();
+}
+
+/**
+ * Mostra a dica de lista vazia quando não há faixas no editor
+ */
+function updateEmptyState() {
+    const vazio = document.getElementById('tracklist-editor-empty');
+    const total = document.querySelectorAll('#tracklist-editor .tracklist-row').length;
+    if (vazio) vazio.style.display = total === 0 ? 'block' : 'none';
+}
@@ -6,41 +6,104 @@
  */
 
 import { animateCards, animateModal, animateSections } from './animations.js';
+import { resolveAssetUrl } from './config.js';
+import { normalizeText, escapeHTML } from './utils.js';
+import { calcularRaridade, ehRaro, CRITERIOS } from './rarity.js';
+import { isDestaque } from './favorites.js';
+import { agruparPorLado, formatDuracao } from './tracklist.js';
+import { createVirtualGrid } from './virtual-grid.js';
+import { CAMPOS_ORDENACAO } from './sort.js';
+import { EXEMPLOS_BUSCA } from './search.js';
+import { destacarTermos } from './search-index.js';
+import { CAMPOS_IMPORTACAO, PADROES_IMPORTACAO } from './import.js';
+import { CAMPOS_OBRIGATORIOS, CAMPOS_PRENSAGEM, CONDICOES } from './validation.js';
+import { DIMENSOES, FORMATOS } from './image.js';
+import { imagensDoVinil } from './gallery.js';
+
+// Grid virtualizada (criada na primeira renderização)
+let virtualGrid = null;
+
+// IDs cujos cards já foram animados (cada card anima só na primeira aparição)
+const cardsAnimados = new Set();
+
+// IDs marcados para comparação (usados ao criar cards que entram na janela)
+let idsComparacao = new Set();
+
+// IDs selecionados no modo seleção (operações em lote)
+let idsSelecionados = new Set();
+
+// Termos da busca destacados no título e no artista dos cards
+let termosDestaque = [];
+
+/**
+ * Retorna a grid virtualizada, criando-a se necessário
+ * @returns {Object} API de virtual-grid.js
+ */
+function getVirtualGrid() {
+    if (!virtualGrid) {
+        virtualGrid = createVirtualGrid(document.getElementById('vinis-grid'), {
+            renderItem: createVinilCard,
+            onItemVisible: (card) => {
+                const id = card.dataset.vinilId;
+                if (!cardsAnimados.has(id)) {
+                    cardsAnimados.add(id);
+                    animateCards([card]);
+                }
+            }
+        });
+    }
+    return virtualGrid;
+}
 
 /**
  * Renderiza a grid de vinis na página
+ * Só os cards visíveis ficam no DOM (ver virtual-grid.js).
  * @param {Array} vinis - Array com os dados dos vinis
+ * @param {Object} [options] - Opções
+ * @param {number} [options.total] - Total da coleção quando só parte foi carregada
+ * @param {boolean} [options.manterScroll=false] - Mantém a rolagem (ex: após editar);
+ *   caso contrário volta ao topo da grid quando o conteúdo muda
  */
-export function renderVinisGrid(vinis) {
+export function renderVinisGrid(vinis, { total, manterScroll = false } = {}) {
     const grid = document.getElementById('vinis-grid');
     const loading = document.getElementById('loading');
     const noResults = document.getElementById('no-results');
 
     // Esconde loading
     loading.style.display = 'none';
-
-    // Limpa a grid
-    grid.innerHTML = '';
+    loading.classList.remove('loading-more');
 
     // Se não houver resultados
     if (!vinis || vinis.length === 0) {
+        getVirtualGrid().setItems([]);
         noResults.style.display = 'flex';
         return;
     }
 
     noResults.style.display = 'none';
 
-    // Cria os cards
-    vinis.forEach(vinil => {
-        const card = createVinilCard(vinil);
-        grid.appendChild(card);
-    });
+    // Novo conteúdo (busca, filtro): volta ao início da grid se estiver abaixo dele
+    if (!manterScroll) {
+        const topoGrid = grid.getBoundingClientRect().top + window.scrollY - 120;
+        if (window.scrollY > topoGrid) {
+            window.scrollTo({ top: Math.max(0, topoGrid) });
+        }
+        cardsAnimados.clear();
+    }
 
-    // Anima os cards
-    animateCards();
+    // Cria os cards visíveis (os demais são criados ao rolar)
+    getVirtualGrid().setItems(vinis);
     
     // Atualiza stats mini
-    updateMiniStats(vinis);
+    updateMiniStats(vinis, total);
+}
+
+/**
+ * Acrescenta vinis ao fim da grid (próxima página do scroll infinito)
+ * @param {Array} vinis - Vinis da nova página
+ */
+export function appendVinisGrid(vinis) {
+    getVirtualGrid().appendItems(vinis);
 }
 
 /**
@@ -50,33 +113,19 @@ export function renderVinisGrid(vinis) {
  */
 function createVinilCard(vinil) {
     const card = document.createElement('div');
+    const destaque = isDestaque(vinil);
+    const selecionado = idsComparacao.has(vinil.id);
+    const emLote = idsSelecionados.has(vinil.id);
     card.className = 'vinil-card';
+    card.classList.toggle('is-destaque', destaque);
+    card.classList.toggle('compare-selected', selecionado);
+    card.classList.toggle('is-selecionado', emLote);
     card.dataset.vinilId = vinil.id;
 
-    // Mapa de cores para os backgrounds - cores mais vibrantes
-    const corMap = {
-        'Preto': '#2a2a2a',
-        'Colorido': 'linear-gradient(135deg, #e91e63, #9c27b0)',
-        'Transparente': '#2196f3',
-        'Roxo': '#9c27b0'
-    };
-    
-    const bgStyle = corMap[vinil.cor_prensagem] || '#333333';
-    const isGradient = bgStyle.includes('gradient');
-    
-    // Cria SVG placeholder inline com melhor visibilidade
-    const svgPlaceholder = `data:image/svg+xml,%3Csvg width='400' height='400' xmlns='http://www.w3.org/2000/svg'%3E%3Cdefs%3E${isGradient ? `%3ClinearGradient id='grad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' style='stop-color:%23e91e63'/%3E%3Cstop offset='100%25' style='stop-color:%239c27b0'/%3E%3C/linearGradient%3E` : ''}%3C/defs%3E%3Crect width='400' height='400' fill='${isGradient ? 'url(%23grad)' : bgStyle}'/%3E%3Ccircle cx='200' cy='200' r='150' fill='none' stroke='rgba(255,255,255,0.2)' stroke-width='3'/%3E%3Ccircle cx='200' cy='200' r='100' fill='none' stroke='rgba(255,255,255,0.15)' stroke-width='2'/%3E%3Ccircle cx='200' cy='200' r='50' fill='none' stroke='rgba(255,255,255,0.1)' stroke-width='1'/%3E%3Ccircle cx='200' cy='200' r='25' fill='rgba(255,152,0,0.3)'/%3E%3Ctext x='200' y='340' font-family='Arial' font-size='14' font-weight='bold' fill='rgba(255,152,0,0.7)' text-anchor='middle'%3ESem Capa%3C/text%3E%3C/svg%3E`;
+    const svgPlaceholder = createCapaPlaceholder(vinil.cor_prensagem);
     
-    // Usa a imagem da capa se existir, senão usa SVG
-    let imgUrl = svgPlaceholder;
-    if (vinil.capa) {
-        // Se for URL relativa, adiciona o base URL da API
-        if (vinil.capa.startsWith('/uploads')) {
-            imgUrl = `http://localhost:5000${vinil.capa}`;
-        } else {
-            imgUrl = vinil.capa;
-        }
-    }
+    // Usa a miniatura (ou a capa) se existir, senão usa SVG
+    const imgUrl = resolveAssetUrl(vinil.capa_miniatura || vinil.capa) || svgPlaceholder;
 
     // Badge da cor
     const corClass = vinil.cor_prensagem.toLowerCase().replace(' ', '-');
@@ -86,19 +135,27 @@ function createVinilCard(vinil) {
 
     card.innerHTML = `
         <div class="vinil-card-image-wrapper">
-            <img src="${imgUrl}" 
-                 alt="${vinil.album}" 
+            <label class="vinil-card-selecao" title="Selecionar (shift+clique seleciona o intervalo)">
+                <input type="checkbox" class="selecao-checkbox" data-vinil-id="${vinil.id}" ${emLote ? 'checked' : ''}>
+            </label>
+            <label class="vinil-card-compare" title="Selecionar para comparar">
+                <input type="checkbox" class="compare-checkbox" data-vinil-id="${vinil.id}" ${selecionado ? 'checked' : ''}>
+                <span>Comparar</span>
+            </label>
+            <img src="${escapeHTML(imgUrl)}" 
+                 alt="${escapeHTML(vinil.album)}" 
                  class="vinil-card-image"
                  onerror="console.error('Erro ao carregar:', '${imgUrl}'); this.src='${svgPlaceholder}';"
                  onload="console.log('✅ Imagem carregada:', '${imgUrl}');">
             <div class="vinil-card-badges">
+                ${destaque ? '<span class="badge badge-destaque">⭐ Destaque</span>' : ''}
                 <span class="badge badge-${corClass}">${escapeHTML(vinil.cor_prensagem)}</span>
                 ${vinil.midia === 'LP' ? '<span class="badge badge-lp">LP</span>' : ''}
             </div>
         </div>
         <div class="vinil-card-content">
-            <h3 class="vinil-card-title">${escapeHTML(vinil.album)}</h3>
-            <p class="vinil-card-artist">${escapeHTML(vinil.artista)}</p>
+            <h3 class="vinil-card-title">${destacarHTML(vinil.album)}</h3>
+            <p class="vinil-card-artist">${destacarHTML(vinil.artista)}</p>
             <div class="vinil-card-details">
                 <div class="vinil-detail-item">📅 ${vinil.ano}</div>
                 <div class="vinil-detail-item">💿 ${escapeHTML(vinil.selo || 'N/A')}</div>
@@ -106,26 +163,45 @@ function createVinilCard(vinil) {
         </div>
     `;
 
-    // Adiciona evento de clique para abrir modal de detalhes
-    card.addEventListener('click', () => {
-        showVinilDetailsModal(vinil.id);
-    });
+    // O clique no card (abrir detalhes ou, no modo seleção, marcar), e o
+    // checkbox de comparação são tratados por delegação no main.js
 
     return card;
 }
 
+/**
+ * Cria o SVG placeholder de capa (data URL) na cor da prensagem
+ * @param {string} corPrensagem - Cor da prensagem do vinil
+ * @returns {string} Data URL do SVG
+ */
+function createCapaPlaceholder(corPrensagem) {
+    // Mapa de cores para os backgrounds - cores mais vibrantes
+    const corMap = {
+        'Preto': '#2a2a2a',
+        'Colorido': 'linear-gradient(135deg, #e91e63, #9c27b0)',
+        'Transparente': '#2196f3',
+        'Roxo': '#9c27b0'
+    };
+    
+    const bgStyle = corMap[corPrensagem] || '#333333';
+    const isGradient = bgStyle.includes('gradient');
+    
+    return `data:image/svg+xml,%3Csvg width='400' height='400' xmlns='http://www.w3.org/2000/svg'%3E%3Cdefs%3E${isGradient ? `%3ClinearGradient id='grad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' style='stop-color:%23e91e63'/%3E%3Cstop offset='100%25' style='stop-color:%239c27b0'/%3E%3C/linearGradient%3E` : ''}%3C/defs%3E%3Crect width='400' height='400' fill='${isGradient ? 'url(%23grad)' : bgStyle}'/%3E%3Ccircle cx='200' cy='200' r='150' fill='none' stroke='rgba(255,255,255,0.2)' stroke-width='3'/%3E%3Ccircle cx='200' cy='200' r='100' fill='none' stroke='rgba(255,255,255,0.15)' stroke-width='2'/%3E%3Ccircle cx='200' cy='200' r='50' fill='none' stroke='rgba(255,255,255,0.1)' stroke-width='1'/%3E%3Ccircle cx='200' cy='200' r='25' fill='rgba(255,152,0,0.3)'/%3E%3Ctext x='200' y='340' font-family='Arial' font-size='14' font-weight='bold' fill='rgba(255,152,0,0.7)' text-anchor='middle'%3ESem Capa%3C/text%3E%3C/svg%3E`;
+}
+
 /**
  * Mostra o modal com detalhes completos de um vinil
  * @param {number} id - ID do vinil
+ * @param {Function} [carregarVinil] - (id) => Promise com o vinil (padrão: api.getVinilById)
  */
-export async function showVinilDetailsModal(id) {
+export async function showVinilDetailsModal(id, carregarVinil) {
     const modal = document.getElementById('modal-detalhes');
     const content = document.getElementById('detalhes-content');
 
     try {
         // Importa a função da API dinamicamente para evitar dependência circular
-        const { getVinilById } = await import('./api.js');
-        const vinil = await getVinilById(id);
+        const carregar = carregarVinil || (await import('./api.js')).getVinilById;
+        const vinil = await carregar(id);
 
         content.innerHTML = createVinilDetailsHTML(vinil);
         modal.classList.add('active');
@@ -156,25 +232,24 @@ function createVinilDetailsHTML(vinil) {
     const svgPlaceholder = `data:image/svg+xml,%3Csvg width='600' height='600' xmlns='http://www.w3.org/2000/svg'%3E%3Cdefs%3E${isGradient ? `%3ClinearGradient id='grad' x1='0%25' y1='0%25' x2='100%25' y2='100%25'%3E%3Cstop offset='0%25' style='stop-color:%23e91e63'/%3E%3Cstop offset='100%25' style='stop-color:%239c27b0'/%3E%3C/linearGradient%3E` : ''}%3C/defs%3E%3Crect width='600' height='600' fill='${isGradient ? 'url(%23grad)' : bgStyle}'/%3E%3Ccircle cx='300' cy='300' r='220' fill='none' stroke='rgba(255,255,255,0.2)' stroke-width='4'/%3E%3Ccircle cx='300' cy='300' r='150' fill='none' stroke='rgba(255,255,255,0.15)' stroke-width='3'/%3E%3Ccircle cx='300' cy='300' r='80' fill='none' stroke='rgba(255,255,255,0.1)' stroke-width='2'/%3E%3Ccircle cx='300' cy='300' r='40' fill='rgba(255,152,0,0.3)'/%3E%3Ctext x='300' y='500' font-family='Arial' font-size='20' font-weight='bold' fill='rgba(255,152,0,0.7)' text-anchor='middle'%3ESem Capa%3C/text%3E%3C/svg%3E`;
 
     // Usa a imagem da capa se existir, senão usa SVG
-    let imgUrl = svgPlaceholder;
-    if (vinil.capa) {
-        // Se for URL relativa, adiciona o base URL da API
-        if (vinil.capa.startsWith('/uploads')) {
-            imgUrl = `http://localhost:5000${vinil.capa}`;
-        } else {
-            imgUrl = vinil.capa;
-        }
-    }
+    const imgUrl = resolveAssetUrl(vinil.capa) || svgPlaceholder;
+    const capaHTML = `<img src="${escapeHTML(imgUrl)}" 
+                         alt="${escapeHTML(vinil.album)}" 
+                         class="detalhes-vinil-image"
+                         onerror="console.error('Erro ao carregar imagem no modal:', '${imgUrl}'); this.src='${svgPlaceholder}';"
+                         onload="console.log('✅ Imagem do modal carregada:', '${imgUrl}');">`;
+
+    // Capa e galeria abrem o lightbox (a capa, quando existe, é a primeira imagem)
+    const imagens = imagensDoVinil(vinil);
 
     // Determina raridade baseada na cor
-    const raridadeMap = {
-        'Preto': 1,
-        'Transparente': 2,
-        'Roxo': 3,
-        'Colorido': 4
-    };
-    const nivelRaridade = raridadeMap[vinil.cor_prensagem] || 1;
-    const estrelas = '⭐'.repeat(Math.min(nivelRaridade, 5));
+    // Raridade calculada pelo motor de pontuação (rarity.js)
+    const raridade = calcularRaridade(vinil);
+    const estrelas = '⭐'.repeat(raridade.estrelas);
+    const detalheRaridade = Object.entries(raridade.fatores)
+        .filter(([, fator]) => fator > 0)
+        .map(([criterio, fator]) => `${CRITERIOS[criterio]}: ${Math.round(fator * 100)}%`)
+        .join('\n');
 
     return `
         <div class="detalhes-vinil">
@@ -182,12 +257,15 @@ function createVinilDetailsHTML(vinil) {
                 <h2 class="detalhes-vinil-title">${escapeHTML(vinil.album)}</h2>
             </div>
             <div class="detalhes-vinil-content">
-                <div class="detalhes-vinil-image-wrapper">
-                    <img src="${imgUrl}" 
-                         alt="${vinil.album}" 
-                         class="detalhes-vinil-image"
-                         onerror="console.error('Erro ao carregar imagem no modal:', '${imgUrl}'); this.src='${svgPlaceholder}';"
-                         onload="console.log('✅ Imagem do modal carregada:', '${imgUrl}');">
+                <div class="detalhes-vinil-midia">
+                    <div class="detalhes-vinil-image-wrapper">
+                        ${vinil.capa ? `
+                        <button type="button" class="detalhes-galeria-abrir" data-vinil-id="${vinil.id}" data-galeria-indice="0" title="Ampliar">
+                            ${capaHTML}
+                        </button>
+                        ` : capaHTML}
+                    </div>
+                    ${imagens.length > (vinil.capa ? 1 : 0) ? createGaleriaHTML(vinil.id, imagens) : ''}
                 </div>
                 <div class="detalhes-vinil-info">
                     <div class="detalhes-vinil-artist-section">
@@ -228,18 +306,34 @@ function createVinilDetailsHTML(vinil) {
                             </div>
                         </div>
                         
+                        ${vinil.edicao_limitada || vinil.numero_copia ? `
+                        <div class="detalhes-meta-item">
+                            <span class="detalhes-meta-icon">🔢</span>
+                            <div class="detalhes-meta-text">
+                                <span class="detalhes-meta-label">Edição</span>
+                                <span class="detalhes-meta-value">${vinil.edicao_limitada ? 'Limitada' : 'Regular'}${vinil.numero_copia ? ` · Cópia nº ${escapeHTML(vinil.numero_copia)}` : ''}</span>
+                            </div>
+                        </div>
+                        ` : ''}
+
                         <div class="detalhes-meta-item">
                             <span class="detalhes-meta-icon">🎀</span>
                             <div class="detalhes-meta-text">
                                 <span class="detalhes-meta-label">Raridade</span>
-                                <span class="detalhes-meta-value">${estrelas}</span>
+                                <span class="detalhes-meta-value" title="${escapeHTML(detalheRaridade)}">${estrelas} <small class="detalhes-raridade-pontos">${raridade.pontuacao}/100</small></span>
                             </div>
                         </div>
                     </div>
+
+                    ${createPrensagemHTML(vinil)}
                     
                     <div class="detalhes-vinil-actions">
-                        <button class="btn-rare-item">
-                            <span>⭐</span> Item Raro na Coleção
+                        ${createDestaqueButtonHTML(vinil.id, isDestaque(vinil))}
+                        <button class="btn-compare-album" data-artista="${encodeURIComponent(vinil.artista)}" data-album="${encodeURIComponent(vinil.album)}">
+                            <span>⚖️</span> Comparar Prensagens do Álbum
+                        </button>
+                        <button class="btn-copiar-link" data-vinil-id="${vinil.id}">
+                            <span>🔗</span> Copiar Link
                         </button>
                         <button class="btn-edit-vinil" data-vinil-id="${vinil.id}">
                             <span>✏️</span> Editar Vinil
@@ -251,37 +345,138 @@ function createVinilDetailsHTML(vinil) {
                 </div>
             </div>
             
+            ${createTracklistHTML(vinil.faixas)}
+        </div>
+    `;
+}
+
+/**
+ * Cria a lista de dados da prensagem do modal de detalhes (só os preenchidos)
+ * @param {Object} vinil - Dados do vinil
+ * @returns {string} HTML string ('' se nenhum dado foi preenchido)
+ */
+function createPrensagemHTML(vinil) {
+    const itens = Object.entries(CAMPOS_PRENSAGEM)
+        .map(([campo, rotulo]) => ({ campo, rotulo, texto: formatarCampo(campo, vinil[campo]) }))
+        .filter(item => item.texto);
+    if (itens.length === 0) return '';
+
+    // Códigos gravados ficam em fonte monoespaçada, como no disco
+    const codigo = campo => campo === 'codigo_barras' || campo.startsWith('matriz_');
+
+    return `
+        <dl class="detalhes-prensagem">
+            ${itens.map(({ campo, rotulo, texto }) => `
+                <div class="detalhes-prensagem-item${campo === 'notas_edicao' ? ' is-longo' : ''}">
+                    <dt>${escapeHTML(rotulo)}</dt>
+                    <dd${codigo(campo) ? ' class="is-codigo"' : ''}>${escapeHTML(texto)}</dd>
+                </div>
+            `).join('')}
+        </dl>
+    `;
+}
+
+/**
+ * Cria a faixa de miniaturas da galeria do modal de detalhes
+ * @param {number} id - ID do vinil
+ * @param {Array<Object>} imagens - Imagens do vinil (ver imagensDoVinil)
+ * @returns {string} HTML string
+ */
+function createGaleriaHTML(id, imagens) {
+    return `
+        <div class="detalhes-galeria" aria-label="Galeria">
+            ${imagens.map((item, indice) => `
+                <button type="button" class="detalhes-galeria-item detalhes-galeria-abrir" data-vinil-id="${id}" data-galeria-indice="${indice}" title="${escapeHTML(item.rotulo)}">
+                    <img src="${escapeHTML(item.miniatura)}" alt="${escapeHTML(item.rotulo)}" loading="lazy">
+                    <span class="detalhes-galeria-tipo">${escapeHTML(item.rotulo)}</span>
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Cria o botão de destaque/favorito do modal de detalhes
+ * @param {number} id - ID do vinil
+ * @param {boolean} destaque - Se o vinil já está em destaque
+ * @returns {string} HTML string
+ */
+function createDestaqueButtonHTML(id, destaque) {
+    return destaque
+        ? `<button class="btn-rare-item active" data-vinil-id="${id}">
+                <span>🌟</span> Destaque da Coleção (remover)
+           </button>`
+        : `<button class="btn-rare-item" data-vinil-id="${id}">
+                <span>⭐</span> Marcar como Destaque
+           </button>`;
+}
+
+/**
+ * Atualiza o botão de destaque do modal de detalhes após alternar
+ * @param {number} id - ID do vinil
+ * @param {boolean} destaque - Novo estado
+ */
+export function updateDestaqueButton(id, destaque) {
+    const btn = document.querySelector(`.btn-rare-item[data-vinil-id="${id}"]`);
+    if (btn) btn.outerHTML = createDestaqueButtonHTML(id, destaque);
+}
+
+/**
+ * Cria o HTML da tracklist do vinil, agrupada por lado
+ * @param {Array<Object>} faixas - Faixas do vinil
+ * @returns {string} HTML string
+ */
+function createTracklistHTML(faixas) {
+    const lados = agruparPorLado(faixas || []);
+
+    if (lados.length === 0) {
+        return `
             <div class="detalhes-vinil-tracklist">
                 <h4 class="tracklist-title">🎵 Tracklist</h4>
-                <div class="tracklist-grid">
-                    <div class="tracklist-item"><span class="track-number">01</span> Speak to Me</div>
-                    <div class="tracklist-item"><span class="track-number">02</span> Breathe</div>
-                    <div class="tracklist-item"><span class="track-number">03</span> On the Run</div>
-                    <div class="tracklist-item"><span class="track-number">04</span> Time</div>
-                    <div class="tracklist-item"><span class="track-number">05</span> The Great Gig in the Sky</div>
-                    <div class="tracklist-item"><span class="track-number">06</span> Money</div>
-                    <div class="tracklist-item"><span class="track-number">07</span> Us and Them</div>
-                    <div class="tracklist-item"><span class="track-number">08</span> Any Colour You Like</div>
-                </div>
+                <p class="tracklist-empty">Nenhuma faixa cadastrada. Edite o vinil para adicionar a tracklist.</p>
+            </div>
+        `;
+    }
+
+    const ladosHTML = lados.map(({ lado, faixas: doLado, duracaoTotal }) => `
+        <div class="tracklist-side">
+            <div class="tracklist-side-header">
+                <span>Lado ${lado}</span>
+                <span class="tracklist-side-total">${duracaoTotal > 0 ? formatDuracao(duracaoTotal) : '--:--'}</span>
             </div>
+            <div class="tracklist-grid">
+                ${doLado.map(faixa => `
+                    <div class="tracklist-item">
+                        <span class="track-number">${escapeHTML(faixa.numero)}</span>
+                        <span class="track-title">${escapeHTML(faixa.titulo)}</span>
+                        <span class="track-duration">${escapeHTML(faixa.duracao || '')}</span>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    return `
+        <div class="detalhes-vinil-tracklist">
+            <h4 class="tracklist-title">🎵 Tracklist</h4>
+            ${ladosHTML}
         </div>
     `;
 }
 
 /**
  * Atualiza os cards de estatísticas mini no topo
- * @param {Array} vinis - Array com todos os vinis
+ * @param {Array} vinis - Array com todos os vinis carregados
+ * @param {number} [total] - Total da coleção (quando nem todos foram carregados)
  */
-function updateMiniStats(vinis) {
+export function updateMiniStats(vinis, total) {
     if (!vinis || vinis.length === 0) return;
     
     // Total
-    document.getElementById('total-vinis').textContent = vinis.length;
+    document.getElementById('total-vinis').textContent = total ?? vinis.length;
     
-    // Raridades (vinis coloridos ou transparentes)
-    const raridades = vinis.filter(v => 
-        v.cor_prensagem && (v.cor_prensagem.includes('Colorido') || v.cor_prensagem.includes('Transparente'))
-    ).length;
+    // Raridades (mesmo critério das estrelas - ver rarity.js)
+    const raridades = vinis.filter(ehRaro).length;
     document.getElementById('total-raridades').textContent = raridades;
     
     // Artistas únicos
@@ -373,17 +568,15 @@ export function renderStats(stats) {
 }
 
 /**
- * Mostra o modal de comparação
+ * Mostra o modal de comparação em estado de carregamento
  */
 export function showComparacaoModal() {
     const modal = document.getElementById('modal-comparar');
+    const output = document.getElementById('comparacao-output');
+
+    output.innerHTML = '<div class="stats-loading">Comparando prensagens...</div>';
     modal.classList.add('active');
     animateModal('#modal-comparar .modal-content');
-
-    // Limpa os campos
-    document.getElementById('vinil-id-a').value = '';
-    document.getElementById('vinil-id-b').value = '';
-    document.getElementById('comparacao-resultado').style.display = 'none';
 }
 
 /**
@@ -396,25 +589,1056 @@ export function hideModal(modalId) {
 }
 
 /**
- * Exibe o resultado da comparação
- * @param {Object} resultado - Resultado da comparação
+ * Abre o assistente de importação na etapa inicial
+ */
+export function showImportarModal() {
+    document.getElementById('importar-arquivo').value = '';
+    setImportarEtapa('arquivo');
+    document.getElementById('modal-importar').classList.add('active');
+    animateModal('#modal-importar .modal-content');
+}
+
+/**
+ * Mostra uma etapa do assistente de importação
+ * @param {string} etapa - 'arquivo' | 'colunas' | 'revisao' | 'relatorio'
+ */
+export function setImportarEtapa(etapa) {
+    const etapas = [...document.querySelectorAll('#importar-etapas li')].map(li => li.dataset.etapa);
+    const atual = etapas.indexOf(etapa);
+
+    document.querySelectorAll('#importar-etapas li').forEach((li, i) => {
+        li.classList.toggle('is-atual', i === atual);
+        li.classList.toggle('is-feita', i < atual);
+    });
+    document.querySelectorAll('#modal-importar .importar-etapa').forEach(secao => {
+        secao.hidden = secao.dataset.etapa !== etapa;
+    });
+}
+
+/**
+ * Renderiza a etapa de mapeamento de colunas
+ * @param {Object} arquivo - { nome, formato, colunas, linhas } (ver import.js)
+ * @param {Object} mapeamento - { campo: coluna } sugerido
+ */
+export function renderImportarMapeamento(arquivo, mapeamento) {
+    document.getElementById('importar-info').textContent =
+        `${arquivo.nome} · ${arquivo.formato} · ${arquivo.linhas.length} ${arquivo.linhas.length === 1 ? 'linha' : 'linhas'}`;
+
+    // Sem coluna, cor e mídia recebem um valor padrão (ver PADROES_IMPORTACAO)
+    const opcoes = (campo, selecionada) => ['', ...arquivo.colunas].map(coluna => `
+        <option value="${escapeHTML(coluna)}" ${coluna === selecionada ? 'selected' : ''}>${coluna
+            ? escapeHTML(coluna)
+            : (PADROES_IMPORTACAO[campo] ? `— sempre ${PADROES_IMPORTACAO[campo]} —` : '— não importar —')}</option>
+    `).join('');
+
+    document.getElementById('importar-mapeamento').innerHTML = Object.entries(CAMPOS_IMPORTACAO).map(([campo, rotulo]) => `
+        <label class="importar-campo">
+            <span>${rotulo}${campo in CAMPOS_OBRIGATORIOS ? ' *' : ''}</span>
+            <select class="form-input" data-campo="${campo}">${opcoes(campo, mapeamento[campo] || '')}</select>
+        </label>
+    `).join('');
+
+    const amostra = arquivo.linhas.slice(0, 3);
+    document.getElementById('importar-amostra').innerHTML = `
+        <table class="comparacao-tabela importar-tabela">
+            <thead><tr>${arquivo.colunas.map(coluna => `<th>${escapeHTML(coluna)}</th>`).join('')}</tr></thead>
+            <tbody>
+                ${amostra.map(linha => `<tr>${arquivo.colunas.map(coluna => `<td>${escapeHTML(String(linha[coluna] ?? ''))}</td>`).join('')}</tr>`).join('')}
+            </tbody>
+        </table>
+    `;
+
+    setImportarEtapa('colunas');
+}
+
+/**
+ * Lê o mapeamento escolhido na etapa de colunas
+ * @returns {Object} { campo: coluna } (só campos com coluna escolhida)
+ */
+export function getImportarMapeamento() {
+    const mapeamento = {};
+    document.querySelectorAll('#importar-mapeamento select[data-campo]').forEach(select => {
+        if (select.value) mapeamento[select.dataset.campo] = select.value;
+    });
+    return mapeamento;
+}
+
+/**
+ * Renderiza a revisão das linhas a importar
+ * Linhas inválidas não podem ser marcadas; duplicatas prováveis vêm desmarcadas.
+ * @param {Array<Object>} itens - { numero, dados, erros, duplicado, atualizacao, incluir }
+ *   duplicado: { tipo: 'duplicata' | 'prensagem' | 'arquivo', vinil?, numero? } ou null
+ *   atualizacao: { campo: valor } a gravar na duplicata, ou null
+ * @param {Object} [options] - Opções
+ * @param {string} [options.etapaAnterior='colunas'] - Etapa aberta pelo botão Voltar
+ *   ('arquivo' na restauração de backup, que não tem mapeamento de colunas)
+ */
+export function renderImportarRevisao(itens, { etapaAnterior = 'colunas' } = {}) {
+    const situacao = item => {
+        if (item.erros.length > 0) {
+            return `<span class="importar-situacao is-erro">${item.erros.map(escapeHTML).join('<br>')}</span>`;
+        }
+        if (item.atualizacao) {
+            const campos = Object.keys(item.atualizacao).map(campo => CAMPOS_IMPORTACAO[campo] || 'Edição limitada');
+            return `<span class="importar-situacao is-info">Atualiza #${item.duplicado.vinil.id}: ${campos.join(', ')}</span>`;
+        }
+        switch (item.duplicado?.tipo) {
+            case 'duplicata':
+                return `<span class="importar-situacao is-duplicata">Provável duplicata de #${item.duplicado.vinil.id}</span>`;
+            case 'arquivo':
+                return `<span class="importar-situacao is-duplicata">Repetido no arquivo (linha ${item.duplicado.numero})</span>`;
+            case 'prensagem':
+                return `<span class="importar-situacao is-info">Outra prensagem de #${item.duplicado.vinil.id}</span>`;
+            default:
+                return '<span class="importar-situacao is-ok">Novo</span>';
+        }
+    };
+
+    // Colunas da prensagem só aparecem se alguma linha as preenche
+    const campos = Object.keys(CAMPOS_IMPORTACAO).filter(campo =>
+        !(campo in CAMPOS_PRENSAGEM) || itens.some(item => item.dados[campo] !== null && item.dados[campo] !== undefined));
+
+    document.getElementById('importar-revisao').innerHTML = `
+        <table class="comparacao-tabela importar-tabela">
+            <thead>
+                <tr>
+                    <th><input type="checkbox" id="importar-marcar-todos" title="Marcar todas as linhas válidas"></th>
+                    <th>Linha</th>
+                    ${campos.map(campo => `<th>${CAMPOS_IMPORTACAO[campo]}</th>`).join('')}
+                    <th>Situação</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${itens.map((item, indice) => `
+                    <tr class="${item.erros.length > 0 ? 'importar-linha-erro' : ''}">
+                        <td><input type="checkbox" class="importar-incluir" data-indice="${indice}"
+                            ${item.incluir ? 'checked' : ''} ${item.erros.length > 0 ? 'disabled' : ''}></td>
+                        <td>${item.numero}</td>
+                        ${campos.map(campo => `<td>${escapeHTML(Number.isNaN(item.dados[campo]) ? '' : String(item.dados[campo] ?? ''))}</td>`).join('')}
+                        <td>${situacao(item)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+
+    document.querySelector('#modal-importar .importar-etapa[data-etapa="revisao"] [data-importar-voltar]')
+        .dataset.importarVoltar = etapaAnterior;
+
+    updateImportarResumo(itens);
+    setImportarEtapa('revisao');
+}
+
+/**
+ * Atualiza o resumo e o botão da etapa de revisão conforme as linhas marcadas
+ * @param {Array<Object>} itens - Itens da revisão
+ */
+export function updateImportarResumo(itens) {
+    const marcadas = getImportarIncluidos().length;
+    const invalidas = itens.filter(item => item.erros.length > 0).length;
+    const atualizacoes = itens.filter(item => item.atualizacao).length;
+    const duplicadas = itens.filter(item => item.erros.length === 0 && !item.atualizacao && ['duplicata', 'arquivo'].includes(item.duplicado?.tipo)).length;
+
+    const partes = [`${itens.length} ${itens.length === 1 ? 'linha' : 'linhas'}`];
+    if (invalidas > 0) partes.push(`${invalidas} com erro`);
+    if (atualizacoes > 0) partes.push(`${atualizacoes} ${atualizacoes === 1 ? 'atualiza um vinil existente' : 'atualizam vinis existentes'}`);
+    if (duplicadas > 0) partes.push(`${duplicadas} ${duplicadas === 1 ? 'provável duplicata' : 'prováveis duplicatas'}`);
+    partes.push(`${marcadas} ${marcadas === 1 ? 'marcada' : 'marcadas'} para importar`);
+
+    document.getElementById('importar-resumo').textContent = partes.join(' · ');
+
+    const btn = document.getElementById('btn-importar-confirmar');
+    btn.disabled = marcadas === 0;
+    btn.textContent = `Importar ${marcadas} ${marcadas === 1 ? 'Vinil' : 'Vinis'}`;
+}
+
+/**
+ * Índices (na lista da revisão) das linhas marcadas para importar
+ * @returns {Array<number>} Índices
+ */
+export function getImportarIncluidos() {
+    return [...document.querySelectorAll('#importar-revisao .importar-incluir:checked')]
+        .map(checkbox => Number(checkbox.dataset.indice));
+}
+
+/**
+ * Mostra o relatório final da importação
+ * @param {Object} relatorio - Resultado
+ * @param {number} relatorio.importados - Vinis criados
+ * @param {number} [relatorio.atualizados=0] - Vinis existentes atualizados
+ * @param {number} relatorio.pendentes - Vinis guardados na fila offline
+ * @param {number} relatorio.ignorados - Linhas não marcadas (erro ou duplicata)
+ * @param {boolean} relatorio.interrompido - Importação interrompida
+ * @param {Array<{ numero: number, descricao: string, mensagem: string }>} relatorio.falhas - Linhas recusadas
+ */
+export function showImportarRelatorio({ importados, atualizados = 0, pendentes, ignorados, interrompido, falhas }) {
+    const linhas = [
+        `<li class="is-ok">✓ ${importados} ${importados === 1 ? 'vinil importado' : 'vinis importados'}${pendentes > 0 ? ` (${pendentes} aguardando conexão)` : ''}</li>`
+    ];
+    if (atualizados > 0) linhas.push(`<li>✓ ${atualizados} ${atualizados === 1 ? 'vinil existente atualizado' : 'vinis existentes atualizados'}</li>`);
+    if (falhas.length > 0) linhas.push(`<li class="is-erro">⚠ ${falhas.length} ${falhas.length === 1 ? 'linha recusada' : 'linhas recusadas'}</li>`);
+    if (ignorados > 0) linhas.push(`<li>${ignorados} ${ignorados === 1 ? 'linha ignorada' : 'linhas ignoradas'} (com erro ou desmarcadas)</li>`);
+    if (interrompido) linhas.push('<li>Importação interrompida: as linhas restantes não foram enviadas</li>');
+
+    document.getElementById('importar-relatorio').innerHTML = `
+        <ul class="importar-relatorio-resumo">${linhas.join('')}</ul>
+        ${falhas.length > 0 ? `
+            <ul class="lote-falhas">
+                ${falhas.map(falha => `
+                    <li class="lote-falha">
+                        <strong>Linha ${falha.numero}: ${escapeHTML(falha.descricao)}</strong>
+                        <span>${escapeHTML(falha.mensagem)}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        ` : ''}
+    `;
+
+    setImportarEtapa('relatorio');
+}
+
+/**
+ * Abre o modal de exportação
+ * @param {Object} escopo - Quantidades de cada opção
+ * @param {number|null} escopo.exibidos - Vinis da consulta atual (null se não há busca nem filtro)
+ * @param {number} escopo.total - Vinis na coleção
+ * @param {Array<string>} [escopo.filtros=[]] - Rótulos dos filtros ativos
+ */
+export function showExportarModal({ exibidos, total, filtros = [] }) {
+    const consulta = document.querySelector('input[name="exportar-escopo"][value="consulta"]');
+    const colecao = document.querySelector('input[name="exportar-escopo"][value="colecao"]');
+
+    consulta.disabled = exibidos === null;
+    (exibidos === null ? colecao : consulta).checked = true;
+
+    document.getElementById('exportar-escopo-consulta').textContent = exibidos === null
+        ? '(nenhuma busca ou filtro ativo)'
+        : `(${exibidos} · ${filtros.join(', ')})`;
+    document.getElementById('exportar-escopo-colecao').textContent = `(${total})`;
+
+    document.getElementById('modal-exportar').classList.add('active');
+    animateModal('#modal-exportar .modal-content');
+}
+
+/**
+ * Escopo escolhido no modal de exportação
+ * @returns {string} 'consulta' | 'colecao'
+ */
+export function getExportarEscopo() {
+    return document.querySelector('input[name="exportar-escopo"]:checked')?.value || 'colecao';
+}
+
+// Rótulos das situações de cada campo na mesclagem (ver conflicts.js)
+const SITUACOES_MESCLAGEM = {
+    igual: 'Sem alteração',
+    meu: 'Só você alterou',
+    deles: 'Só a outra pessoa alterou',
+    conflito: 'Ambos alteraram'
+};
+
+/**
+ * Mostra o diálogo de mesclagem de uma edição em conflito
+ * Cada campo alterado ganha a escolha entre a minha versão e a do servidor;
+ * o original aparece como referência.
+ * @param {Array<Object>} linhas - Resultado de conflicts.compararVersoes
+ */
+export function showMesclagemModal(linhas) {
+    const modal = document.getElementById('modal-conflito');
+    const output = document.getElementById('mesclagem-output');
+    const resumo = document.getElementById('mesclagem-resumo');
+
+    const conflitos = linhas.filter(linha => linha.situacao === 'conflito').length;
+    resumo.textContent = `Este vinil foi alterado por outra pessoa enquanto você editava. ${conflitos > 0
+        ? `${conflitos} ${conflitos === 1 ? 'campo foi alterado' : 'campos foram alterados'} pelos dois lados: escolha qual versão fica.`
+        : 'As alterações não se sobrepõem: confira e salve.'}`;
+
+    const corpo = linhas.map(linha => {
+        const escolha = opcao => `
+            <label class="mesclagem-opcao">
+                <input type="radio" name="mesclagem-${linha.campo}" value="${opcao}" ${linha.escolha === opcao ? 'checked' : ''}>
+                ${formatarValorMesclagem(linha.campo, linha[opcao])}
+            </label>
+        `;
+        const igual = linha.situacao === 'igual';
+
+        return `
+            <tr class="mesclagem-${linha.situacao}" data-campo="${linha.campo}" ${igual ? 'hidden' : ''}>
+                <th>
+                    ${linha.label}
+                    <span class="mesclagem-situacao">${SITUACOES_MESCLAGEM[linha.situacao]}</span>
+                </th>
+                <td class="mesclagem-original">${formatarValorMesclagem(linha.campo, linha.original)}</td>
+                <td>${igual ? formatarValorMesclagem(linha.campo, linha.meu) : escolha('meu')}</td>
+                <td>${igual ? formatarValorMesclagem(linha.campo, linha.deles) : escolha('deles')}</td>
+            </tr>
+        `;
+    }).join('');
+
+    output.innerHTML = `
+        <table class="comparacao-tabela mesclagem-tabela">
+            <thead>
+                <tr>
+                    <th>Campo</th>
+                    <th>Original</th>
+                    <th>Minha versão</th>
+                    <th>Versão atual</th>
+                </tr>
+            </thead>
+            <tbody>${corpo}</tbody>
+        </table>
+    `;
+
+    document.getElementById('mesclagem-mostrar-iguais').checked = false;
+    modal.classList.add('active');
+    animateModal('#modal-conflito .modal-content');
+}
+
+/**
+ * Mostra ou esconde as linhas sem alteração na mesclagem
+ * @param {boolean} mostrar - true para exibir os campos iguais
+ */
+export function toggleMesclagemIguais(mostrar) {
+    document.querySelectorAll('#mesclagem-output tr.mesclagem-igual').forEach(linha => {
+        linha.hidden = !mostrar;
+    });
+}
+
+/**
+ * Lê as escolhas feitas no diálogo de mesclagem
+ * @returns {Object} { campo: 'meu' | 'deles' } (campos sem escolha ficam de fora)
+ */
+export function getEscolhasMesclagem() {
+    const escolhas = {};
+    document.querySelectorAll('#mesclagem-output input[type="radio"]:checked').forEach(input => {
+        escolhas[input.name.replace('mesclagem-', '')] = input.value;
+    });
+    return escolhas;
+}
+
+/**
+ * Formata o valor de um campo para a tabela de mesclagem
+ * @param {string} campo - Campo do vinil
+ * @param {*} valor - Valor
+ * @returns {string} HTML seguro
+ */
+function formatarValorMesclagem(campo, valor) {
+    const vazio = '<span class="mesclagem-vazio">—</span>';
+
+    switch (campo) {
+        case 'edicao_limitada':
+            return valor ? 'Sim' : 'Não';
+        case 'faixas':
+            if (!Array.isArray(valor) || valor.length === 0) return vazio;
+            return `${valor.length} ${valor.length === 1 ? 'faixa' : 'faixas'}<br><small>${valor.slice(0, 3).map(f => escapeHTML(f.titulo)).join(', ')}${valor.length > 3 ? '…' : ''}</small>`;
+        case 'capa': {
+            const url = resolveAssetUrl(valor);
+            return url ? `<img class="mesclagem-capa" src="${escapeHTML(url)}" alt="Capa">` : vazio;
+        }
+        case 'imagens':
+            if (!Array.isArray(valor) || valor.length === 0) return vazio;
+            return `${valor.length} ${valor.length === 1 ? 'imagem' : 'imagens'}<br><small>${imagensDoVinil({ imagens: valor }).map(item => escapeHTML(item.rotulo)).join(', ')}</small>`;
+        default: {
+            const texto = formatarCampo(campo, valor);
+            return texto ? escapeHTML(texto) : vazio;
+        }
+    }
+}
+
+/**
+ * Formata o valor de um campo do vinil como texto
+ * Ex: tamanho 12 → '12"'; rpm 33 → '33⅓ RPM'; condicao_disco 'VG+' → 'VG+ (Very Good Plus)'.
+ * @param {string} campo - Campo do vinil
+ * @param {*} valor - Valor
+ * @returns {string} Texto ('' se vazio)
+ */
+function formatarCampo(campo, valor) {
+    if (campo === 'edicao_limitada') return valor ? 'Sim' : 'Não';
+    if (valor === null || valor === undefined || valor === '') return '';
+
+    switch (campo) {
+        case 'tamanho':
+            return `${valor}"`;
+        case 'rpm':
+            return Number(valor) === 33 ? '33⅓ RPM' : `${valor} RPM`;
+        case 'condicao_disco':
+        case 'condicao_capa':
+            return CONDICOES[valor] ? `${valor} (${CONDICOES[valor]})` : String(valor);
+        default:
+            return String(valor);
+    }
+}
+
+// Rótulos dos campos exibidos na comparação
+const LABELS_COMPARACAO = {
+    artista: 'Artista',
+    album: 'Álbum',
+    cor_prensagem: 'Cor',
+    ano: 'Ano',
+    selo: 'Selo',
+    midia: 'Mídia',
+    edicao_limitada: 'Edição limitada',
+    numero_copia: 'Nº da cópia',
+    ...CAMPOS_PRENSAGEM
+};
+
+/**
+ * Exibe o resultado da comparação como uma matriz campos × prensagens
+ * @param {Object} resultado - Resultado de api.compararPrensagens
  */
 export function showComparacaoResultado(resultado) {
-    const resultadoDiv = document.getElementById('comparacao-resultado');
     const output = document.getElementById('comparacao-output');
+    const { vinis, campos, diferencas, mais_antigo: maisAntigo, mais_raro: maisRaro } = resultado;
+
+    const totalDiferencas = campos.filter(campo => diferencas[campo]).length;
+    const resumo = totalDiferencas === 0
+        ? `As ${vinis.length} prensagens são idênticas nos campos cadastrados.`
+        : `${vinis.length} prensagens comparadas: ${totalDiferencas} ${totalDiferencas === 1 ? 'campo diferente' : 'campos diferentes'}.`;
+
+    const cabecalho = vinis.map(vinil => {
+        const placeholder = createCapaPlaceholder(vinil.cor_prensagem);
+        const imgUrl = resolveAssetUrl(vinil.capa) || placeholder;
+        const marcas = [
+            vinil.id === maisAntigo ? '<span class="comparacao-marca">🕰️ Mais antiga</span>' : '',
+            vinil.id === maisRaro ? '<span class="comparacao-marca">💎 Mais rara</span>' : ''
+        ].join('');
+
+        return `
+            <th class="comparacao-capa">
+                <img src="${imgUrl}" alt="${escapeHTML(vinil.album)}" onerror="this.src='${placeholder}';">
+                <span class="comparacao-capa-titulo">${escapeHTML(vinil.album)}</span>
+                <span class="comparacao-capa-id">#${vinil.id}</span>
+                ${marcas}
+            </th>
+        `;
+    }).join('');
 
-    output.textContent = JSON.stringify(resultado, null, 2);
-    resultadoDiv.style.display = 'block';
+    const linhas = campos.map(campo => {
+        // Valor mais frequente (normalizado) - células diferentes dele são destacadas
+        const contagem = new Map();
+        const textos = vinis.map(v => formatarCampo(campo, v[campo]));
+        textos.forEach(texto => {
+            const chave = normalizeText(texto);
+            contagem.set(chave, (contagem.get(chave) || 0) + 1);
+        });
+        const valorComum = [...contagem.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+        const celulas = textos.map(texto => {
+            const destaque = diferencas[campo] && normalizeText(texto) !== valorComum;
+            return `<td class="${destaque ? 'comparacao-valor-diff' : ''}">${escapeHTML(texto || '—')}</td>`;
+        }).join('');
+
+        return `
+            <tr class="${diferencas[campo] ? 'comparacao-diff' : ''}">
+                <th>${LABELS_COMPARACAO[campo] || campo}${diferencas[campo] ? ' <span class="comparacao-diff-tag">≠</span>' : ''}</th>
+                ${celulas}
+            </tr>
+        `;
+    }).join('');
+
+    output.innerHTML = `
+        <p class="comparacao-resumo">${resumo}</p>
+        <div class="comparacao-scroll">
+            <table class="comparacao-tabela">
+                <thead><tr><th></th>${cabecalho}</tr></thead>
+                <tbody>${linhas}</tbody>
+            </table>
+        </div>
+    `;
 
     // Anima o resultado
-    gsap.from(resultadoDiv, {
-        duration: 0.5,
-        opacity: 0,
-        y: 20,
-        ease: 'power2.out'
+    animateSections('#comparacao-output .comparacao-capa, #comparacao-output tbody tr');
+}
+
+/**
+ * Marca os checkboxes de comparação dos cards selecionados
+ * @param {Array<number>} ids - IDs selecionados para comparação
+ */
+export function markCompareSelection(ids) {
+    idsComparacao = new Set(ids);
+    document.querySelectorAll('.compare-checkbox').forEach(checkbox => {
+        const selecionado = ids.includes(parseInt(checkbox.dataset.vinilId));
+        checkbox.checked = selecionado;
+        checkbox.closest('.vinil-card')?.classList.toggle('compare-selected', selecionado);
     });
 }
 
+/**
+ * Liga/desliga o modo seleção da grid e marca os cards selecionados
+ * @param {Array<number>} ids - IDs selecionados
+ * @param {boolean} ativo - Modo seleção ligado
+ */
+export function markSelecao(ids, ativo) {
+    idsSelecionados = new Set(ids);
+    document.getElementById('vinis-grid')?.classList.toggle('modo-selecao', ativo);
+
+    const btn = document.getElementById('btn-selecionar');
+    btn?.classList.toggle('active', ativo);
+    btn?.setAttribute('aria-pressed', String(ativo));
+
+    document.querySelectorAll('.selecao-checkbox').forEach(checkbox => {
+        const selecionado = idsSelecionados.has(parseInt(checkbox.dataset.vinilId));
+        checkbox.checked = selecionado;
+        checkbox.closest('.vinil-card')?.classList.toggle('is-selecionado', selecionado);
+    });
+}
+
+/**
+ * Atualiza a barra do modo seleção
+ * @param {Object} estado - Estado da seleção
+ * @param {boolean} estado.ativo - Modo seleção ligado
+ * @param {number} estado.quantidade - Vinis selecionados
+ * @param {number|null} estado.filtrados - Total de vinis que atendem à consulta (null se desconhecido)
+ */
+export function updateSelecaoBar({ ativo, quantidade, filtrados }) {
+    const bar = document.getElementById('selecao-bar');
+    if (!bar) return;
+
+    bar.classList.toggle('active', ativo);
+    if (!ativo) {
+        toggleLoteExportarMenu(false);
+        return;
+    }
+
+    document.getElementById('selecao-contador').textContent = quantidade === 0
+        ? 'Nenhum vinil selecionado'
+        : `${quantidade} ${quantidade === 1 ? 'vinil selecionado' : 'vinis selecionados'}`;
+    document.getElementById('btn-selecionar-todos').textContent = filtrados === null
+        ? 'Selecionar todos'
+        : `Selecionar todos (${filtrados})`;
+    document.getElementById('btn-limpar-selecao').disabled = quantidade === 0;
+    bar.querySelectorAll('[data-lote]').forEach(btn => {
+        btn.disabled = quantidade === 0;
+    });
+}
+
+/**
+ * Abre ou fecha o menu de formatos da exportação em lote
+ * @param {boolean} [aberto] - Novo estado (padrão: inverte)
+ */
+export function toggleLoteExportarMenu(aberto) {
+    const menu = document.getElementById('lote-exportar-menu');
+    if (!menu) return;
+
+    const abrir = aberto ?? menu.hidden;
+    menu.hidden = !abrir;
+    document.getElementById('btn-lote-exportar')?.setAttribute('aria-expanded', String(abrir));
+}
+
+/**
+ * Abre a edição em lote
+ * Campos com o mesmo valor em todos os vinis já vêm preenchidos.
+ * @param {Array<Object>} vinis - Vinis selecionados
+ */
+export function showLoteEditarModal(vinis) {
+    const form = document.getElementById('form-lote-editar');
+    form.reset();
+
+    document.getElementById('lote-editar-titulo').textContent =
+        `✏️ Editar ${vinis.length} ${vinis.length === 1 ? 'Vinil' : 'Vinis'}`;
+
+    form.querySelectorAll('[data-campo]').forEach(input => {
+        const campo = input.dataset.campo;
+        const valores = new Set(vinis.map(vinil => (campo === 'edicao_limitada'
+            ? String(Boolean(vinil.edicao_limitada))
+            : String(vinil[campo] ?? ''))));
+        const [unico] = valores;
+
+        input.disabled = true;
+        input.value = valores.size === 1 ? unico : '';
+        if (input.tagName === 'INPUT') {
+            input.placeholder = valores.size === 1 ? '' : 'Valores diferentes';
+        } else if (valores.size > 1) {
+            input.selectedIndex = -1;
+        }
+    });
+
+    document.getElementById('modal-lote-editar').classList.add('active');
+    animateModal('#modal-lote-editar .modal-content');
+}
+
+/**
+ * Habilita o campo da edição em lote marcado para alteração
+ * @param {HTMLInputElement} checkbox - Checkbox "alterar" do campo
+ */
+export function toggleLoteCampo(checkbox) {
+    const input = document.querySelector(`#form-lote-editar [data-campo="${checkbox.dataset.alterar}"]`);
+    if (!input) return;
+
+    input.disabled = !checkbox.checked;
+    if (!checkbox.checked) return;
+
+    // Select sem valor comum (vinis com valores diferentes): começa na primeira opção
+    if (input.tagName === 'SELECT' && input.selectedIndex === -1) input.selectedIndex = 0;
+    input.focus();
+}
+
+/**
+ * Lê os campos marcados na edição em lote
+ * @returns {Object} { campo: valor } só com os campos a alterar
+ */
+export function getLoteAlteracoes() {
+    const alteracoes = {};
+
+    document.querySelectorAll('#form-lote-editar [data-alterar]:checked').forEach(checkbox => {
+        const campo = checkbox.dataset.alterar;
+        const valor = document.querySelector(`#form-lote-editar [data-campo="${campo}"]`).value.trim();
+
+        if (campo === 'ano') {
+            alteracoes.ano = parseInt(valor);
+        } else if (campo === 'edicao_limitada') {
+            alteracoes.edicao_limitada = valor === 'true';
+        } else {
+            alteracoes[campo] = valor || null;
+        }
+    });
+
+    return alteracoes;
+}
+
+/**
+ * Abre o painel de progresso de uma operação em lote
+ * @param {string} titulo - Ex: 'Excluindo 12 vinis'
+ * @param {number} total - Quantidade de itens
+ */
+export function showLoteProgresso(titulo, total) {
+    document.getElementById('lote-titulo').textContent = titulo;
+    document.getElementById('lote-falhas').innerHTML = '';
+    document.getElementById('btn-lote-interromper').hidden = false;
+    document.getElementById('btn-lote-interromper').disabled = false;
+    document.getElementById('btn-lote-fechar').hidden = true;
+    updateLoteProgresso({ feitos: 0, total, falhas: [] });
+
+    document.getElementById('modal-lote').classList.add('active');
+    animateModal('#modal-lote .modal-content');
+}
+
+/**
+ * Atualiza o progresso da operação em lote
+ * @param {Object} progresso - Andamento
+ * @param {number} progresso.feitos - Itens processados (com ou sem sucesso)
+ * @param {number} progresso.total - Total de itens
+ * @param {Array<{ descricao: string, mensagem: string }>} progresso.falhas - Itens que falharam
+ */
+export function updateLoteProgresso({ feitos, total, falhas }) {
+    const barra = document.getElementById('lote-progresso');
+    barra.max = Math.max(total, 1);
+    barra.value = feitos;
+
+    document.getElementById('lote-status').textContent =
+        `${feitos} de ${total} processados${falhas.length > 0 ? ` · ${falhas.length} com erro` : ''}`;
+
+    document.getElementById('lote-falhas').innerHTML = falhas.map(falha => `
+        <li class="lote-falha">
+            <strong>${escapeHTML(falha.descricao)}</strong>
+            <span>${escapeHTML(falha.mensagem)}</span>
+        </li>
+    `).join('');
+}
+
+/**
+ * Mostra o resumo ao fim da operação em lote
+ * @param {Object} resumo - { sucesso: number, falhas: number, interrompido: boolean, total: number }
+ */
+export function finalizarLoteProgresso({ sucesso, falhas, interrompido, total }) {
+    const partes = [`${sucesso} de ${total} ${sucesso === 1 ? 'concluído' : 'concluídos'}`];
+    if (falhas > 0) partes.push(`${falhas} com erro`);
+    if (interrompido) partes.push('interrompido');
+
+    document.getElementById('lote-status').textContent = partes.join(' · ');
+    document.getElementById('btn-lote-interromper').hidden = true;
+    document.getElementById('btn-lote-fechar').hidden = false;
+}
+
+/**
+ * Atualiza a barra flutuante de comparação
+ * @param {Array<Object>} vinis - Vinis selecionados para comparação
+ * @param {number} minimo - Quantidade mínima para comparar
+ */
+export function updateCompareBar(vinis, minimo) {
+    const bar = document.getElementById('compare-bar');
+    const lista = document.getElementById('compare-bar-items');
+    const btnComparar = document.getElementById('btn-comparar');
+
+    if (!bar) return;
+
+    if (vinis.length === 0) {
+        bar.classList.remove('active');
+        return;
+    }
+
+    lista.innerHTML = vinis.map(vinil => `
+        <span class="compare-bar-item">${escapeHTML(vinil.album)} <small>${escapeHTML(vinil.artista)}</small></span>
+    `).join('');
+
+    btnComparar.disabled = vinis.length < minimo;
+    btnComparar.textContent = vinis.length < minimo
+        ? `Selecione mais ${minimo - vinis.length}`
+        : `Comparar ${vinis.length}`;
+
+    bar.classList.add('active');
+}
+
+/**
+ * Renderiza a vitrine com os vinis em destaque
+ * @param {Array<Object>} vinis - Vinis em destaque
+ */
+export function renderVitrine(vinis) {
+    const container = document.getElementById('vitrine-container');
+
+    if (vinis.length === 0) {
+        container.innerHTML = `
+            <div class="vitrine-vazia">
+                <h3>Nenhum destaque ainda</h3>
+                <p>Abra um vinil e clique em "Marcar como Destaque" para exibi-lo aqui.</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = `<div class="vitrine-grid">${vinis.map(vinil => {
+        const placeholder = createCapaPlaceholder(vinil.cor_prensagem);
+        const imgUrl = resolveAssetUrl(vinil.capa) || placeholder;
+        return `
+            <button type="button" class="vitrine-item" data-vinil-id="${vinil.id}">
+                <img src="${imgUrl}" alt="${escapeHTML(vinil.album)}" onerror="this.src='${placeholder}';">
+                <span class="vitrine-item-title">${escapeHTML(vinil.album)}</span>
+                <span class="vitrine-item-artist">${escapeHTML(vinil.artista)} · ${vinil.ano}</span>
+                <span class="vitrine-item-stars">${'⭐'.repeat(calcularRaridade(vinil).estrelas)}</span>
+            </button>
+        `;
+    }).join('')}</div>`;
+
+    animateSections('.vitrine-item');
+}
+
+/**
+ * Mostra loading na vitrine
+ */
+export function showVitrineLoading() {
+    const container = document.getElementById('vitrine-container');
+    container.innerHTML = '<div class="stats-loading">Carregando destaques...</div>';
+}
+
+/**
+ * Renderiza os controles de peso de raridade no painel de configurações
+ * @param {Object} raridadeConfig - Configuração ativa ({ pesos, selosRaros, limiarEstrelas })
+ */
+export function renderRaridadeConfig(raridadeConfig) {
+    const container = document.getElementById('config-pesos');
+    if (!container) return;
+
+    container.innerHTML = Object.entries(CRITERIOS).map(([criterio, label]) => `
+        <label class="config-peso">
+            <span>${label}</span>
+            <input type="range" min="0" max="50" step="5" data-criterio="${criterio}" value="${raridadeConfig.pesos[criterio]}">
+            <span class="config-peso-valor">${raridadeConfig.pesos[criterio]}</span>
+        </label>
+    `).join('');
+
+    // Mostra o valor ao arrastar
+    container.querySelectorAll('input[type="range"]').forEach(input => {
+        input.addEventListener('input', () => {
+            input.nextElementSibling.textContent = input.value;
+        });
+    });
+
+    document.getElementById('config-selos-raros').value = raridadeConfig.selosRaros.join(', ');
+    document.getElementById('config-limiar-estrelas').value = raridadeConfig.limiarEstrelas;
+}
+
+/**
+ * Preenche a seção de imagens do painel de configurações
+ * @param {Object} imagemConfig - { dimensaoMaxima, formato, qualidade } (ver image.js)
+ */
+export function renderImagemConfig(imagemConfig) {
+    const dimensao = document.getElementById('config-imagem-dimensao');
+    if (!dimensao) return;
+
+    dimensao.innerHTML = DIMENSOES.map(valor => `<option value="${valor}">${valor} × ${valor} px</option>`).join('');
+    dimensao.value = imagemConfig.dimensaoMaxima;
+
+    const formato = document.getElementById('config-imagem-formato');
+    formato.innerHTML = Object.entries(FORMATOS).map(([valor, label]) => `<option value="${valor}">${label}</option>`).join('');
+    formato.value = imagemConfig.formato;
+
+    const qualidade = document.getElementById('config-imagem-qualidade');
+    const qualidadeValor = document.getElementById('config-imagem-qualidade-valor');
+    qualidade.value = Math.round(imagemConfig.qualidade * 100);
+    qualidadeValor.textContent = `${qualidade.value}%`;
+    qualidade.oninput = () => {
+        qualidadeValor.textContent = `${qualidade.value}%`;
+    };
+}
+
+/**
+ * Abre o quadro de recorte da capa com a imagem original
+ * @param {string} src - URL da imagem original
+ */
+export function showRecorte(src) {
+    document.getElementById('recorte-img').src = src;
+    document.getElementById('capa-recorte').hidden = false;
+}
+
+/**
+ * Fecha o quadro de recorte da capa
+ */
+export function hideRecorte() {
+    const painel = document.getElementById('capa-recorte');
+    if (painel) painel.hidden = true;
+}
+
+/**
+ * Posiciona o quadro de recorte sobre a imagem
+ * As posições vão em porcentagem, então não dependem do tamanho exibido.
+ * @param {{ x: number, y: number, lado: number }} corte - Corte em pixels da imagem
+ * @param {number} largura - Largura da imagem original
+ * @param {number} altura - Altura da imagem original
+ */
+export function renderRecorte(corte, largura, altura) {
+    const caixa = document.getElementById('recorte-caixa');
+    caixa.style.left = `${(corte.x / largura) * 100}%`;
+    caixa.style.top = `${(corte.y / altura) * 100}%`;
+    caixa.style.width = `${(corte.lado / largura) * 100}%`;
+    caixa.style.height = `${(corte.lado / altura) * 100}%`;
+}
+
+/**
+ * Mostra o resultado do tratamento da capa abaixo do preview
+ * @param {string} texto - Ex: '1200 × 1200 px · WebP · 142 KB (original: 4,1 MB)'
+ */
+export function setCapaInfo(texto) {
+    const info = document.getElementById('capa-info');
+    if (info) info.textContent = texto;
+}
+
+/**
+ * Mostra o andamento do envio da capa sobre o preview
+ * @param {Object|null} envio - null esconde o painel
+ * @param {string} envio.estado - 'enviando' | 'concluido' | 'erro' | 'cancelado'
+ * @param {number} [envio.progresso=0] - Fração enviada (0 a 1)
+ * @param {string} [envio.mensagem] - Motivo da falha
+ */
+export function renderEnvioCapa(envio) {
+    const painel = document.getElementById('envio-capa');
+    if (!painel) return;
+
+    painel.hidden = !envio;
+    if (!envio) return;
+
+    const { estado, progresso = 0, mensagem } = envio;
+    const porcentagem = Math.round(progresso * 100);
+    const textos = {
+        enviando: `Enviando capa… ${porcentagem}%`,
+        concluido: '✓ Capa enviada',
+        erro: `Falha no envio${mensagem ? `: ${mensagem}` : ''}`,
+        cancelado: 'Envio cancelado'
+    };
+
+    const barra = document.getElementById('envio-capa-progresso');
+    barra.hidden = estado !== 'enviando';
+    barra.value = porcentagem;
+    document.getElementById('envio-capa-texto').textContent = textos[estado];
+    document.getElementById('btn-envio-capa-cancelar').hidden = estado !== 'enviando';
+    document.getElementById('btn-envio-capa-repetir').hidden = estado !== 'erro' && estado !== 'cancelado';
+}
+
+/**
+ * Atualiza os grupos recolhíveis do formulário
+ * O resumo de cada grupo conta os campos preenchidos (visível com ele fechado).
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.expandir=false] - Reabre os grupos: ficam abertos os
+ *   marcados com data-aberta e os que já têm algo preenchido
+ */
+export function renderSecoesFormulario({ expandir = false } = {}) {
+    document.querySelectorAll('#form-vinil .form-secao').forEach(secao => {
+        const preenchidos = [...secao.querySelectorAll('input, select, textarea')].filter(campo => {
+            if (campo.type === 'file') return false;
+            return campo.type === 'checkbox' ? campo.checked : campo.value.trim() !== '';
+        }).length;
+
+        const resumo = secao.querySelector('.form-secao-resumo');
+        if (resumo) {
+            resumo.textContent = preenchidos > 0 ? `${preenchidos} ${preenchidos === 1 ? 'preenchido' : 'preenchidos'}` : '';
+        }
+
+        if (expandir) secao.open = secao.hasAttribute('data-aberta') || preenchidos > 0;
+    });
+}
+
+/**
+ * Sincroniza a barra de filtros com a consulta atual
+ * @param {Object} query - Consulta (ver query.js getQuery)
+ * @param {Array<Object>} filtrosAtivos - Filtros ativos ({ chave, label }) para os chips
+ */
+export function renderQueryControls(query, filtrosAtivos) {
+    // Não mexe no que está sendo digitado (espaços nas pontas são ignorados)
+    const searchInput = document.getElementById('search-input');
+    if (searchInput && searchInput.value.trim() !== query.texto) searchInput.value = query.texto;
+    setControlValue('filter-cor', query.cor);
+    setControlValue('filter-midia', query.midia);
+    setControlValue('filter-raridade', query.raridadeMinima ?? '');
+    setControlValue('filter-ano-min', query.anoMin ?? '');
+    setControlValue('filter-ano-max', query.anoMax ?? '');
+    setControlValue('filter-selo', query.selo);
+    setControlValue('filter-tamanho', query.tamanho ?? '');
+    setControlValue('filter-rpm', query.rpm ?? '');
+    setControlValue('filter-pais', query.pais);
+
+    document.querySelectorAll('.filter-btn').forEach(btn => {
+        const ativo = btn.dataset.filter === (query.somenteFavoritos ? 'favoritos' : 'todos');
+        btn.classList.toggle('active', ativo);
+    });
+
+    renderOrdenacaoControls(query.ordenacao);
+    renderFiltrosAtivos(filtrosAtivos);
+}
+
+/**
+ * Mostra os filtros ativos como chips removíveis
+ * @param {Array<Object>} filtrosAtivos - [{ chave, label }]
+ */
+function renderFiltrosAtivos(filtrosAtivos) {
+    const container = document.getElementById('filtros-ativos');
+    if (!container) return;
+
+    if (filtrosAtivos.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = filtrosAtivos.map(filtro => `
+        <button type="button" class="filtro-chip" data-filtro="${filtro.chave}" title="Remover filtro">
+            ${escapeHTML(filtro.label)}
+            <span class="filtro-chip-remove" aria-hidden="true">✕</span>
+        </button>
+    `).join('') + (filtrosAtivos.length > 1
+        ? '<button type="button" class="filtros-limpar" data-filtro="todos">Limpar tudo</button>'
+        : '');
+}
+
+/**
+ * Abre ou fecha o popover de ajuda da sintaxe de busca
+ * Na primeira abertura, preenche os exemplos a partir de EXEMPLOS_BUSCA.
+ * @param {boolean} [aberto] - Estado desejado (padrão: alterna)
+ */
+export function toggleBuscaAjuda(aberto) {
+    const popover = document.getElementById('busca-ajuda');
+    const btn = document.getElementById('btn-busca-ajuda');
+    if (!popover) return;
+
+    const lista = popover.querySelector('.busca-ajuda-lista');
+    if (lista && !lista.children.length) {
+        lista.innerHTML = EXEMPLOS_BUSCA.map(exemplo => `
+            <li>
+                <button type="button" class="busca-exemplo" data-expressao="${encodeURIComponent(exemplo.expressao)}" title="Usar na busca">
+                    <code>${escapeHTML(exemplo.expressao)}</code>
+                </button>
+                <span>${escapeHTML(exemplo.descricao)}</span>
+            </li>
+        `).join('');
+    }
+
+    const abrir = aberto ?? popover.hidden;
+    popover.hidden = !abrir;
+    btn?.setAttribute('aria-expanded', String(abrir));
+}
+
+/**
+ * Define os termos destacados nos cards (vale para os próximos renders da grid)
+ * @param {Array<string>} termos - Termos de texto livre da busca (vazio desliga)
+ */
+export function setTermosBusca(termos) {
+    termosDestaque = termos;
+}
+
+/**
+ * Marca o campo de busca enquanto o servidor não confirma o resultado instantâneo
+ * @param {boolean} pendente - true enquanto a busca no servidor não termina
+ */
+export function setBuscaPendente(pendente) {
+    document.querySelector('.search-box')?.classList.toggle('is-pending', pendente);
+}
+
+/**
+ * Indica se a grid mostra um resultado instantâneo ainda não confirmado
+ * @returns {boolean} true se há busca pendente
+ */
+export function isBuscaPendente() {
+    return Boolean(document.querySelector('.search-box.is-pending'));
+}
+
+/**
+ * Mostra abaixo do campo de busca os problemas de sintaxe encontrados
+ * @param {Array<string>} erros - Mensagens (vazio limpa)
+ */
+export function renderBuscaErros(erros) {
+    const el = document.getElementById('busca-erros');
+    if (el) el.textContent = erros.join(' ');
+}
+
+/**
+ * Atualiza as sugestões dos campos de selo, país e fábrica com os valores da coleção
+ * @param {Array<Object>} vinis - Vinis carregados
+ */
+export function updateSugestoes(vinis) {
+    const sugestoes = { 'selos-sugeridos': 'selo', 'paises-sugeridos': 'pais', 'fabricas-sugeridas': 'fabrica' };
+
+    Object.entries(sugestoes).forEach(([id, campo]) => {
+        const datalist = document.getElementById(id);
+        if (!datalist) return;
+
+        const valores = [...new Set(vinis.map(v => v[campo]).filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b, 'pt-BR'));
+        datalist.replaceChildren(...valores.map(valor => new Option(valor, valor)));
+    });
+}
+
+/**
+ * Atribui o valor de um controle só se ele mudou (não atrapalha a digitação)
+ * Em selects, valores que não existem nas opções são acrescentados.
+ * @param {string} id - ID do elemento
+ * @param {*} valor - Valor desejado
+ */
+function setControlValue(id, valor) {
+    const el = document.getElementById(id);
+    if (!el || el.value === String(valor)) return;
+
+    if (el.tagName === 'SELECT' && valor !== '' && ![...el.options].some(opt => opt.value === String(valor))) {
+        el.add(new Option(String(valor), String(valor)));
+    }
+    el.value = valor;
+}
+
+/**
+ * Sincroniza os controles de ordenação com a ordenação ativa
+ * Na primeira chamada, preenche as opções a partir de CAMPOS_ORDENACAO.
+ * @param {Object} ordenacao - { campo, direcao, desempate }
+ */
+function renderOrdenacaoControls(ordenacao) {
+    const campo = document.getElementById('sort-campo');
+    const desempate = document.getElementById('sort-desempate');
+    const direcao = document.getElementById('btn-sort-direcao');
+    if (!campo || !desempate || !direcao) return;
+
+    if (campo.options.length === 1) {
+        Object.entries(CAMPOS_ORDENACAO).forEach(([valor, label]) => {
+            campo.add(new Option(label, valor));
+            desempate.add(new Option(`então ${label}`, valor));
+        });
+    }
+
+    campo.value = ordenacao.campo;
+    desempate.value = ordenacao.desempate;
+    // Desempate só faz sentido com um campo principal escolhido
+    desempate.disabled = !ordenacao.campo;
+
+    const decrescente = ordenacao.direcao === 'desc';
+    direcao.textContent = decrescente ? '↓' : '↑';
+    direcao.title = decrescente ? 'Decrescente' : 'Crescente';
+    direcao.setAttribute('aria-label', direcao.title);
+    direcao.disabled = !ordenacao.campo;
+}
+
 /**
  * Mostra mensagem de erro
  * @param {string} message - Mensagem de erro
@@ -431,12 +1655,109 @@ export function showSuccess(message) {
     showNotification(message, 'success');
 }
 
+/**
+ * Mostra um aviso de sucesso com o botão "Desfazer"
+ * @param {string} message - Mensagem (ex: 'Vinil excluído')
+ * @param {Function} onDesfazer - Chamada ao clicar em Desfazer
+ */
+export function showDesfazer(message, onDesfazer) {
+    showNotification(message, 'success', {
+        acao: { rotulo: 'Desfazer', onClick: onDesfazer },
+        duracao: 8000
+    });
+}
+
+// Rótulos e ícones das alterações no histórico
+const TIPOS_HISTORICO = {
+    adicionar: { icone: '➕', rotulo: 'Adicionado' },
+    atualizar: { icone: '✏️', rotulo: 'Editado' },
+    deletar: { icone: '🗑️', rotulo: 'Excluído' }
+};
+
+/**
+ * Renderiza o histórico de alterações da sessão
+ * Desfazer uma entrada desfaz também todas as alterações feitas depois dela.
+ * @param {Array<Object>} historico - Entradas (mais recente primeiro), ver history.js
+ */
+export function renderHistorico(historico) {
+    const contador = document.getElementById('historico-contador');
+    const pendentes = historico.filter(entrada => !entrada.desfeita).length;
+    if (contador) {
+        contador.textContent = pendentes;
+        contador.hidden = pendentes === 0;
+    }
+
+    const lista = document.getElementById('historico-lista');
+    if (!lista) return;
+
+    document.getElementById('btn-desfazer-ultima').disabled = pendentes === 0;
+
+    if (historico.length === 0) {
+        lista.innerHTML = '<p class="historico-vazio">Nenhuma alteração nesta sessão.</p>';
+        return;
+    }
+
+    lista.innerHTML = historico.map(entrada => {
+        const tipo = TIPOS_HISTORICO[entrada.tipo];
+        const hora = new Date(entrada.data).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+        return `
+            <li class="historico-item ${entrada.desfeita ? 'is-desfeita' : ''}">
+                <span class="historico-icone" aria-hidden="true">${tipo.icone}</span>
+                <div class="historico-info">
+                    <span class="historico-descricao">${tipo.rotulo}: ${escapeHTML(entrada.descricao)}</span>
+                    <span class="historico-hora">${hora}${entrada.desfeita ? ' · desfeita' : ''}</span>
+                </div>
+                ${entrada.desfeita ? '' : `
+                    <button type="button" class="btn-secondary historico-desfazer" data-numero="${entrada.numero}"
+                        title="Desfaz esta alteração e as feitas depois dela">
+                        Voltar até aqui
+                    </button>
+                `}
+            </li>
+        `;
+    }).join('');
+}
+
+/**
+ * Abre o painel de histórico de alterações
+ * @param {Array<Object>} historico - Entradas (mais recente primeiro)
+ */
+export function showHistoricoModal(historico) {
+    renderHistorico(historico);
+    document.getElementById('modal-historico').classList.add('active');
+    animateModal('#modal-historico .modal-content');
+}
+
+/**
+ * Atualiza o indicador de conexão do cabeçalho
+ * @param {Object} status - { online, sincronizando, pendentes } (ver offline.js)
+ */
+export function renderConexaoStatus({ online, sincronizando, pendentes }) {
+    const el = document.getElementById('conexao-status');
+    if (!el) return;
+
+    const estado = sincronizando ? 'sincronizando' : (online ? 'online' : 'offline');
+    const textos = {
+        online: 'Online',
+        offline: 'Offline',
+        sincronizando: 'Sincronizando…'
+    };
+    const fila = pendentes > 0 ? ` · ${pendentes} ${pendentes === 1 ? 'pendente' : 'pendentes'}` : '';
+
+    el.dataset.estado = estado;
+    el.querySelector('.conexao-texto').textContent = `${textos[estado]}${fila}`;
+    el.title = online
+        ? (pendentes > 0 ? 'Alterações feitas offline aguardando envio' : 'Conectado à API')
+        : 'Sem conexão com a API: exibindo a cópia salva neste navegador. Clique para tentar reconectar.';
+}
+
 /**
  * Mostra notificação temporária
  * @param {string} message - Mensagem a exibir
  * @param {string} type - Tipo da notificação ('success' ou 'error')
  */
-function showNotification(message, type = 'info') {
+function showNotification(message, type = 'info', { acao = null, duracao = 4000 } = {}) {
     // Remove notificação anterior se existir
     const existingNotif = document.querySelector('.notification');
     if (existingNotif) {
@@ -449,62 +1770,39 @@ function showNotification(message, type = 'info') {
     notification.innerHTML = `
         <span class="notification-icon">${type === 'success' ? '✓' : '⚠'}</span>
         <span class="notification-message">${escapeHTML(message)}</span>
+        ${acao ? `<button type="button" class="notification-acao">${escapeHTML(acao.rotulo)}</button>` : ''}
     `;
 
-    // Adiciona ao body
-    document.body.appendChild(notification);
-
-    // Anima entrada
-    setTimeout(() => notification.classList.add('show'), 10);
-
-    // Remove após 4 segundos
-    setTimeout(() => {
+    const fechar = () => {
         notification.classList.remove('show');
         setTimeout(() => notification.remove(), 300);
-    }, 4000);
-}
-
-/**
- * Alterna entre seções (listagem, stats)
- * @param {string} sectionName - Nome da seção ('listagem' ou 'stats')
- */
-export function switchSection(sectionName) {
-    // Esconde todas as seções
-    document.querySelectorAll('.content-section').forEach(section => {
-        section.classList.remove('active');
-    });
+    };
 
-    // Remove active dos botões
-    document.querySelectorAll('.nav-btn').forEach(btn => {
-        btn.classList.remove('active');
-    });
+    // Botão de ação (ex: Desfazer): executa uma única vez e fecha o aviso
+    notification.querySelector('.notification-acao')?.addEventListener('click', () => {
+        fechar();
+        acao.onClick();
+    }, { once: true });
 
-    // Mostra a seção desejada
-    const section = document.getElementById(`${sectionName}-section`);
-    if (section) {
-        section.classList.add('active');
-    }
+    // Adiciona ao body
+    document.body.appendChild(notification);
 
-    // Marca o botão correspondente como ativo
-    const btn = document.querySelector(`[data-section="${sectionName}"]`);
-    if (btn) {
-        btn.classList.add('active');
-    }
+    // Anima entrada
+    setTimeout(() => notification.classList.add('show'), 10);
 
-    // Anima a seção
-    animateSections(`#${sectionName}-section`);
+    // Remove após a duração (4 segundos por padrão)
+    setTimeout(fechar, duracao);
 }
 
 /**
- * Função auxiliar para escapar HTML e prevenir XSS
- * @param {string} text - Texto a ser escapado
- * @returns {string} Texto escapado
+ * Escapa um texto marcando com <mark> as palavras que casam com a busca
+ * @param {string} text - Texto do card
+ * @returns {string} HTML seguro
  */
-function escapeHTML(text) {
-    if (!text) return '';
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function destacarHTML(text) {
+    return destacarTermos(text, termosDestaque)
+        .map(trecho => (trecho.destaque ? `<mark class="busca-destaque">${escapeHTML(trecho.texto)}</mark>` : escapeHTML(trecho.texto)))
+        .join('');
 }
 
 /**
@@ -513,11 +1811,29 @@ function escapeHTML(text) {
 export function showLoading() {
     const loading = document.getElementById('loading');
     const noResults = document.getElementById('no-results');
-    const grid = document.getElementById('vinis-grid');
 
+    loading.classList.remove('loading-more');
     loading.style.display = 'block';
     noResults.style.display = 'none';
-    grid.innerHTML = '';
+    getVirtualGrid().setItems([]);
+}
+
+/**
+ * Mostra o loading abaixo da grid sem limpar os cards (carga parcial)
+ */
+export function showLoadingMore() {
+    const loading = document.getElementById('loading');
+    loading.classList.add('loading-more');
+    loading.style.display = 'block';
+}
+
+/**
+ * Esconde o loading da grid
+ */
+export function hideLoading() {
+    const loading = document.getElementById('loading');
+    loading.style.display = 'none';
+    loading.classList.remove('loading-more');
 }
 
 /**
@@ -0,0 +1,51 @@
+/**
+ * utils.js - Funções auxiliares compartilhadas
+ *
+ * Funções puras (sem DOM e sem chamadas HTTP) usadas por mais de um módulo.
+ */
+
+/**
+ * Normaliza um texto para comparação "frouxa":
+ * remove acentos, ignora maiúsculas/minúsculas e espaços extras
+ * @param {*} text - Texto (ou valor) a normalizar
+ * @returns {string} Texto normalizado ('Harvest ' e 'harvest' viram 'harvest')
+ */
+export function normalizeText(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Compara dois valores de um vinil de forma tolerante
+ * Números são comparados numericamente; textos via normalizeText.
+ * @param {*} a - Primeiro valor
+ * @param {*} b - Segundo valor
+ * @returns {boolean} true se forem considerados iguais
+ */
+export function valoresIguais(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a === b;
+    }
+    return normalizeText(a) === normalizeText(b);
+}
+
+/**
+ * Escapa um texto para HTML, inclusive dentro de atributos entre aspas.
+ * Função pura (sem DOM), compartilhada pelos módulos que montam HTML em string.
+ * @param {*} text - Texto (ou valor) a escapar
+ * @returns {string} Texto com & < > " ' trocados por entidades ('' para null/undefined)
+ */
+export function escapeHTML(text) {
+    if (text === null || text === undefined) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,114 @@
+/**
+ * validation.js - Regras de validação de um vinil
+ *
+ * As mesmas regras valem para o formulário, a edição em lote e a
+ * importação de planilhas, para que nenhum caminho grave um vinil que o
+ * formulário recusaria.
+ */
+
+// Valores aceitos nos selects do formulário
+export const CORES = ['Preto', 'Colorido', 'Transparente', 'Roxo'];
+export const MIDIAS = ['LP', 'Compacto', 'EP'];
+export const TAMANHOS = [7, 10, 12];
+export const RPMS = [33, 45, 78];
+
+// Escala de conservação Goldmine, do melhor ao pior estado (sigla → nome)
+export const CONDICOES = {
+    M: 'Mint',
+    NM: 'Near Mint',
+    'VG+': 'Very Good Plus',
+    VG: 'Very Good',
+    'G+': 'Good Plus',
+    G: 'Good',
+    F: 'Fair',
+    P: 'Poor'
+};
+
+// Dados opcionais que distinguem uma prensagem de outra (campo → rótulo)
+export const CAMPOS_PRENSAGEM = {
+    numero_catalogo: 'Nº de catálogo',
+    codigo_barras: 'Código de barras',
+    matriz_a: 'Matriz lado A',
+    matriz_b: 'Matriz lado B',
+    matriz_c: 'Matriz lado C',
+    matriz_d: 'Matriz lado D',
+    pais: 'País',
+    fabrica: 'Fábrica',
+    tamanho: 'Tamanho',
+    rpm: 'Rotação',
+    condicao_disco: 'Estado do disco',
+    condicao_capa: 'Estado da capa',
+    notas_edicao: 'Notas da edição'
+};
+
+// Faixa de anos aceita (até o ano que vem, para pré-vendas); o max dos
+// campos de ano no index.html é preenchido com ANO_MAX (main.js)
+export const ANO_MIN = 1900;
+export const ANO_MAX = new Date().getFullYear() + 1;
+
+// Campos obrigatórios (campo → rótulo usado nas mensagens)
+export const CAMPOS_OBRIGATORIOS = {
+    artista: 'Artista',
+    album: 'Álbum',
+    cor_prensagem: 'Cor da prensagem',
+    ano: 'Ano',
+    midia: 'Tipo de mídia'
+};
+
+/**
+ * Valida os dados de um vinil
+ * @param {Object} vinil - Dados no formato do formulário
+ * @returns {Array<string>} Mensagens de erro (vazio se válido)
+ */
+export function validarVinil(vinil) {
+    const erros = [];
+
+    const faltando = Object.entries(CAMPOS_OBRIGATORIOS)
+        .filter(([campo]) => vinil[campo] === undefined || vinil[campo] === null || vinil[campo] === '' || Number.isNaN(vinil[campo]))
+        .map(([, rotulo]) => rotulo);
+    if (faltando.length > 0) {
+        erros.push(`Preencha os campos obrigatórios: ${faltando.join(', ')}.`);
+    }
+
+    if (Number.isInteger(vinil.ano) && (vinil.ano < ANO_MIN || vinil.ano > ANO_MAX)) {
+        erros.push(`Ano deve estar entre ${ANO_MIN} e ${ANO_MAX}.`);
+    }
+
+    if (vinil.cor_prensagem && !CORES.includes(vinil.cor_prensagem)) {
+        erros.push(`Cor "${vinil.cor_prensagem}" inválida (use ${CORES.join(', ')}).`);
+    }
+
+    if (vinil.midia && !MIDIAS.includes(vinil.midia)) {
+        erros.push(`Mídia "${vinil.midia}" inválida (use ${MIDIAS.join(', ')}).`);
+    }
+
+    if (preenchido(vinil.tamanho) && !TAMANHOS.includes(vinil.tamanho)) {
+        erros.push(`Tamanho "${vinil.tamanho}" inválido (use ${TAMANHOS.map(t => `${t}"`).join(', ')}).`);
+    }
+
+    if (preenchido(vinil.rpm) && !RPMS.includes(vinil.rpm)) {
+        erros.push(`Rotação "${vinil.rpm}" inválida (use ${RPMS.join(', ')} RPM).`);
+    }
+
+    ['condicao_disco', 'condicao_capa'].forEach(campo => {
+        if (preenchido(vinil[campo]) && !Object.hasOwn(CONDICOES, vinil[campo])) {
+            erros.push(`${CAMPOS_PRENSAGEM[campo]} "${vinil[campo]}" inválido (use ${Object.keys(CONDICOES).join(', ')}).`);
+        }
+    });
+
+    // EAN-8, UPC-A (12), EAN-13 e GTIN-14
+    if (preenchido(vinil.codigo_barras) && !/^\d{8,14}$/.test(vinil.codigo_barras)) {
+        erros.push('Código de barras deve ter de 8 a 14 dígitos.');
+    }
+
+    return erros;
+}
+
+/**
+ * Indica se um campo opcional foi preenchido
+ * @param {*} valor - Valor do campo
+ * @returns {boolean} true se não for vazio
+ */
+function preenchido(valor) {
+    return valor !== undefined && valor !== null && valor !== '';
+}
@@ -0,0 +1,204 @@
+/**
+ * virtual-grid.js - Renderização virtualizada (em janela) da grid de vinis
+ *
+ * Mantém no DOM apenas os cards das linhas visíveis (mais um buffer acima e
+ * abaixo). As linhas fora da janela viram padding no container, então a
+ * altura total da grid e a barra de rolagem continuam corretas.
+ *
+ * O layout continua sendo o CSS grid de .vinis-grid: o número de colunas é
+ * lido do grid-template-columns calculado e a altura da linha é medida em um
+ * card renderizado. Todos os cards precisam ter a mesma altura.
+ */
+
+// Altura estimada de um card antes da primeira medição
+const ALTURA_ESTIMADA = 420;
+
+/**
+ * Cria uma grid virtualizada sobre um container com display: grid
+ * @param {HTMLElement} container - Elemento da grid
+ * @param {Object} options - Opções
+ * @param {Function} options.renderItem - (item) => HTMLElement do card
+ * @param {Function} [options.getKey] - (item) => chave única (padrão: item.id)
+ * @param {number} [options.bufferRows=2] - Linhas extras renderizadas acima e abaixo
+ * @param {Function} [options.onItemVisible] - (elemento) => chamado quando um card novo entra na viewport
+ * @returns {Object} API da grid: { setItems, appendItems, getItems, refresh }
+ */
+export function createVirtualGrid(container, options) {
+    const {
+        renderItem,
+        getKey = item => item.id,
+        bufferRows = 2,
+        onItemVisible
+    } = options;
+
+    let items = [];
+    let alturaCard = ALTURA_ESTIMADA;
+    let frame = null;
+
+    // Cards atualmente no DOM, por chave
+    const nodes = new Map();
+
+    // Avisa quando um card recém-criado aparece de fato na tela
+    const visibilityObserver = onItemVisible && 'IntersectionObserver' in window
+        ? new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    visibilityObserver.unobserve(entry.target);
+                    onItemVisible(entry.target);
+                }
+            });
+        })
+        : null;
+
+    /**
+     * Lê o número de colunas e o espaçamento entre linhas do CSS
+     * @returns {{ colunas: number, gap: number }}
+     */
+    function medirLayout() {
+        const style = getComputedStyle(container);
+        const colunas = style.gridTemplateColumns.split(' ').filter(Boolean).length || 1;
+        const gap = parseFloat(style.rowGap) || 0;
+        return { colunas, gap };
+    }
+
+    /**
+     * Recalcula a janela visível e sincroniza o DOM
+     */
+    function update() {
+        frame = null;
+
+        const { colunas, gap } = medirLayout();
+        const alturaLinha = alturaCard + gap;
+        const totalLinhas = Math.ceil(items.length / colunas);
+
+        // Posição da viewport relativa ao topo da grid
+        const topoGrid = container.getBoundingClientRect().top + window.scrollY;
+        const inicioVisivel = window.scrollY - topoGrid;
+        const fimVisivel = inicioVisivel + window.innerHeight;
+
+        const primeiraLinha = clamp(Math.floor(inicioVisivel / alturaLinha) - bufferRows, 0, totalLinhas);
+        const ultimaLinha = clamp(Math.ceil(fimVisivel / alturaLinha) + bufferRows, primeiraLinha, totalLinhas);
+
+        container.style.paddingTop = `${primeiraLinha * alturaLinha}px`;
+        container.style.paddingBottom = `${(totalLinhas - ultimaLinha) * alturaLinha}px`;
+
+        renderRange(primeiraLinha * colunas, Math.min(items.length, ultimaLinha * colunas));
+
+        // Primeira medição real: se a estimativa estava errada, recalcula
+        // (altura 0 = grid oculta, mantém a última medida)
+        const amostra = container.firstElementChild;
+        if (amostra && amostra.offsetHeight > 0 && Math.abs(amostra.offsetHeight - alturaCard) > 1) {
+            alturaCard = amostra.offsetHeight;
+            scheduleUpdate();
+        }
+    }
+
+    /**
+     * Garante que exatamente os itens [inicio, fim) estejam no DOM, em ordem
+     * @param {number} inicio - Índice inicial
+     * @param {number} fim - Índice final (exclusivo)
+     */
+    function renderRange(inicio, fim) {
+        const visiveis = items.slice(inicio, fim);
+        const chaves = new Set(visiveis.map(getKey));
+
+        // Remove os cards que saíram da janela
+        nodes.forEach((node, chave) => {
+            if (!chaves.has(chave)) {
+                visibilityObserver?.unobserve(node);
+                node.remove();
+                nodes.delete(chave);
+            }
+        });
+
+        // Insere os que entraram, mantendo a ordem dos itens
+        let anterior = null;
+        visiveis.forEach(item => {
+            const chave = getKey(item);
+            let node = nodes.get(chave);
+
+            if (!node) {
+                node = renderItem(item);
+                nodes.set(chave, node);
+                visibilityObserver?.observe(node);
+            }
+
+            const posicaoEsperada = anterior ? anterior.nextSibling : container.firstChild;
+            if (node !== posicaoEsperada) {
+                container.insertBefore(node, posicaoEsperada);
+            }
+            anterior = node;
+        });
+    }
+
+    /**
+     * Agenda uma atualização no próximo frame (evita trabalho repetido no scroll)
+     */
+    function scheduleUpdate() {
+        if (frame === null) {
+            frame = requestAnimationFrame(update);
+        }
+    }
+
+    /**
+     * Descarta todos os cards renderizados (dados mudaram)
+     */
+    function clearNodes() {
+        nodes.forEach(node => {
+            visibilityObserver?.unobserve(node);
+            node.remove();
+        });
+        nodes.clear();
+    }
+
+    window.addEventListener('scroll', scheduleUpdate, { passive: true });
+    window.addEventListener('resize', scheduleUpdate);
+
+    return {
+        /**
+         * Substitui todos os itens, mantendo a posição de rolagem
+         * @param {Array} novosItens - Itens a exibir
+         */
+        setItems(novosItens) {
+            items = [...novosItens];
+            clearNodes();
+            update();
+        },
+
+        /**
+         * Acrescenta itens ao fim (próxima página)
+         * @param {Array} novosItens - Itens a acrescentar
+         */
+        appendItems(novosItens) {
+            items = [...items, ...novosItens];
+            update();
+        },
+
+        /**
+         * Retorna os itens atuais da grid
+         * @returns {Array} Itens
+         */
+        getItems() {
+            return items;
+        },
+
+        /**
+         * Re-renderiza os cards visíveis (ex: estado de seleção mudou)
+         */
+        refresh() {
+            clearNodes();
+            update();
+        }
+    };
+}
+
+/**
+ * Limita um valor ao intervalo [min, max]
+ * @param {number} valor - Valor
+ * @param {number} min - Mínimo
+ * @param {number} max - Máximo
+ * @returns {number} Valor limitado
+ */
+function clamp(valor, min, max) {
+    return Math.max(min, Math.min(max, valor));
+}
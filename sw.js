@@ -0,0 +1,192 @@
+/**
+ * sw.js - Service worker (app instalável e utilizável sem rede)
+ *
+ * - App shell (HTML, CSS, módulos JS, GSAP e fonte locais): pré-carregado na
+ *   instalação e servido do cache, atualizado em segundo plano
+ *   (stale-while-revalidate)
+ * - config.json (opcional): também servido do cache, para que o app aberto
+ *   sem rede use a mesma URL da API (e as mesmas URLs de capa) de antes
+ * - Capas em /uploads: guardadas no cache na primeira exibição
+ * - Chamadas à API não passam por aqui: o modo offline dos dados fica em
+ *   js/offline.js (IndexedDB)
+ *
+ * Ao criar ou renomear arquivos do app, atualize APP_SHELL e a VERSAO.
+ */
+
+const VERSAO = 'v9';
+const CACHE_SHELL = `vinyl-collection-shell-${VERSAO}`;
+const CACHE_CAPAS = `vinyl-collection-capas-${VERSAO}`;
+
+// Máximo de capas guardadas (as mais antigas saem primeiro)
+const MAX_CAPAS = 500;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'js/animations.js',
+    'js/api.js',
+    'js/config.js',
+    'js/conflicts.js',
+    'js/discogs.js',
+    'js/export.js',
+    'js/favorites.js',
+    'js/gallery.js',
+    'js/history.js',
+    'js/image.js',
+    'js/import.js',
+    'js/main.js',
+    'js/offline.js',
+    'js/query.js',
+    'js/rarity.js',
+    'js/router.js',
+    'js/search-index.js',
+    'js/search.js',
+    'js/selection.js',
+    'js/sort.js',
+    'js/tracklist.js',
+    'js/ui.js',
+    'js/utils.js',
+    'js/validation.js',
+    'js/virtual-grid.js',
+    'vendor/gsap/gsap.min.js',
+    'vendor/inter/inter.css',
+    'vendor/inter/files/inter-latin-300-normal.woff2',
+    'vendor/inter/files/inter-latin-400-normal.woff2',
+    'vendor/inter/files/inter-latin-500-normal.woff2',
+    'vendor/inter/files/inter-latin-600-normal.woff2',
+    'vendor/inter/files/inter-latin-700-normal.woff2',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/icon-maskable-512.png',
+    'icons/apple-touch-icon.png'
+];
+
+// Configuração da API (js/config.js); é opcional, por isso fica fora de APP_SHELL
+const ARQUIVO_CONFIG = 'config.json';
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_SHELL)
+            .then(cache => cache.addAll(APP_SHELL)
+                .then(() => cache.add(ARQUIVO_CONFIG).catch(() => {})))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Remove caches de versões anteriores
+    event.waitUntil(
+        caches.keys()
+            .then(nomes => Promise.all(nomes
+                .filter(nome => nome.startsWith('vinyl-collection-') && ![CACHE_SHELL, CACHE_CAPAS].includes(nome))
+                .map(nome => caches.delete(nome))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (url.pathname.includes('/uploads/')) {
+        event.respondWith(capaDoCache(request));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) return;
+
+    // Navegação (inclusive com ?q=... e #/vinil/42): sempre o index.html
+    if (request.mode === 'navigate') {
+        event.respondWith(doShell(request, 'index.html'));
+        return;
+    }
+
+    if (ehDoShell(url) || ehConfig(url)) {
+        event.respondWith(doShell(request));
+    }
+});
+
+/**
+ * Indica se a URL é um arquivo do app shell
+ * @param {URL} url - URL da requisição
+ * @returns {boolean} true se estiver em APP_SHELL
+ */
+function ehDoShell(url) {
+    const escopo = new URL(self.registration.scope);
+    const caminho = url.pathname.slice(escopo.pathname.length);
+    return APP_SHELL.includes(caminho);
+}
+
+/**
+ * Indica se a URL é o config.json do app
+ * @param {URL} url - URL da requisição
+ * @returns {boolean} true se for o arquivo de configuração
+ */
+function ehConfig(url) {
+    return url.pathname === new URL(ARQUIVO_CONFIG, self.registration.scope).pathname;
+}
+
+/**
+ * Stale-while-revalidate: responde com o cache e atualiza em segundo plano
+ * @param {Request} request - Requisição
+ * @param {string} [chave] - Entrada do cache a usar (padrão: a própria requisição)
+ * @returns {Promise<Response>} Resposta
+ */
+async function doShell(request, chave = request) {
+    const cache = await caches.open(CACHE_SHELL);
+    const emCache = await cache.match(chave, { ignoreSearch: true });
+
+    const daRede = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(chave, response.clone());
+            // Arquivo opcional retirado do servidor (config.json): sai do cache
+            else if (response.status === 404) cache.delete(chave, { ignoreSearch: true });
+            return response;
+        })
+        .catch(() => null);
+
+    return emCache || (await daRede) || Response.error();
+}
+
+/**
+ * Cache first para capas: a rede só é usada na primeira vez
+ * A capa é sempre buscada em modo CORS (o backend libera /uploads), mesmo
+ * quando o <img> pede no-cors: a entrada guardada serve para os dois casos,
+ * inclusive para o fetch() que embute capas no backup (api.getCapaComoDataUrl).
+ * Respostas opacas não são guardadas: não podem ser lidas por fetch() e
+ * ocupam muito mais da cota de armazenamento.
+ * @param {Request} request - Requisição da imagem
+ * @returns {Promise<Response>} Resposta
+ */
+async function capaDoCache(request) {
+    const cache = await caches.open(CACHE_CAPAS);
+    const emCache = await cache.match(request.url);
+    if (emCache) return emCache;
+
+    try {
+        const response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+        if (response.ok) {
+            await cache.put(request.url, response.clone());
+            limitarCache(cache, MAX_CAPAS);
+        }
+        return response;
+    } catch (error) {
+        // Sem CORS no servidor: entrega a imagem ao <img>, mas sem guardar
+        if (request.mode === 'no-cors') return fetch(request).catch(() => Response.error());
+        return Response.error();
+    }
+}
+
+/**
+ * Remove as entradas mais antigas quando o cache passa do limite
+ * @param {Cache} cache - Cache a limitar
+ * @param {number} maximo - Número máximo de entradas
+ */
+async function limitarCache(cache, maximo) {
+    const chaves = await cache.keys();
+    await Promise.all(chaves.slice(0, Math.max(0, chaves.length - maximo)).map(chave => cache.delete(chave)));
+}